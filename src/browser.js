@@ -242,7 +242,9 @@
           }
         } else {
           if (t.overwrite !== true && t.ignoreErrors !== true && t.next !== undefined) {
-            throw new Error(`namespace.setValue: cannot overwrite existing value at "${t.address}"`);
+            const error = new Error(`namespace.setValue: cannot overwrite existing value at "${t.address}"`);
+            error.code = "PATH_OCCUPIED";
+            throw error;
           } else if (t.dryRun || (t.overwrite === false && t.ignoreErrors === true && t.next !== undefined)) {
             t.returnNow = true;
           } else {
@@ -266,7 +268,7 @@
     try {
       return namespace.setValue(object, address, leafValue, ctx);
     } catch (error) {
-      if (error.message && error.message.includes("cannot overwrite existing value")) {
+      if (error.code === "PATH_OCCUPIED") {
         return ctx.next;
       }
       throw error;
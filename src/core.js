@@ -3,18 +3,68 @@
 // NotFound sentinel — frozen; returned by get() when a path is absent
 const NotFound = Object.freeze({ namespaceFunctionConstant: "NotFound" });
 
-// ── global config ─────────────────────────────────────────────────────────────
+// ── config ────────────────────────────────────────────────────────────────────
+
+// newConfig() — a config record with every setting at its default.  The
+// default export owns one; namespace.create() makes one per instance.
+function newConfig() {
+  return {
+    // When true, all error messages include the first 200 chars of the root object
+    // as JSON so you can see what was actually in the tree at the time of the error.
+    errorContext: false,
+    // "dotted" or "pointer" — how paths are written inside error messages.
+    pathFormat: "dotted",
+    // When true, "__proto__", "constructor" and "prototype" may be written
+    // like any other key.  Only for trees and paths you fully trust.
+    allowPrototypeKeys: false,
+    // Path patterns (as segment lists) whose values are masked in error
+    // excerpts — see configure({ redact }) and the redaction section.
+    redactPatterns: [],
+    // Registered { predicate, adapter } pairs; the latest registration wins.
+    adapterRegistry: [],
+  };
+}
 
-const globalConfig = {
-  // When true, all error messages include the first 200 chars of the root object
-  // as JSON so you can see what was actually in the tree at the time of the error.
-  errorContext: false,
-};
+const defaultConfig = newConfig();
+
+// The config of the namespace whose verb is running.  Module code reads every
+// setting through it; the default export's verbs and an instance's verbs swap
+// their own record in for the length of the call (see namespace.create).
+let activeConfig = defaultConfig;
+
+// runWithConfig(config_value, fn, self, args_list) — fn.apply with
+// config_value active, restoring the previous config however fn exits.
+function runWithConfig(config_value, fn, self, args_list) {
+  const previous_value = activeConfig;
+  activeConfig = config_value;
+  try {
+    return fn.apply(self, args_list);
+  } finally {
+    activeConfig = previous_value;
+  }
+}
 
 // configure({ errorContext: true }) — call once at app startup.
+// configure({ redact: ["config.db.password", "**.token"] }) replaces the
+// list of sensitive path patterns; redact: [] clears it.
 function configure(options) {
   if (options && options.errorContext !== undefined) {
-    globalConfig.errorContext = options.errorContext;
+    activeConfig.errorContext = options.errorContext;
+  }
+  if (options && options.pathFormat !== undefined) {
+    if (options.pathFormat !== "dotted" && options.pathFormat !== "pointer") {
+      throw new InvalidArgumentError(`namespace.configure: pathFormat must be "dotted" or "pointer", got ${String(options.pathFormat)}`, { verb: "configure" });
+    }
+    activeConfig.pathFormat = options.pathFormat;
+  }
+  if (options && options.allowPrototypeKeys !== undefined) {
+    activeConfig.allowPrototypeKeys = options.allowPrototypeKeys;
+  }
+  if (options && options.redact !== undefined) {
+    if (!Array.isArray(options.redact)) {
+      throw new InvalidArgumentError("namespace.configure: redact must be an array of path patterns", { verb: "configure", valueType: valueTypeOf(options.redact) });
+    }
+    activeConfig.redactPatterns = asVerb("configure", () => options.redact.map(toPatternSegments));
   }
 }
 
@@ -28,13 +78,264 @@ function isString(value) {
   return typeof value === "string";
 }
 
-// buildErrorMessage(message, rootObject)
+// ── path grammar ─────────────────────────────────────────────────────────────
+//
+// Segments are separated by ".".  Two ways to put a "." (or anything else)
+// inside one segment:
+//   sites.example\.com.owner        — backslash escapes the next character
+//   sites["example.com"].owner      — quoted bracket segment, '…' or "…"
+//
+// A bracket segment may follow a "." or sit directly after another segment.
+// "[" only opens a bracket segment when a quote follows it; otherwise it is
+// an ordinary key character, so existing keys like "a[0]" still resolve.
+
+// parsePath(dottedAddress, patternMode?) → segment list
+// Plain paths (no "\" and no "[") take the split(".") fast route.
+// In patternMode a bare "*" segment becomes the wildcard (see namespace.pattern);
+// escaped or bracketed, it stays a literal key.
+function parsePath(dottedAddress, patternMode) {
+  if (dottedAddress.indexOf("\\") === -1 && dottedAddress.indexOf("[") === -1) {
+    const split_list = dottedAddress.split(".");
+    return patternMode ? split_list.map(wildcardFor) : split_list;
+  }
+
+  const segments_list = [];
+  let segment_value   = "";
+  let segmentEscaped  = false;
+  let afterBracket    = false;
+  let position        = 0;
+  const pushSegment   = () => {
+    segments_list.push(patternMode && !segmentEscaped ? wildcardFor(segment_value) : segment_value);
+    segmentEscaped = false;
+  };
+
+  while (position < dottedAddress.length) {
+    const char = dottedAddress[position];
+
+    if (afterBracket && char !== "." && char !== "[") {
+      throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — expected "." or "[" after "]" at position ${position}`, { path: dottedAddress });
+    }
+
+    if (char === "\\") {
+      if (position + 1 >= dottedAddress.length) {
+        throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — dangling "\\" at end of path`, { path: dottedAddress });
+      }
+      segment_value += dottedAddress[position + 1];
+      segmentEscaped = true;
+      position += 2;
+    } else if (char === ".") {
+      if (!afterBracket) pushSegment();
+      segment_value = "";
+      afterBracket  = false;
+      position += 1;
+    } else if (char === "[" && (dottedAddress[position + 1] === "\"" || dottedAddress[position + 1] === "'")) {
+      // a["x"] — the segment before the bracket ends here
+      if (segment_value !== "") pushSegment();
+      const quote = dottedAddress[position + 1];
+      let bracketed_value = "";
+      position += 2;
+      while (position < dottedAddress.length && dottedAddress[position] !== quote) {
+        if (dottedAddress[position] === "\\" && position + 1 < dottedAddress.length) position += 1;
+        bracketed_value += dottedAddress[position];
+        position += 1;
+      }
+      if (dottedAddress[position] !== quote || dottedAddress[position + 1] !== "]") {
+        throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — unterminated bracket segment`, { path: dottedAddress });
+      }
+      segments_list.push(bracketed_value);
+      segment_value = "";
+      afterBracket  = true;
+      position += 2;
+    } else {
+      segment_value += char;
+      position += 1;
+    }
+  }
+
+  if (!afterBracket) pushSegment();
+  return segments_list;
+}
+
+// formatSegment(segment) — escape one raw key so parsePath reads it back
+// as a single segment: "example.com" → "example\.com".  Numbers format as digits.
+// "[" is only escaped where a quote follows it, so "[]" stays readable.
+function formatSegment(segment) {
+  const segment_value = String(segment);
+  if (!/[.\\]|\[["']/.test(segment_value)) return segment_value;
+  return segment_value.replace(/[.\\]|\[(?=["'])/g, "\\$&");
+}
+
+// formatPath(segments) — inverse of parsePath.  A leading "/" is escaped so
+// the result is never read back as a JSON Pointer.
+function formatPath(segments_list) {
+  return escapeLeadingSlash(segments_list.map(formatSegment).join("."));
+}
+
+function escapeLeadingSlash(dottedPath) {
+  return dottedPath[0] === "/" ? "\\" + dottedPath : dottedPath;
+}
+
+// toSegments(address) → segment list
+// A path is either a string (read with the grammar above, or as a JSON
+// Pointer when it starts with "/") or an array of segments.  Array elements are keys as-is — strings, numbers and Symbols —
+// so runtime values (user ids, file names) never pass through a parser.
+// String paths are parsed once and kept in splitCache; every call gets its
+// own copy.  A full cache is dropped rather than evicted piecemeal.
+const splitCache = new Map();
+const splitCacheSize = 1000;
+
+function toSegments(address) {
+  if (isString(address)) {
+    let segments_list = splitCache.get(address);
+    if (segments_list === undefined) {
+      segments_list = address[0] === "/" ? parsePointer(address) : parsePath(address);
+      if (splitCache.size >= splitCacheSize) splitCache.clear();
+      splitCache.set(address, segments_list);
+    }
+    return segments_list.slice();
+  }
+  if (address.length === 0) throw new InvalidPathError("namespace: segment array cannot be empty", { path: address });
+  for (let segmentIndex = 0; segmentIndex < address.length; segmentIndex++) {
+    const segmentType = typeof address[segmentIndex];
+    if (segmentType !== "string" && segmentType !== "number" && segmentType !== "symbol") {
+      throw new InvalidPathError(`namespace: path segment ${segmentIndex} must be a string, number or symbol, got ${segmentType}`, { path: address, segmentIndex, valueType: segmentType });
+    }
+  }
+  return address.slice();
+}
+
+function isPath(address) {
+  return isString(address) || Array.isArray(address);
+}
+
+// sameSegment(a, b) — "0" and 0 name the same key; Symbols only match themselves.
+function sameSegment(segmentA, segmentB) {
+  if (segmentA === segmentB) return true;
+  if (typeof segmentA === "symbol" || typeof segmentB === "symbol") return false;
+  return String(segmentA) === String(segmentB);
+}
+
+// ── JSON Pointer (RFC 6901) ──────────────────────────────────────────────────
+//
+// A string path that starts with "/" is a JSON Pointer: "/users/alice~1bob/entries/0".
+// Tokens are raw keys — "~1" is "/", "~0" is "~", nothing else is special —
+// so "." needs no escaping in a pointer.  "-" is the append marker, as in
+// the RFC.  A dotted key that really starts with "/" is written "\/key".
+
+// parsePointer(pointer) → segment list
+function parsePointer(pointer) {
+  if (pointer === "") return [];
+  if (pointer[0] !== "/") {
+    throw new InvalidPathError(`namespace: invalid JSON Pointer "${pointer}" — must be empty or start with "/"`, { path: pointer });
+  }
+  return pointer.slice(1).split("/").map((token) => {
+    if (/~[^01]|~$/.test(token)) {
+      throw new InvalidPathError(`namespace: invalid JSON Pointer "${pointer}" — "~" must be followed by 0 or 1`, { path: pointer });
+    }
+    return token.replace(/~1/g, "/").replace(/~0/g, "~");
+  });
+}
+
+// formatPointer(segments) — inverse of parsePointer.  Symbols have no pointer form.
+function formatPointer(segments_list) {
+  return segments_list.map((segment) => {
+    if (typeof segment === "symbol") {
+      throw new InvalidPathError("namespace: Symbol segments have no JSON Pointer form", { path: segments_list, failedSegment: segment });
+    }
+    return "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+  }).join("");
+}
+
+// ── pattern segments ─────────────────────────────────────────────────────────
+//
+// A pattern is a path whose bare "*" segments match any one key and whose
+// bare "**" segments match any number of keys, including none:
+//   users.*.entries        orders.*.items.*.sku        jobs.**.status
+// "\*" or ["*"] is a literal "*" key.  In segment arrays, where every element
+// is a raw key, use namespace.pattern.ANY and namespace.pattern.ANY_DEPTH.
+// Point verbs never read patterns.
+
+const anySegment      = Symbol("namespace.pattern.ANY");
+const anyDepthSegment = Symbol("namespace.pattern.ANY_DEPTH");
+
+function wildcardFor(segment) {
+  if (segment === "*")  return anySegment;
+  if (segment === "**") return anyDepthSegment;
+  return segment;
+}
+
+// isWildcard — either kind; isDeepWildcard — "**" only
+function isWildcard(segment) {
+  return segment === anySegment || segment === anyDepthSegment;
+}
+
+function isDeepWildcard(segment) {
+  return segment === anyDepthSegment;
+}
+
+// _matchSegments(pattern_list, patternIndex, segments_list, segmentIndex)
+// Does the pattern from patternIndex match the path from segmentIndex?
+function _matchSegments(pattern_list, patternIndex, segments_list, segmentIndex) {
+  if (patternIndex === pattern_list.length) return segmentIndex === segments_list.length;
+  const segment = pattern_list[patternIndex];
+  if (isDeepWildcard(segment)) {
+    for (let resumeIndex = segmentIndex; resumeIndex <= segments_list.length; resumeIndex++) {
+      if (_matchSegments(pattern_list, patternIndex + 1, segments_list, resumeIndex)) return true;
+    }
+    return false;
+  }
+  if (segmentIndex === segments_list.length) return false;
+  if (!isWildcard(segment) && !sameSegment(segment, segments_list[segmentIndex])) return false;
+  return _matchSegments(pattern_list, patternIndex + 1, segments_list, segmentIndex + 1);
+}
+
+// toPatternSegments(pattern) → segment list with wildcards in place
+function toPatternSegments(pattern) {
+  if (isString(pattern)) return pattern[0] === "/" ? parsePointer(pattern) : parsePath(pattern, true);
+  return toSegments(pattern);
+}
+
+// describeSegment / describePath — render a segment or path for error
+// messages.  Strings are escaped as in formatPath; Symbols render as
+// [Symbol(description)], which no escaped string segment can look like.
+function describeSegment(segment) {
+  if (segment === anySegment)      return "*";
+  if (segment === anyDepthSegment) return "**";
+  if (typeof segment === "symbol") return "[" + segment.toString() + "]";
+  return formatSegment(segment);
+}
+
+function describePath(address) {
+  if (Array.isArray(address)) return escapeLeadingSlash(address.map(describeSegment).join("."));
+  return String(address);
+}
+
+// reportSegment / reportPath — describeSegment / describePath in the format
+// chosen with configure({ pathFormat }), for error messages only.  Result
+// keys (getEach, allMustExist) stay dotted whatever the setting.
+function reportSegment(segment) {
+  if (activeConfig.pathFormat !== "pointer" || typeof segment === "symbol") return describeSegment(segment);
+  return formatPointer([segment]).slice(1);
+}
+
+function reportPath(address) {
+  if (activeConfig.pathFormat !== "pointer") return describePath(address);
+  try {
+    return formatPointer(toSegments(address));
+  } catch (_ignored) {
+    return describePath(address);
+  }
+}
+
+// buildErrorMessage(message, rootObject, base_list?)
 // Appends the first 200 chars of rootObject JSON to the message when
-// globalConfig.errorContext is true.  Used by every throw in the library.
-function buildErrorMessage(message, rootObject) {
-  if (!globalConfig.errorContext) return message;
+// activeConfig.errorContext is true.  Used by every throw in the library.
+// base_list is where rootObject sits when it is a subtree excerpt, so the
+// redact patterns line up; values they match are masked first.
+function buildErrorMessage(message, rootObject, base_list) {
+  if (!activeConfig.errorContext) return message;
   try {
-    const json_value      = JSON.stringify(rootObject);
+    const json_value      = JSON.stringify(redactValue(rootObject, base_list || []));
     const truncated_value = json_value.length > 200 ? json_value.slice(0, 200) + "…" : json_value;
     return message + "\n  object: " + truncated_value;
   } catch (_ignored) {
@@ -42,19 +343,626 @@ function buildErrorMessage(message, rootObject) {
   }
 }
 
+// ── errors ───────────────────────────────────────────────────────────────────
+//
+// Every throw in the library is a NamespaceError subclass, so callers can
+// branch on error.code (or instanceof) instead of matching message text.
+// Each carries:
+//   .code           — stable string per class, e.g. "PATH_NOT_FOUND"
+//   .verb           — the API the caller invoked ("setNotExists", "batch.allMustExist", …)
+//   .path           — the path as the caller passed it
+//   .failedSegment  — the segment where the contract failed
+//   .segmentIndex   — its zero-based index in the path
+//   .valueType      — type of the value in the way ("number", "array", "null", …;
+//                     "undefined" when the slot is simply empty)
+// Fields that do not apply are null.
+
+class NamespaceError extends Error {
+  constructor(message, details) {
+    super(message);
+    const fields = Object.assign({ verb: null, path: null, failedSegment: null, segmentIndex: null, valueType: null }, details);
+    this.name          = "NamespaceError";
+    this.code          = "NAMESPACE_ERROR";
+    this.verb          = fields.verb;
+    this.path          = fields.path;
+    this.failedSegment = fields.failedSegment;
+    this.segmentIndex  = fields.segmentIndex;
+    this.valueType     = fields.valueType;
+  }
+}
+
+// A MustExist contract found nothing at the path.  Adds the "did you mean"
+// fields: .existingPath (segments of the deepest prefix that exists),
+// .availableKeys (keys there) and .suggestions (close-match paths).
+class PathNotFoundError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    const fields = Object.assign({ existingPath: null, availableKeys: null, suggestions: null }, details);
+    this.name          = "PathNotFoundError";
+    this.code          = "PATH_NOT_FOUND";
+    this.existingPath  = fields.existingPath;
+    this.availableKeys = fields.availableKeys;
+    this.suggestions   = fields.suggestions;
+  }
+}
+
+// A NotExists / MustEmpty contract found something at the path.
+class PathOccupiedError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "PathOccupiedError";
+    this.code = "PATH_OCCUPIED";
+  }
+}
+
+// The path runs through a primitive (or, for namespace(), a non-plain object).
+class NonObjectIntermediateError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NonObjectIntermediateError";
+    this.code = "NON_OBJECT_INTERMEDIATE";
+  }
+}
+
+// A negative array index reaches past the start of the array.
+class IndexOutOfRangeError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "IndexOutOfRangeError";
+    this.code = "INDEX_OUT_OF_RANGE";
+  }
+}
+
+// An adapter container cannot take the write or removal (no set(), no
+// delete(), or an intermediate that would have to be vivified inside it).
+class ContainerWriteError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ContainerWriteError";
+    this.code = "CONTAINER_WRITE";
+  }
+}
+
+// A write would go through "__proto__", "constructor" or "prototype".
+class PrototypePollutionError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "PrototypePollutionError";
+    this.code = "PROTOTYPE_KEY";
+  }
+}
+
+// The path itself is malformed: bad grammar, bad pointer, bad segment type.
+class InvalidPathError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "InvalidPathError";
+    this.code = "INVALID_PATH";
+  }
+}
+
+// Any other argument is unusable: a root that is not an object, bad options.
+class InvalidArgumentError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "InvalidArgumentError";
+    this.code = "INVALID_ARGUMENT";
+  }
+}
+
+// The slot holds the wrong kind of value for the verb: an array verb found a
+// non-array, a counter verb a non-number.  .valueType names what was there.
+class SlotTypeError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "SlotTypeError";
+    this.code = "SLOT_TYPE";
+  }
+}
+
+// A batch verb failed on one or more entries.  .failures lists every one as
+// { key, path, error }: key is the entry's key in the mapping (the path
+// itself where there is no local name), error the point verb's error.
+class BatchError extends NamespaceError {
+  constructor(message, details) {
+    super(message, details);
+    const fields = Object.assign({ failures: [] }, details);
+    this.name     = "BatchError";
+    this.code     = "BATCH_FAILED";
+    this.failures = fields.failures;
+  }
+}
+
+// batchFailureMessage(verb, failures_list, total, outcome) — one line per
+// failing entry, under a summary such as "2 of 3 writes failed — nothing was written".
+function batchFailureMessage(verb, failures_list, total, outcome) {
+  let message = `namespace.${verb}: ${failures_list.length} of ${total} ${outcome}`;
+  for (const failure of failures_list) {
+    message += `\n  ${failure.key}: ${failure.error.message.split("\n")[0]}`;
+  }
+  return message;
+}
+
+// valueTypeOf(value) — the valueType field: typeof, with "null" and "array" split out.
+function valueTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// stepDetails(pathStep, path) — error fields for a failure at pathStep.
+function stepDetails(pathStep, path) {
+  return {
+    verb:          pathStep.verb,
+    path,
+    failedSegment: pathStep.addressComponent,
+    segmentIndex:  pathStep.index,
+    valueType:     valueTypeOf(pathStep.next),
+  };
+}
+
+// missingDetails(verb, object, path) — error fields for a path that does not
+// resolve: the first segment that is absent, what stood in its way, and
+// "did you mean" diagnostics — the deepest prefix that does exist, the keys
+// available there, and keys close to the failing segment.  Two extras ride
+// along for the thrower and are not copied onto the error: .hint, the
+// diagnostics as message lines, and .subtree, the container at the prefix.
+function missingDetails(verb, object, path) {
+  const segments_list = toSegments(path);
+  let current = object;
+  for (let segmentIndex = 0; segmentIndex < segments_list.length; segmentIndex++) {
+    let segment = segments_list[segmentIndex];
+    if (Array.isArray(current)) {
+      const resolvedSegment = resolveArraySegment(current, segment);
+      if (resolvedSegment !== null) segment = resolvedSegment;
+    }
+    let found = false;
+    try {
+      found = hasChild(current, segment);
+    } catch (_ignored) {
+      found = false;
+    }
+    if (!found) {
+      const existing_list = segments_list.slice(0, segmentIndex);
+      const keys_list     = isWalkable(current) && !Array.isArray(current) ? childKeys(current) : [];
+      const suggestions_list = closeMatches(segment, keys_list).map((key) =>
+        existing_list.concat([key], segments_list.slice(segmentIndex + 1))
+      );
+      return {
+        verb,
+        path,
+        failedSegment: segment,
+        segmentIndex,
+        valueType:     isObject(current) ? "undefined" : valueTypeOf(current),
+        existingPath:  existing_list,
+        availableKeys: keys_list.slice(0, diagnosticKeyLimit),
+        suggestions:   suggestions_list.map(describePath),
+        hint:          missingHint(existing_list, current, keys_list, suggestions_list),
+        subtree:       current,
+      };
+    }
+    current = getChild(current, segment);
+  }
+  return { verb, path, hint: "", subtree: object };
+}
+
+// At most this many keys are listed in a message or in error.availableKeys.
+const diagnosticKeyLimit = 20;
+
+// missingHint(existing_list, container, keys_list, suggestions_list) → message lines
+//   deepest existing path: "users"
+//   available keys: "alice", "bob"
+//   did you mean "users.alice.entries"?
+function missingHint(existing_list, container, keys_list, suggestions_list) {
+  const existing_value = existing_list.length === 0 ? "(root)" : `"${reportPath(existing_list)}"`;
+  let hint_value = "\n  deepest existing path: " + existing_value;
+  if (container === null || container === undefined) {
+    hint_value += " is " + String(container);
+  } else if (!isObject(container)) {
+    hint_value += " holds a " + valueTypeOf(container);
+  } else if (Array.isArray(container)) {
+    hint_value += ` holds an array of length ${container.length}`;
+  } else if (keys_list.length === 0) {
+    hint_value += " is empty";
+  } else {
+    const shown_list = keys_list.slice(0, diagnosticKeyLimit).map((key) => `"${reportSegment(key)}"`);
+    if (keys_list.length > diagnosticKeyLimit) shown_list.push(`… ${keys_list.length - diagnosticKeyLimit} more`);
+    hint_value += "\n  available keys: " + shown_list.join(", ");
+  }
+  if (suggestions_list.length > 0) {
+    hint_value += "\n  did you mean " + suggestions_list.map((suggestion) => `"${reportPath(suggestion)}"`).join(" or ") + "?";
+  }
+  return hint_value;
+}
+
+// closeMatches(segment, keys_list) — string keys within a small edit
+// distance of segment, nearest first: typos ("alcie" → "alice") and case slips.
+function closeMatches(segment, keys_list) {
+  if (!isString(segment) && typeof segment !== "number") return [];
+  const wanted_value = String(segment).toLowerCase();
+  const maxDistance  = Math.max(1, Math.floor(wanted_value.length / 3));
+  const scored_list  = [];
+  for (const key of keys_list) {
+    if (!isString(key)) continue;
+    const distance = editDistance(wanted_value, key.toLowerCase());
+    if (distance <= maxDistance) scored_list.push({ key, distance });
+  }
+  scored_list.sort((scoredA, scoredB) => scoredA.distance - scoredB.distance);
+  return scored_list.slice(0, 3).map((scored) => scored.key);
+}
+
+// editDistance(a, b) — Levenshtein distance, counting a swap of two
+// neighbouring characters as one edit.
+function editDistance(stringA, stringB) {
+  const rows_list = [];
+  for (let indexA = 0; indexA <= stringA.length; indexA++) {
+    rows_list.push([indexA]);
+  }
+  for (let indexB = 1; indexB <= stringB.length; indexB++) rows_list[0][indexB] = indexB;
+  for (let indexA = 1; indexA <= stringA.length; indexA++) {
+    for (let indexB = 1; indexB <= stringB.length; indexB++) {
+      const cost = stringA[indexA - 1] === stringB[indexB - 1] ? 0 : 1;
+      let distance = Math.min(
+        rows_list[indexA - 1][indexB] + 1,
+        rows_list[indexA][indexB - 1] + 1,
+        rows_list[indexA - 1][indexB - 1] + cost
+      );
+      if (indexA > 1 && indexB > 1 && stringA[indexA - 1] === stringB[indexB - 2] && stringA[indexA - 2] === stringB[indexB - 1]) {
+        distance = Math.min(distance, rows_list[indexA - 2][indexB - 2] + 1);
+      }
+      rows_list[indexA][indexB] = distance;
+    }
+  }
+  return rows_list[stringA.length][stringB.length];
+}
+
+// asVerb(verb, fn) — run fn, relabelling any NamespaceError with the entry
+// point the caller used (batch.*, pattern.*Each, graftComplement) in place of
+// the inner verb.
+function asVerb(verb, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof NamespaceError) error.verb = verb;
+    throw error;
+  }
+}
+
+// ── array index segments ─────────────────────────────────────────────────────
+//
+// When the container at a segment is an array:
+//   items.0    — index 0 (the string "0" and the number 0 are the same segment)
+//   items.-1   — negative indices count back from the end; -1 is the last
+//   items.[]   — the append marker: the free slot one past the end
+//   items.-    — JSON-Pointer spelling of the append marker
+// On anything other than an array these are ordinary keys.
+
+// parseIndex(segment) → integer, or null when segment is not an index
+function parseIndex(segment) {
+  if (typeof segment === "number") return Number.isInteger(segment) ? segment : null;
+  if (isString(segment) && /^-?(0|[1-9][0-9]*)$/.test(segment)) return Number(segment);
+  return null;
+}
+
+function isAppendSegment(segment) {
+  return segment === "[]" || segment === "-";
+}
+
+// resolveArraySegment(array, segment) → the segment to use on array: the
+// append marker becomes array.length, a negative index counts back from the
+// end, anything else passes through.  null when a negative index reaches
+// past the start.
+function resolveArraySegment(array, segment) {
+  if (isAppendSegment(segment)) return array.length;
+  const index_value = parseIndex(segment);
+  if (index_value === null || index_value >= 0) return segment;
+  return index_value + array.length >= 0 ? index_value + array.length : null;
+}
+
+// emptyContainerFor(segment) — what to vivify when segment comes next: an
+// array ahead of the append marker or index 0, the new array's only free
+// slot; else {}, so a numeric ID like users.5000000 makes a key, not a
+// sparse array.
+function emptyContainerFor(segment) {
+  return isAppendSegment(segment) || parseIndex(segment) === 0 ? [] : {};
+}
+
+// ── containers ───────────────────────────────────────────────────────────────
+//
+// Paths walk three kinds of container:
+//   adapter containers — anything a registered adapter claims (see
+//                        namespace.adapters); Map and Set are built in
+//   arrays             — see array index segments above
+//   anything else      — own properties
+// Writes and removals go through the same helpers, so every verb, flatten,
+// equals and venn agree on what a container holds.
+//
+// An adapter is { name?, has, get, set?, delete?, keys? }:
+//   has(container, key) / get(container, key) — required; reads
+//   set(container, key, value)                — writes; without it the
+//                                               container is read-only
+//   delete(container, key)                    — rm; without it rm throws
+//   keys(container)                           — iterable of segments, for
+//                                               flatten/equals/venn; without
+//                                               it the container is a leaf
+// Writes never vivify inside an adapter container: its entries are created
+// by whoever owns the collection, not implied by a deeper path.
+
+// Map — the segment is the entry key (segment arrays can pass non-string keys)
+const mapAdapter = {
+  name: "Map",
+  has(container, key)        { return container.has(key); },
+  get(container, key)        { return container.get(key); },
+  set(container, key, value) { container.set(key, value); },
+  delete(container, key)     { container.delete(key); },
+  keys(container)            { return container.keys(); },
+};
+
+// Set — the segment tests membership; the value at a member is the member
+const setAdapter = {
+  name: "Set",
+  has(container, key)    { return container.has(key); },
+  get(container, key)    { return container.has(key) ? key : undefined; },
+  delete(container, key) { container.delete(key); },
+  keys(container)        { return container.values(); },
+};
+
+// findAdapter(container) → the adapter that claims container, or undefined
+function findAdapter(container) {
+  if (!isObject(container)) return undefined;
+  for (let entryIndex = activeConfig.adapterRegistry.length - 1; entryIndex >= 0; entryIndex--) {
+    if (activeConfig.adapterRegistry[entryIndex].predicate(container)) return activeConfig.adapterRegistry[entryIndex].adapter;
+  }
+  if (container instanceof Map) return mapAdapter;
+  if (container instanceof Set) return setAdapter;
+  return undefined;
+}
+
+function adapterName(adapter, container) {
+  return adapter.name || (container.constructor && container.constructor.name) || "container";
+}
+
+function hasChild(container, key) {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.has(container, key);
+  return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function getChild(container, key) {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.get(container, key);
+  return container[key];
+}
+
+// childKeys(container) — the segments a container holds, in iteration order.
+function childKeys(container) {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.keys ? Array.from(adapter.keys(container)) : [];
+  return Object.keys(container);
+}
+
+// isWalkable(value) — can flatten/equals/venn look inside value?
+function isWalkable(value) {
+  if (!isObject(value)) return false;
+  const adapter = findAdapter(value);
+  return !adapter || typeof adapter.keys === "function";
+}
+
+// ── prototype keys ───────────────────────────────────────────────────────────
+//
+// "__proto__", "constructor" and "prototype" are refused as keys to write
+// into plain objects and arrays.  Paths often come from request bodies, and
+// writing through these keys reaches Object.prototype.  Adapter containers
+// (Map, …) hold them as ordinary keys.  Trusted callers can lift the guard
+// with configure({ allowPrototypeKeys: true }).
+
+const prototypeKeys = new Set(["__proto__", "constructor", "prototype"]);
+
+// guardPrototypeKey(segment, rootObject, details) — throw if segment may not
+// be written.  details supplies verb, path and segmentIndex for the error.
+function guardPrototypeKey(segment, rootObject, details) {
+  if (activeConfig.allowPrototypeKeys || !prototypeKeys.has(segment)) return;
+  throw new PrototypePollutionError(
+    buildErrorMessage(
+      `namespace: refusing to write prototype key "${reportSegment(segment)}" on path "${reportPath(details.path)}" — pass configure({ allowPrototypeKeys: true }) to allow it`,
+      rootObject
+    ),
+    Object.assign({}, details, { failedSegment: segment })
+  );
+}
+
+// ── redaction ────────────────────────────────────────────────────────────────
+//
+// configure({ redact: [patterns] }) names paths whose values must never reach
+// a log: "config.db.password", "*.token", "**.secret".  Patterns use the
+// pattern-verb grammar, matched against the path from the root; a pattern
+// that matches a container masks all of it.  Error excerpts (the errorContext
+// JSON, the Node entry's util.inspect) always go through redactValue;
+// flatten and venn do when called with { redact: true }.
+
+// The value shown in place of a redacted one.
+const REDACTED = "[redacted]";
+
+// redact(value, basePath?) → value with every sensitive path masked, for
+// logging a tree yourself.  basePath says where value sits in its tree when
+// it is a subtree.
+function redact(value, basePath) {
+  return redactValue(value, basePath === undefined ? [] : toSegments(basePath));
+}
+
+function isRedacted(segments_list) {
+  return activeConfig.redactPatterns.some((pattern_list) => _matchSegments(pattern_list, 0, segments_list, 0));
+}
+
+// redactValue(value, base_list) — value as it may be shown, when it sits at
+// base_list.  Only containers on the way to a masked value are copied (Map
+// stays a Map, arrays stay arrays, anything else becomes a plain object);
+// with nothing to mask the value itself comes back.
+function redactValue(value, base_list) {
+  if (activeConfig.redactPatterns.length === 0) return value;
+  for (let prefixLength = 1; prefixLength <= base_list.length; prefixLength++) {
+    if (isRedacted(base_list.slice(0, prefixLength))) return REDACTED;
+  }
+  return _redactRecurse(value, base_list, new Set());
+}
+
+// _redactRecurse(value, path_list, ancestors) — ancestors holds the
+// containers being copied; a cycle back to one is cut at "[Circular]" so the
+// unmasked original never leaks through the back-reference.
+function _redactRecurse(value, path_list, ancestors) {
+  if (!isWalkable(value)) return value;
+  if (ancestors.has(value)) return "[Circular]";
+  ancestors.add(value);
+  let copy_value = null;
+  for (const key of childKeys(value)) {
+    const child_value = getChild(value, key);
+    const childPath_list = path_list.concat([key]);
+    const shown_value = isRedacted(childPath_list) ? REDACTED : _redactRecurse(child_value, childPath_list, ancestors);
+    if (shown_value === child_value) continue;
+    if (copy_value === null) copy_value = shallowCopy(value);
+    if (copy_value instanceof Map) copy_value.set(key, shown_value);
+    else copy_value[key] = shown_value;
+  }
+  ancestors.delete(value);
+  return copy_value === null ? value : copy_value;
+}
+
+function shallowCopy(container) {
+  if (Array.isArray(container)) return container.slice();
+  if (container instanceof Map) return new Map(container);
+  const copy_value = {};
+  for (const key of childKeys(container)) copy_value[key] = getChild(container, key);
+  return copy_value;
+}
+
+// copyValue(value, copies?, shared_list?, path_list?) — a deep copy of value.
+// Plain objects, arrays, Map, Set and Date are copied; anything else (class
+// instances, functions) is shared.  copies maps each container already
+// copied to its copy, so cycles and repeated references keep their shape.
+// A child whose path (path_list plus its key) matches a pattern in
+// shared_list is shared rather than copied.
+function copyValue(value, copies = new Map(), shared_list = [], path_list = []) {
+  if (!isObject(value)) return value;
+  if (copies.has(value)) return copies.get(value);
+  const copyChild = (child_value, key) => {
+    if (shared_list.length === 0) return copyValue(child_value, copies, shared_list, path_list);
+    const childPath_list = path_list.concat([key]);
+    if (shared_list.some((pattern_list) => _matchSegments(pattern_list, 0, childPath_list, 0))) return child_value;
+    return copyValue(child_value, copies, shared_list, childPath_list);
+  };
+  let copy_value;
+  if (value instanceof Date) {
+    copy_value = new Date(value.getTime());
+    copies.set(value, copy_value);
+  } else if (value instanceof Map) {
+    copy_value = new Map();
+    copies.set(value, copy_value);
+    for (const [key, member_value] of value) copy_value.set(key, copyChild(member_value, key));
+  } else if (value instanceof Set) {
+    copy_value = new Set();
+    copies.set(value, copy_value);
+    for (const member_value of value) copy_value.add(copyChild(member_value, member_value));
+  } else if (Array.isArray(value)) {
+    copy_value = new Array(value.length);
+    copies.set(value, copy_value);
+    for (let index = 0; index < value.length; index++) copy_value[index] = copyChild(value[index], index);
+  } else {
+    const prototype_value = Object.getPrototypeOf(value);
+    if (prototype_value !== Object.prototype && prototype_value !== null) return value;
+    copy_value = Object.create(prototype_value);
+    copies.set(value, copy_value);
+    for (const key of Object.keys(value)) {
+      // defineProperty, so an own "__proto__" key stays a key
+      Object.defineProperty(copy_value, key, { value: copyChild(value[key], key), writable: true, enumerable: true, configurable: true });
+    }
+  }
+  return copy_value;
+}
+
+// assignChild(pathStep, value) — write value into the slot pathStep is at.
+// Every write verb goes through here, so container rules hold everywhere.
+function assignChild(pathStep, value) {
+  if (pathStep.indexOutOfRange) {
+    throw new IndexOutOfRangeError(buildErrorMessage(
+      `namespace: array index ${reportSegment(pathStep.addressComponent)} is out of range on path "${reportPath(pathStep.address)}"`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  refuseSharedWrite(pathStep.object, pathStep.current, false, pathStep.addressComponent, pathStep.address, stepDetails(pathStep, pathStep.address));
+  const adapter = findAdapter(pathStep.current);
+  if (!adapter) {
+    guardPrototypeKey(pathStep.addressComponent, pathStep.object, stepDetails(pathStep, pathStep.address));
+    noteMutation(pathStep, false);
+    pathStep.current[pathStep.addressComponent] = value;
+  } else if (adapter.set) {
+    noteMutation(pathStep, false);
+    adapter.set(pathStep.current, pathStep.addressComponent, value);
+  } else {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot write "${reportSegment(pathStep.addressComponent)}" into a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — its adapter has no set()`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  return value;
+}
+
+// vivifyChild(pathStep, emptyContainer?) — create a missing intermediate.
+// Defaults to emptyContainerFor(next segment).
+function vivifyChild(pathStep, emptyContainer) {
+  const adapter = findAdapter(pathStep.current);
+  if (adapter) {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot vivify "${reportSegment(pathStep.addressComponent)}" inside a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — create the entry first`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  if (emptyContainer === undefined) emptyContainer = emptyContainerFor(pathStep.addressList[pathStep.index + 1]);
+  assignChild(pathStep, emptyContainer);
+  // in a draft, carry on through the draft's view of the new container
+  return forkNodes.has(pathStep.current) ? pathStep.current[pathStep.addressComponent] : emptyContainer;
+}
+
+// removeChild(pathStep) — delete the slot pathStep is at.  Array elements
+// are spliced out so no hole is left behind.
+function removeChild(pathStep) {
+  refuseSharedWrite(pathStep.object, pathStep.current, true, pathStep.addressComponent, pathStep.address, stepDetails(pathStep, pathStep.address));
+  const adapter = findAdapter(pathStep.current);
+  if (adapter) {
+    if (!adapter.delete) {
+      throw new ContainerWriteError(buildErrorMessage(
+        `namespace: cannot remove "${reportSegment(pathStep.addressComponent)}" from a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — its adapter has no delete()`,
+        pathStep.object
+      ), stepDetails(pathStep, pathStep.address));
+    }
+    noteMutation(pathStep, true);
+    adapter.delete(pathStep.current, pathStep.addressComponent);
+  } else if (Array.isArray(pathStep.current) && parseIndex(pathStep.addressComponent) !== null) {
+    noteMutation(pathStep, true);
+    pathStep.current.splice(Number(pathStep.addressComponent), 1);
+  } else {
+    noteMutation(pathStep, true);
+    delete pathStep.current[pathStep.addressComponent];
+  }
+}
+
 // traverse(traversalContext) — walk a dotted path, calling traversalContext.func
 // at every segment.
 //
 // traversalContext must supply:
 //   .object   — the root object to traverse
-//   .address  — dotted path string, or null to return root
+//   .verb     — the calling verb's name, for error fields
+//   .address  — dotted path string or segment array (see path grammar above),
+//               or null to return root
 //   .func(pathStep) — called at each segment; pathStep IS traversalContext
 //
 // pathStep (same object, named for its role inside func) exposes:
 //   .current               — the object at the current depth
 //   .next                  — value at this segment (undefined if absent)
-//   .keyExists             — hasOwnProperty result for this segment
-//   .addressComponent      — the segment string ("users", "alice", …)
+//   .keyExists             — whether the container holds this segment
+//   .addressComponent      — the segment ("users", "alice", 0, Symbol(id), …);
+//                            on arrays, negative indices and the append
+//                            marker arrive already resolved to an index
+//   .indexOutOfRange       — true when a negative index reaches past the start
 //   .finalAddressComponent — true when this is the last segment
 //   .index                 — zero-based segment index
 //   .addressListLength     — total segment count
@@ -69,7 +977,10 @@ function traverse(traversalContext) {
   const dottedAddress  = traversalContext.address;
 
   if (rootObject === undefined || rootObject === null || !isObject(rootObject)) {
-    throw new Error(buildErrorMessage("namespace: object is not a valid root", rootObject));
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", rootObject),
+      { verb: traversalContext.verb, path: dottedAddress, valueType: valueTypeOf(rootObject) }
+    );
   }
 
   if (dottedAddress === null) {
@@ -77,11 +988,20 @@ function traverse(traversalContext) {
     return;
   }
 
-  if (!isString(dottedAddress)) {
-    throw new Error(buildErrorMessage("namespace: address must be a string: " + dottedAddress, rootObject));
+  if (!isPath(dottedAddress)) {
+    throw new InvalidPathError(
+      buildErrorMessage("namespace: address must be a string or segment array: " + String(dottedAddress), rootObject),
+      { verb: traversalContext.verb, path: dottedAddress, valueType: valueTypeOf(dottedAddress) }
+    );
   }
 
-  const addressSegments        = dottedAddress.split(".");
+  let addressSegments;
+  try {
+    addressSegments = toSegments(dottedAddress);
+  } catch (error) {
+    if (error instanceof NamespaceError) error.verb = traversalContext.verb;
+    throw error;
+  }
   traversalContext.addressList        = addressSegments;
   traversalContext.addressListLength  = addressSegments.length;
   traversalContext.returnNow          = false;
@@ -91,13 +1011,18 @@ function traverse(traversalContext) {
   for (let segmentIndex = 0; segmentIndex < addressSegments.length; segmentIndex++) {
     traversalContext.index                = segmentIndex;
     traversalContext.addressComponent     = addressSegments[segmentIndex];
+    traversalContext.indexOutOfRange      = false;
     traversalContext.finalAddressComponent = (segmentIndex >= addressSegments.length - 1);
 
+    if (Array.isArray(traversalContext.current)) {
+      const resolvedSegment = resolveArraySegment(traversalContext.current, traversalContext.addressComponent);
+      if (resolvedSegment === null) traversalContext.indexOutOfRange = true;
+      else traversalContext.addressComponent = resolvedSegment;
+    }
+
     try {
-      traversalContext.keyExists = Object.prototype.hasOwnProperty.call(
-        traversalContext.current, traversalContext.addressComponent
-      );
-      traversalContext.next = traversalContext.current[traversalContext.addressComponent];
+      traversalContext.keyExists = hasChild(traversalContext.current, traversalContext.addressComponent);
+      traversalContext.next      = getChild(traversalContext.current, traversalContext.addressComponent);
     } catch (_ignored) {
       traversalContext.keyExists = false;
       traversalContext.next      = undefined;
@@ -118,8 +1043,15 @@ function traverse(traversalContext) {
 // Returns the value at path, or the NotFound sentinel if any segment is absent.
 // Never writes.
 function getIfExists(object, path) {
+  return lookup(object, path, "getIfExists");
+}
+
+// lookup(object, path, verb) — getIfExists on behalf of verb, which is the
+// name errors report.  Every read verb goes through here.
+function lookup(object, path, verb) {
   const traversalContext = {
     object,
+    verb,
     address: path,
     func(pathStep) {
       if (!pathStep.keyExists) {
@@ -140,45 +1072,62 @@ function getIfExists(object, path) {
 // Returns the value, or throws (opts.errorMessage if given).
 // Never writes.
 function getMustExist(object, path, options) {
-  const foundValue_probed = getIfExists(object, path);
+  return requireFound(lookup(object, path, "getMustExist"), object, path, options);
+}
+
+// requireFound / requireEmpty — the getMustExist and getMustEmpty checks on
+// an already-read value; compile() shares them.
+function requireFound(foundValue_probed, object, path, options) {
   if (foundValue_probed === NotFound) {
+    // a caller's own errorMessage is often shown to end users — keep tree keys out of it
+    const details     = missingDetails("getMustExist", object, path);
     const baseMessage =
       (options && options.errorMessage) ||
-      `namespace.getMustExist: property not found at "${path}"`;
-    throw new Error(buildErrorMessage(baseMessage, object));
+      `namespace.getMustExist: property not found at "${reportPath(path)}"` + details.hint;
+    throw new PathNotFoundError(buildErrorMessage(baseMessage, details.subtree, details.existingPath), details);
   }
   return foundValue_probed;
 }
 
+function requireEmpty(foundValue_probed, object, path) {
+  if (foundValue_probed !== NotFound) {
+    const segments_list = toSegments(path);
+    throw new PathOccupiedError(buildErrorMessage(
+      `namespace.getMustEmpty: path must be empty but value found at "${reportPath(path)}"`,
+      object
+    ), {
+      verb:          "getMustEmpty",
+      path,
+      failedSegment: segments_list[segments_list.length - 1],
+      segmentIndex:  segments_list.length - 1,
+      valueType:     valueTypeOf(foundValue_probed),
+    });
+  }
+}
+
 // getMustEmpty(object, path)
 // Throws if a value is present at path.  Returns nothing useful.
 // Use as a guard on its own line before writing to a slot you know is new.
 function getMustEmpty(object, path) {
-  const foundValue_probed = getIfExists(object, path);
-  if (foundValue_probed !== NotFound) {
-    throw new Error(buildErrorMessage(
-      `namespace.getMustEmpty: path must be empty but value found at "${path}"`,
-      object
-    ));
-  }
+  requireEmpty(lookup(object, path, "getMustEmpty"), object, path);
 }
 
 // getOrDefault(object, path, standIn)
 // Returns the stored value, or standIn if absent.  standIn is a required
 // positional argument — if you want the sentinel, use getIfExists().  Never writes.
 function getOrDefault(object, path, standIn) {
-  const foundValue_probed = getIfExists(object, path);
+  const foundValue_probed = lookup(object, path, "getOrDefault");
   return foundValue_probed === NotFound ? standIn : foundValue_probed;
 }
 
 getOrDefault.syncFunc = function syncFunc(object, path, fn) {
-  const foundValue_probed = getIfExists(object, path);
+  const foundValue_probed = lookup(object, path, "getOrDefault.syncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return fn();
 };
 
 getOrDefault.asyncFunc = async function asyncFunc(object, path, fn) {
-  const foundValue_probed = getIfExists(object, path);
+  const foundValue_probed = lookup(object, path, "getOrDefault.asyncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return await fn();
 };
@@ -189,31 +1138,32 @@ getOrDefault.asyncFunc = async function asyncFunc(object, path, fn) {
 // Create-only: writes value, throws if path already holds something.
 // Auto-vivifies missing intermediate objects.
 function setNotExists(object, path, valueToSet) {
-  if (path === null) throw new Error("namespace.setNotExists: path cannot be null");
+  if (path === null) throw new InvalidPathError("namespace.setNotExists: path cannot be null", { verb: "setNotExists" });
 
   const traversalContext = {
     object,
+    verb:       "setNotExists",
     address:    path,
     valueToSet,
     func(pathStep) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
           // Auto-vivify missing intermediate
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.set: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}"`,
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.set: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (pathStep.keyExists) {
-          throw new Error(buildErrorMessage(
-            `namespace.set: cannot overwrite existing value at "${path}"`,
+          throw new PathOccupiedError(buildErrorMessage(
+            `namespace.set: cannot overwrite existing value at "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -227,28 +1177,39 @@ function setNotExists(object, path, valueToSet) {
 // Update-only: writes value, throws if path is absent.
 // Does NOT auto-vivify — the whole hierarchy must already exist.
 function setMustExist(object, path, valueToSet) {
-  if (path === null) throw new Error("namespace.setMustExist: path cannot be null");
+  if (path === null) throw new InvalidPathError("namespace.setMustExist: path cannot be null", { verb: "setMustExist" });
 
   const traversalContext = {
     object,
+    verb:       "setMustExist",
     address:    path,
     valueToSet,
     func(pathStep) {
       if (!pathStep.finalAddressComponent) {
-        if (!pathStep.keyExists || !isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.setMustExist: path does not exist: "${path}"`,
+        if (!pathStep.keyExists) {
+          const details = missingDetails("setMustExist", object, path);
+          throw new PathNotFoundError(buildErrorMessage(
+            `namespace.setMustExist: path does not exist: "${reportPath(path)}"` + details.hint,
+            details.subtree,
+            details.existingPath
+          ), details);
+        }
+        if (!isObject(pathStep.next)) {
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.setMustExist: path does not exist: "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (!pathStep.keyExists) {
-          throw new Error(buildErrorMessage(
-            `namespace.setMustExist: path must exist but is absent: "${path}"`,
-            object
-          ));
+          const details = missingDetails("setMustExist", object, path);
+          throw new PathNotFoundError(buildErrorMessage(
+            `namespace.setMustExist: path must exist but is absent: "${reportPath(path)}"` + details.hint,
+            details.subtree,
+            details.existingPath
+          ), details);
         }
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -263,21 +1224,22 @@ function setMustExist(object, path, valueToSet) {
 // Auto-vivifies missing intermediate objects.
 // "Many routes converge here; set it if no route has, else keep."
 function setOrDefault(object, path, valueToSet) {
-  if (path === null) throw new Error("namespace.setOrDefault: path cannot be null");
+  if (path === null) throw new InvalidPathError("namespace.setOrDefault: path cannot be null", { verb: "setOrDefault" });
 
   const traversalContext = {
     object,
+    verb:       "setOrDefault",
     address:    path,
     valueToSet,
     func(pathStep) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.setOrDefault: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}"`,
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.setOrDefault: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (pathStep.keyExists) {
@@ -286,7 +1248,7 @@ function setOrDefault(object, path, valueToSet) {
           pathStep.toReturn  = pathStep.next;
         } else {
           // Absent — write the default
-          pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+          assignChild(pathStep, pathStep.valueToSet);
           pathStep.returnNow = true;
           pathStep.toReturn  = pathStep.valueToSet;
         }
@@ -298,16 +1260,17 @@ function setOrDefault(object, path, valueToSet) {
 }
 
 setOrDefault.syncFunc = function syncFunc(object, path, fn) {
-  const foundValue_probed = getIfExists(object, path);
+  const foundValue_probed = lookup(object, path, "setOrDefault.syncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return setOrDefault(object, path, fn());
 };
 
 setOrDefault.asyncFunc = async function asyncFunc(object, path, fn) {
-  const foundValue_probed = getIfExists(object, path);
+  const foundValue_probed = lookup(object, path, "setOrDefault.asyncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
+  const callConfig = activeConfig;
   const resolved = await fn();
-  return setOrDefault(object, path, resolved);
+  return runWithConfig(callConfig, setOrDefault, null, [object, path, resolved]);
 };
 
 // setOverwrite(object, path, value, options?)
@@ -320,30 +1283,31 @@ setOrDefault.asyncFunc = async function asyncFunc(object, path, fn) {
 // Pass { overwriteStructure: true } to override: any non-object intermediate
 // will be replaced with a new object and traversal continues.
 function setOverwrite(object, path, valueToSet, options) {
-  if (path === null) throw new Error("namespace.setOverwrite: path cannot be null");
+  if (path === null) throw new InvalidPathError("namespace.setOverwrite: path cannot be null", { verb: "setOverwrite" });
 
   const traversalContext = {
     object,
+    verb:       "setOverwrite",
     address:    path,
     valueToSet,
     func(pathStep) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
           // Auto-vivify absent intermediate — always allowed
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
           // Intermediate exists but is a primitive
           if (options && options.overwriteStructure) {
-            pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+            pathStep.next = vivifyChild(pathStep);
           } else {
-            throw new Error(buildErrorMessage(
-              `namespace.setOverwrite: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}" — use { overwriteStructure: true } to clobber structure`,
+            throw new NonObjectIntermediateError(buildErrorMessage(
+              `namespace.setOverwrite: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}" — use { overwriteStructure: true } to clobber structure`,
               object
-            ));
+            ), stepDetails(pathStep, path));
           }
         }
       } else {
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -353,41 +1317,254 @@ function setOverwrite(object, path, valueToSet, options) {
   return traversalContext.toReturn;
 }
 
-// ── test verbs ────────────────────────────────────────────────────────────────
-
-// exists(object, path)
-// Returns true iff the path holds something — including 0, false, "", null.
-function exists(object, path) {
-  return getIfExists(object, path) !== NotFound;
+// ── update verbs ─────────────────────────────────────────────────────────────
+//
+// Read-modify-write at one path: fn receives the current value and its
+// result is written back under the matching write contract.  The new value
+// is returned.  fn runs before anything is written, so a throwing fn leaves
+// the tree untouched.
+
+// updateMustExist(object, path, fn)
+// Update-only: as setMustExist, with fn(current) as the value.
+function updateMustExist(object, path, fn) {
+  requireFunction("updateMustExist", fn, "fn");
+  return updateAt(object, path, "updateMustExist", true, undefined, fn);
 }
 
-// isNotFound(value)
-// Returns true iff value is the NotFound sentinel returned by get().
-function isNotFound(value) {
-  return (
-    isObject(value) &&
-    !Array.isArray(value) &&
-    value.namespaceFunctionConstant === "NotFound"
-  );
+// updateOrDefault(object, path, seed, fn)
+// Convergent update: fn(current), or fn(seed) when path is absent.
+// Auto-vivifies missing intermediates, as setOrDefault.
+//   namespace.updateOrDefault(ctx, "stats.hits", 0, (hits) => hits + 1);
+function updateOrDefault(object, path, seed, fn) {
+  requireFunction("updateOrDefault", fn, "fn");
+  return updateAt(object, path, "updateOrDefault", false, seed, fn);
 }
 
-// ── namespace.path ────────────────────────────────────────────────────────────
-//
-// Pure path-string algebra — no tree argument.
-// Every function here takes strings (or arrays of strings) and returns strings.
+// updateAt(object, path, verb, mustExist, seed, fn) — the update traversal on
+// behalf of verb.  mustExist selects the setMustExist contract, otherwise the
+// setOrDefault one.  When fn hands back the node it was given (an in-place
+// edit) the slot is left as it is.
+function updateAt(object, path, verb, mustExist, seed, fn) {
+  if (path === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
 
-const namespacePath = {
-
-  // join("users", userId, "entries")  →  "users.alice.entries"
-  // join("a.b", ["c", "d"])           →  "a.b.c.d"
-  // Each part is split on "." before joining, so partial paths compose cleanly.
+  let computed = false;
+  let newValue;
+  const traversalContext = {
+    object,
+    verb,
+    address: path,
+    func(pathStep) {
+      if (!pathStep.keyExists && mustExist) {
+        const details = missingDetails(verb, object, path);
+        throw new PathNotFoundError(buildErrorMessage(
+          `namespace.${verb}: path must exist but is absent: "${reportPath(path)}"` + details.hint,
+          details.subtree,
+          details.existingPath
+        ), details);
+      }
+      if (!pathStep.finalAddressComponent) {
+        if (!pathStep.keyExists) {
+          // the leaf is absent too — settle the value before vivifying anything
+          if (!computed) { newValue = fn(seed); computed = true; }
+          pathStep.next = vivifyChild(pathStep);
+        } else if (!isObject(pathStep.next)) {
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.${verb}: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
+            object
+          ), stepDetails(pathStep, path));
+        }
+      } else {
+        if (!computed) newValue = fn(pathStep.keyExists ? pathStep.next : seed);
+        pathStep.returnNow = true;
+        pathStep.toReturn  = pathStep.keyExists && newValue === pathStep.next ? newValue : assignChild(pathStep, newValue);
+      }
+    }
+  };
+  traverse(traversalContext);
+  return traversalContext.toReturn;
+}
+
+function requireFunction(verb, fn, argumentName) {
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError(`namespace.${verb}: ${argumentName} must be a function`, { verb, valueType: valueTypeOf(fn) });
+  }
+}
+
+// ── array verbs ──────────────────────────────────────────────────────────────
+//
+// Point contracts for the array at a path.  Arrays are edited in place, so
+// anyone holding the array sees the change; a slot holding anything else
+// throws SlotTypeError.  Inside a transaction each edit is undone on rollback.
+
+// appendOrDefault(object, path, value)
+// Push value onto the array at path, starting a new [] when absent.
+// Auto-vivifies, as setOrDefault.  Returns the array.
+//   namespace.appendOrDefault(ctx, ["users", userId, "entries"], entry);
+function appendOrDefault(object, path, value) {
+  return updateAt(object, path, "appendOrDefault", false, [], (array_node) => {
+    editArray(object, path, "appendOrDefault", array_node).push(value);
+    return array_node;
+  });
+}
+
+// appendMustExist(object, path, value)
+// Push value onto the array at path, which must already exist.  Returns the array.
+function appendMustExist(object, path, value) {
+  return updateAt(object, path, "appendMustExist", true, undefined, (array_node) => {
+    editArray(object, path, "appendMustExist", array_node).push(value);
+    return array_node;
+  });
+}
+
+// insertMustExist(object, path, index, value)
+// Insert value before index in the array at path, which must already exist.
+// index may be the length (append) or negative, counting back from the end
+// as splice does.  Returns the array.
+function insertMustExist(object, path, index, value) {
+  if (!Number.isInteger(index)) {
+    throw new InvalidArgumentError(`namespace.insertMustExist: index must be an integer, got ${String(index)}`, { verb: "insertMustExist", path, valueType: valueTypeOf(index) });
+  }
+  return updateAt(object, path, "insertMustExist", true, undefined, (array_node) => {
+    if (Array.isArray(array_node) && (index > array_node.length || index < -array_node.length)) {
+      throw new IndexOutOfRangeError(buildErrorMessage(
+        `namespace.insertMustExist: index ${index} is out of range for the ${array_node.length}-element array at "${reportPath(path)}"`,
+        object
+      ), { verb: "insertMustExist", path, valueType: "array" });
+    }
+    editArray(object, path, "insertMustExist", array_node).splice(index, 0, value);
+    return array_node;
+  });
+}
+
+// rmWhere(object, path, predicate)
+// Remove every element of the array at path for which predicate(element, index)
+// is truthy.  Returns the removed elements; an absent path removes nothing.
+// predicate sees every element before any is removed, so a throwing predicate
+// leaves the array whole.
+function rmWhere(object, path, predicate) {
+  if (path === null) throw new InvalidPathError("namespace.rmWhere: path cannot be null", { verb: "rmWhere" });
+  requireFunction("rmWhere", predicate, "predicate");
+
+  const array_node = lookup(object, path, "rmWhere");
+  if (array_node === NotFound) return [];
+  const remove_list = requireSlotType(object, path, "rmWhere", array_node, "array").map((element, index) => Boolean(predicate(element, index)));
+  const removed_list = array_node.filter((_element, index) => remove_list[index]);
+  if (removed_list.length > 0) {
+    editArray(object, path, "rmWhere", array_node);
+    let keptCount = 0;
+    for (let index = 0; index < remove_list.length; index++) {
+      if (!remove_list[index]) array_node[keptCount++] = array_node[index];
+    }
+    array_node.length = keptCount;
+  }
+  return removed_list;
+}
+
+// requireSlotType(object, path, verb, value, expectedType) — value, or
+// SlotTypeError when its valueTypeOf is not expectedType ("array", "number").
+function requireSlotType(object, path, verb, value, expectedType) {
+  if (valueTypeOf(value) !== expectedType) {
+    throw new SlotTypeError(buildErrorMessage(
+      `namespace.${verb}: expected ${expectedType === "array" ? "an" : "a"} ${expectedType} at "${reportPath(path)}" but found ${valueTypeOf(value)}`,
+      object
+    ), { verb, path, valueType: valueTypeOf(value) });
+  }
+  return value;
+}
+
+// editArray(object, path, verb, value) — requireSlotType, journaling the array
+// for the edit the caller is about to make.
+function editArray(object, path, verb, value) {
+  requireSlotType(object, path, verb, value, "array");
+  refuseSharedWrite(object, value, false, undefined, path, { verb, path, valueType: "array" });
+  noteArrayEdit(object, value);
+  return value;
+}
+
+// ── counter verbs ────────────────────────────────────────────────────────────
+//
+// Numeric read-modify-write under the updateOrDefault contract: an absent
+// slot starts from seed (default 0) and missing intermediates are vivified.
+// A slot holding anything but a number throws SlotTypeError.  Each returns
+// the new value.
+//   const visits = namespace.incrementOrDefault(ctx, ["users", userId, "visits"]);
+
+// incrementOrDefault(object, path, step = 1, seed = 0)
+function incrementOrDefault(object, path, step = 1, seed = 0) {
+  return accumulateAt(object, path, "incrementOrDefault", step, "step", seed, 1);
+}
+
+// decrementOrDefault(object, path, step = 1, seed = 0)
+function decrementOrDefault(object, path, step = 1, seed = 0) {
+  return accumulateAt(object, path, "decrementOrDefault", step, "step", seed, -1);
+}
+
+// accumulateOrDefault(object, path, amount, seed = 0)
+// Add amount, for running totals:
+//   namespace.accumulateOrDefault(ctx, ["users", userId, "spent"], order.total);
+function accumulateOrDefault(object, path, amount, seed = 0) {
+  return accumulateAt(object, path, "accumulateOrDefault", amount, "amount", seed, 1);
+}
+
+// accumulateAt(object, path, verb, amount, amountName, seed, sign) — add
+// sign * amount on behalf of verb, after checking both numeric arguments.
+function accumulateAt(object, path, verb, amount, amountName, seed, sign) {
+  for (const [argumentName, argument_value] of [[amountName, amount], ["seed", seed]]) {
+    if (typeof argument_value !== "number" || Number.isNaN(argument_value)) {
+      throw new InvalidArgumentError(`namespace.${verb}: ${argumentName} must be a number, got ${String(argument_value)}`, { verb, path, valueType: valueTypeOf(argument_value) });
+    }
+  }
+  return updateAt(object, path, verb, false, seed, (current) => requireSlotType(object, path, verb, current, "number") + sign * amount);
+}
+
+// ── test verbs ────────────────────────────────────────────────────────────────
+
+// exists(object, path)
+// Returns true iff the path holds something — including 0, false, "", null.
+function exists(object, path) {
+  return lookup(object, path, "exists") !== NotFound;
+}
+
+// isNotFound(value)
+// Returns true iff value is the NotFound sentinel returned by get().
+function isNotFound(value) {
+  return (
+    isObject(value) &&
+    !Array.isArray(value) &&
+    value.namespaceFunctionConstant === "NotFound"
+  );
+}
+
+// ── namespace.path ────────────────────────────────────────────────────────────
+//
+// Pure path-string algebra — no tree argument.
+// Every function here takes strings (or arrays of strings) and returns strings.
+// Strings are read with the path grammar; array elements are raw segments,
+// and numbers are accepted wherever a segment is.
+
+const namespacePath = {
+
+  // join("users", userId, "entries")  →  "users.alice.entries"
+  // join("a.b", ["c", "d"])           →  "a.b.c.d"
+  // join("sites", ["example.com"])    →  "sites.example\.com"
+  // join("items", 0, "sku")           →  "items.0.sku"
+  // Each string part is parsed before joining, so partial paths compose cleanly;
+  // array elements and numbers are escaped, so runtime keys can never add
+  // segments.  Symbols have no string form and throw.
   join(...parts) {
     const segments_list = [];
     for (const part of parts) {
-      if (Array.isArray(part))  segments_list.push(...part);
-      else if (isString(part))  segments_list.push(...part.split("."));
+      if (Array.isArray(part))       segments_list.push(...part);
+      else if (isString(part))       segments_list.push(...toSegments(part));
+      else if (typeof part === "number") segments_list.push(part);
+      else throw new InvalidArgumentError("namespace.path.join: parts must be strings, numbers or arrays, got " + typeof part, { verb: "path.join", valueType: valueTypeOf(part) });
+    }
+    for (const segment of segments_list) {
+      if (typeof segment === "symbol") {
+        throw new InvalidPathError("namespace.path.join: Symbol segments have no string form — pass the segment array to the verb instead", { verb: "path.join", path: segments_list, failedSegment: segment });
+      }
     }
-    return segments_list.join(".");
+    return formatPath(segments_list);
   },
 
   // Same as join but uses "/" — for URL-style paths.
@@ -400,30 +1577,65 @@ const namespacePath = {
     return segments_list.join("/");
   },
 
-  // split("a.b.c")  →  ["a", "b", "c"]
+  // split("a.b.c")                   →  ["a", "b", "c"]
+  // split('sites["example.com"].owner') →  ["sites", "example.com", "owner"]
+  // split(["a", 0])                     →  ["a", 0]  (segment arrays pass through)
   split(dottedPath_namespace) {
-    if (!isString(dottedPath_namespace)) {
-      throw new Error("namespace.path.split: path must be a string");
+    if (!isPath(dottedPath_namespace)) {
+      throw new InvalidPathError("namespace.path.split: path must be a string or segment array", { verb: "path.split", path: dottedPath_namespace });
     }
-    return dottedPath_namespace.split(".");
+    return toSegments(dottedPath_namespace);
   },
 
   // isRootOf("users.alice", "users.alice.entries")  →  true
   // isRootOf("users.alice", "users.alice")           →  true  (exact match)
   // isRootOf("users.alice", "users.alicex")          →  false (not a segment boundary)
   isRootOf(rootPath_namespace, targetPath_namespace) {
-    if (!isString(rootPath_namespace) || !isString(targetPath_namespace)) return false;
+    if (!isPath(rootPath_namespace) || !isPath(targetPath_namespace)) return false;
     if (rootPath_namespace === targetPath_namespace) return true;
-    return targetPath_namespace.startsWith(rootPath_namespace + ".");
+    const rootSegments_list   = toSegments(rootPath_namespace);
+    const targetSegments_list = toSegments(targetPath_namespace);
+    if (rootSegments_list.length > targetSegments_list.length) return false;
+    return rootSegments_list.every((segment, index) => sameSegment(segment, targetSegments_list[index]));
+  },
+
+  // match("users.*.entries", "users.alice.entries")  →  true
+  // match("users.*", "users.alice.entries")          →  false (one "*" is one segment)
+  // match("jobs.**.status", "jobs.a.steps.2.status")  →  true
+  // Both arguments may be strings or segment arrays.
+  match(pattern_namespace, path_namespace) {
+    if (!isPath(pattern_namespace) || !isPath(path_namespace)) return false;
+    return _matchSegments(toPatternSegments(pattern_namespace), 0, toSegments(path_namespace), 0);
+  },
+
+  // fromPointer("/users/alice~1bob/entries/0")  →  ["users", "alice/bob", "entries", "0"]
+  // fromPointer("")                              →  []  (the whole document)
+  fromPointer(pointer) {
+    if (!isString(pointer)) {
+      throw new InvalidPathError("namespace.path.fromPointer: pointer must be a string", { verb: "path.fromPointer", path: pointer });
+    }
+    return asVerb("path.fromPointer", () => parsePointer(pointer));
+  },
+
+  // toPointer("users.alice.entries.0")            →  "/users/alice/entries/0"
+  // toPointer(["users", "alice/bob", "entries"])  →  "/users/alice~1bob/entries"
+  // Every verb already accepts the pointer form; this is for handing paths
+  // to services that speak RFC 6901.
+  toPointer(path_namespace) {
+    if (Array.isArray(path_namespace) && path_namespace.length === 0) return "";
+    if (!isPath(path_namespace)) {
+      throw new InvalidPathError("namespace.path.toPointer: path must be a string or segment array", { verb: "path.toPointer", path: path_namespace });
+    }
+    return asVerb("path.toPointer", () => formatPointer(toSegments(path_namespace)));
   },
 
   // tween("a.b.c")           →  "a.children.b.children.c"
   // tween("a.b.c", "items")  →  "a.items.b.items.c"
   // Single-segment paths pass through unchanged.
   tween(dottedPath_namespace, tweenSegment) {
-    if (!isString(dottedPath_namespace)) return undefined;
+    if (!isPath(dottedPath_namespace)) return undefined;
     const separator_value = isString(tweenSegment) ? tweenSegment : "children";
-    return dottedPath_namespace.split(".").join("." + separator_value + ".");
+    return toSegments(dottedPath_namespace).map(describeSegment).join("." + separator_value + ".");
   },
 
 };
@@ -433,30 +1645,59 @@ const namespacePath = {
 // Operations that apply a point contract across multiple paths in one call.
 // Names are PENDING RENAME — implementations are settled, grammar is not.
 
+// Optional mapping entries made by batch.orDefault — frozen { path, standIn }
+// or { path, fn } objects; readAll reads them with getOrDefault.
+const optionalEntries = new WeakSet();
+
+// orDefault(path, standIn) — a destructureMustExist entry that is optional:
+// standIn when path is absent, exactly as getOrDefault.
+//   moodLevel_value: namespace.batch.orDefault("body.moodLevel", null)
+function batchOrDefault(path, standIn) {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.batch.orDefault: path must be a string or segment array: " + String(path), { verb: "batch.orDefault", path });
+  }
+  const entry = Object.freeze({ path, standIn });
+  optionalEntries.add(entry);
+  return entry;
+}
+
+// orDefault.syncFunc(path, fn) — as orDefault, but fn() computes the value,
+// and runs only when path is absent.
+batchOrDefault.syncFunc = function syncFunc(path, fn) {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.batch.orDefault.syncFunc: path must be a string or segment array: " + String(path), { verb: "batch.orDefault.syncFunc", path });
+  }
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError("namespace.batch.orDefault.syncFunc: fn must be a function", { verb: "batch.orDefault.syncFunc", valueType: valueTypeOf(fn) });
+  }
+  const entry = Object.freeze({ path, fn });
+  optionalEntries.add(entry);
+  return entry;
+};
+
 const namespaceBatch = {
 
   // PENDING RENAME
   // destructureMustExist(obj, { localKey: "source.path" })
   // Returns { localKey: value } for each entry — throws if any path is absent.
   // The mapping object IS the preamble contract: every dependency declared once.
+  // An entry made by batch.orDefault is optional and takes its stand-in
+  // instead of throwing, so required and optional inputs share one mapping.
+  // With { reportAll: true } every entry is checked first and one BatchError
+  // lists each missing path under its localKey.
   destructureMustExist(object, mappingDefinition, options) {
-    const result_node = {};
-    for (const [localKey, sourcePath_namespace] of Object.entries(mappingDefinition)) {
-      result_node[localKey] = getMustExist(object, sourcePath_namespace, options);
-    }
-    return result_node;
+    return readAll("batch.destructureMustExist", object, Object.entries(mappingDefinition), options);
   },
 
   // PENDING RENAME
   // allMustExist(obj, ["a.b", "c.d"])
   // Returns { "a.b": value1, "c.d": value2 } — throws if any path is absent.
-  // Keys in the result are the dotted paths themselves.
+  // Keys in the result are the dotted paths themselves (segment arrays are
+  // rendered as dotted strings).  { reportAll: true } as for destructureMustExist.
+  // A batch.orDefault entry is optional here too, keyed by its path.
   allMustExist(object, pathList_namespace, options) {
-    const result_node = {};
-    for (const path_namespace of pathList_namespace) {
-      result_node[path_namespace] = getMustExist(object, path_namespace, options);
-    }
-    return result_node;
+    const entries_list = pathList_namespace.map((entry) => [describePath(optionalEntries.has(entry) ? entry.path : entry), entry]);
+    return readAll("batch.allMustExist", object, entries_list, options);
   },
 
   // PENDING RENAME
@@ -464,67 +1705,1003 @@ const namespaceBatch = {
   // Asserts the path exists, removes it from the tree, returns the value.
   // Use when consuming a message or one-time token from a shared tree.
   extractMustExist(object, path_namespace) {
-    const segments_list        = path_namespace.split(".");
-    const leafKey              = segments_list[segments_list.length - 1];
-    const foundValue           = getMustExist(object, path_namespace);
+    return asVerb("batch.extractMustExist", () => {
+      const foundValue = getMustExist(object, path_namespace);
+      rm(object, path_namespace);
+      return foundValue;
+    });
+  },
 
-    if (segments_list.length === 1) {
-      delete object[leafKey];
-    } else {
-      const parentPath_namespace = segments_list.slice(0, -1).join(".");
-      const parent_probed        = getIfExists(object, parentPath_namespace);
-      if (parent_probed !== NotFound && isObject(parent_probed)) {
-        delete parent_probed[leafKey];
+  // PENDING RENAME
+  // orDefault(path, standIn) / orDefault.syncFunc(path, fn) — optional
+  // entries for destructureMustExist; see batchOrDefault above.
+  orDefault: batchOrDefault,
+
+  // PENDING RENAME
+  // setNotExistsAll(obj, { "a.b": 1, "c.d": 2 })
+  // setNotExists for every entry, or for none: if any contract fails, the
+  // writes already made are undone and one BatchError lists every failing
+  // path.  Entries are written in order, so { "a": 1, "a.b": 2 } fails on "a.b".
+  setNotExistsAll(object, valuesByPath) {
+    writeAll("batch.setNotExistsAll", setNotExists, object, valuesByPath);
+  },
+
+  // PENDING RENAME
+  // setMustExistAll(obj, { "a.b": 1, "c.d": 2 })
+  // setMustExist for every entry, or for none — as setNotExistsAll.
+  setMustExistAll(object, valuesByPath) {
+    writeAll("batch.setMustExistAll", setMustExist, object, valuesByPath);
+  },
+
+};
+
+// readAll(verb, object, entries_list, options) — getMustExist for each
+// [key, path] entry into { key: value }.  Stops at the first failure unless
+// options.reportAll, which collects every failure into one BatchError.
+function readAll(verb, object, entries_list, options) {
+  const result_node = {};
+  const failures_list = [];
+  for (const [key, path_namespace] of entries_list) {
+    try {
+      result_node[key] = optionalEntries.has(path_namespace)
+        ? readOptionalEntry(object, path_namespace)
+        : getMustExist(object, path_namespace, options);
+    } catch (error) {
+      if (!(error instanceof NamespaceError)) throw error;
+      error.verb = verb;
+      if (!(options && options.reportAll)) throw error;
+      failures_list.push({ key, path: optionalEntries.has(path_namespace) ? path_namespace.path : path_namespace, error });
+    }
+  }
+  if (failures_list.length > 0) {
+    throw new BatchError(batchFailureMessage(verb, failures_list, entries_list.length, "paths failed"), { verb, failures: failures_list });
+  }
+  return result_node;
+}
+
+function readOptionalEntry(object, entry) {
+  return "fn" in entry ? getOrDefault.syncFunc(object, entry.path, entry.fn) : getOrDefault(object, entry.path, entry.standIn);
+}
+
+// writeAll(verb, writeVerb, object, valuesByPath) — try every write inside
+// a transaction, collecting contract failures; any failure rolls them all back.
+function writeAll(verb, writeVerb, object, valuesByPath) {
+  if (!isObject(valuesByPath)) {
+    throw new InvalidArgumentError(`namespace.${verb}: values must be an object of { path: value }`, { verb, valueType: valueTypeOf(valuesByPath) });
+  }
+  const entries_list = Object.entries(valuesByPath);
+  asVerb(verb, () => transaction(object, () => {
+    const failures_list = [];
+    for (const [pathKey, value] of entries_list) {
+      try {
+        writeVerb(object, pathKey, value);
+      } catch (error) {
+        if (!(error instanceof NamespaceError)) throw error;
+        error.verb = verb;
+        failures_list.push({ key: pathKey, path: pathKey, error });
       }
     }
-    return foundValue;
+    if (failures_list.length > 0) {
+      throw new BatchError(batchFailureMessage(verb, failures_list, entries_list.length, "writes failed — nothing was written"), { verb, failures: failures_list });
+    }
+  }));
+}
+
+// ── namespace.adapters ───────────────────────────────────────────────────────
+//
+// The container adapter registry — see "containers" above for the adapter shape.
+
+const namespaceAdapters = {
+
+  // register(predicate, adapter)
+  // Teach every verb, flatten, equals and venn to walk containers for which
+  // predicate(container) is true.  Later registrations win over earlier
+  // ones, and all of them over the built-in Map and Set adapters.
+  //   namespace.adapters.register((c) => c instanceof Record, recordAdapter);
+  register(predicate, adapter) {
+    if (typeof predicate !== "function") {
+      throw new InvalidArgumentError("namespace.adapters.register: predicate must be a function", { verb: "adapters.register" });
+    }
+    if (!isObject(adapter) || typeof adapter.has !== "function" || typeof adapter.get !== "function") {
+      throw new InvalidArgumentError("namespace.adapters.register: adapter must supply has() and get()", { verb: "adapters.register" });
+    }
+    activeConfig.adapterRegistry.push({ predicate, adapter });
+    return adapter;
+  },
+
+  // unregister(adapter) — remove every registration of adapter.
+  // Returns true if anything was removed.
+  unregister(adapter) {
+    const lengthBefore = activeConfig.adapterRegistry.length;
+    for (let entryIndex = activeConfig.adapterRegistry.length - 1; entryIndex >= 0; entryIndex--) {
+      if (activeConfig.adapterRegistry[entryIndex].adapter === adapter) activeConfig.adapterRegistry.splice(entryIndex, 1);
+    }
+    return activeConfig.adapterRegistry.length !== lengthBefore;
+  },
+
+  // find(container) — the adapter that would handle container, or undefined
+  // for plain objects and arrays.
+  find(container) {
+    return findAdapter(container);
   },
 
 };
 
+// ── namespace.pattern ────────────────────────────────────────────────────────
+//
+// Pattern verbs — multi-match reads and writes.  A pattern is expanded over
+// the keys that exist (see "pattern segments" above), then the named point
+// contract is applied to every concrete path.  Results are keyed by the
+// concrete dotted path:
+//   namespace.pattern.getEach(ctx, "users.*.entries")
+//   →  { "users.alice.entries": [...], "users.bob.entries": [...] }
+//   namespace.pattern.getEach(ctx, "jobs.**.status", { maxDepth: 4 })
+//   →  every status anywhere under jobs, at most four levels down
+// Writes are separate "…Each" verbs so the point verbs keep their
+// single-path meaning.  Every verb takes options.maxDepth for "**".
+
+// _expandPattern(current, pattern_list, segmentIndex, prefix_list, expansion, deepDepth)
+// Collect the concrete segment lists pattern_list reaches from current into
+// expansion.found_list.  "*" enumerates existing keys.  "**" matches here
+// and then again one level down, up to expansion.maxDepth levels.  A cycle
+// ends the descent: each "**" skips a container already on its current route
+// (expansion.route_list), while a container shared by two routes is walked
+// along each of them.
+// Before any "**", once no wildcard is left the literal tail is emitted
+// whether or not it exists, so write verbs can create it; after a "**",
+// every segment must exist — deep queries only report what is there.
+function _expandPattern(current, pattern_list, segmentIndex, prefix_list, expansion, deepDepth) {
+  if (segmentIndex === pattern_list.length) {
+    expansion.found_list.push(prefix_list);
+    return;
+  }
+  let segment = pattern_list[segmentIndex];
+
+  if (isDeepWildcard(segment)) {
+    if (!expansion.route_list[segmentIndex]) expansion.route_list[segmentIndex] = new WeakSet();
+    const route_set = expansion.route_list[segmentIndex];
+    if (isWalkable(current)) {
+      if (route_set.has(current)) return;
+      route_set.add(current);
+    }
+    _expandPattern(current, pattern_list, segmentIndex + 1, prefix_list, expansion, 0);
+    if (isWalkable(current) && deepDepth < expansion.maxDepth) {
+      for (const key of childKeys(current)) {
+        _expandPattern(getChild(current, key), pattern_list, segmentIndex, prefix_list.concat([key]), expansion, deepDepth + 1);
+      }
+    }
+    if (isWalkable(current)) route_set.delete(current);
+    return;
+  }
+
+  if (isWildcard(segment)) {
+    if (!isWalkable(current)) return;
+    for (const key of childKeys(current)) {
+      _expandPattern(getChild(current, key), pattern_list, segmentIndex + 1, prefix_list.concat([key]), expansion, 0);
+    }
+    return;
+  }
+
+  if (segmentIndex < expansion.firstDeepIndex && !pattern_list.slice(segmentIndex).some(isWildcard)) {
+    expansion.found_list.push(prefix_list.concat(pattern_list.slice(segmentIndex)));
+    return;
+  }
+  if (!isObject(current)) return;
+  if (Array.isArray(current)) {
+    segment = resolveArraySegment(current, segment);
+    if (segment === null) return;
+  }
+  if (!hasChild(current, segment)) return;
+  _expandPattern(getChild(current, segment), pattern_list, segmentIndex + 1, prefix_list.concat([segment]), expansion, 0);
+}
+
+// expandPattern(object, pattern, options, verb) → list of concrete segment lists
+// options.maxDepth — how many levels one "**" may descend (default: no limit)
+function expandPattern(object, pattern, options, verb) {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", object),
+      { verb, path: pattern, valueType: valueTypeOf(object) }
+    );
+  }
+  if (!isPath(pattern)) {
+    throw new InvalidPathError(
+      buildErrorMessage("namespace.pattern: pattern must be a string or segment array: " + String(pattern), object),
+      { verb, path: pattern, valueType: valueTypeOf(pattern) }
+    );
+  }
+  const maxDepth = options && options.maxDepth !== undefined ? options.maxDepth : Infinity;
+  if (maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    throw new InvalidArgumentError(
+      "namespace.pattern: options.maxDepth must be a non-negative integer or Infinity, got " + String(maxDepth),
+      { verb, path: pattern, valueType: valueTypeOf(maxDepth) }
+    );
+  }
+  const pattern_list   = asVerb(verb, () => toPatternSegments(pattern));
+  const firstDeepIndex = pattern_list.findIndex(isDeepWildcard);
+  const expansion = {
+    found_list:     [],
+    route_list:     [],
+    maxDepth,
+    firstDeepIndex: firstDeepIndex === -1 ? pattern_list.length : firstDeepIndex,
+  };
+  _expandPattern(object, pattern_list, 0, [], expansion, 0);
+
+  // "a.**.**.b" can reach one path along several routes — report it once
+  const reported_set = new Set();
+  return expansion.found_list.filter((segments_list) => {
+    const described_value = describePath(segments_list);
+    if (reported_set.has(described_value)) return false;
+    reported_set.add(described_value);
+    return true;
+  });
+}
+
+const namespacePattern = {
+
+  // The wildcards for segment arrays: ["users", namespace.pattern.ANY, "entries"]
+  ANY:       anySegment,
+  ANY_DEPTH: anyDepthSegment,
+
+  // paths(obj, "users.*.entries") → ["users.alice.entries", …]
+  // Every concrete path the pattern expands to — the tail may not exist yet.
+  paths(object, pattern_namespace, options) {
+    return expandPattern(object, pattern_namespace, options, "pattern.paths").map(describePath);
+  },
+
+  // getEach(obj, "users.*.entries") → { concretePath: value }
+  // Only paths that hold something are included.  Never writes.
+  getEach(object, pattern_namespace, options) {
+    const result_node = {};
+    for (const segments_list of expandPattern(object, pattern_namespace, options, "pattern.getEach")) {
+      const foundValue_probed = getIfExists(object, segments_list);
+      if (foundValue_probed !== NotFound) result_node[describePath(segments_list)] = foundValue_probed;
+    }
+    return result_node;
+  },
+
+  // setNotExistsEach / setMustExistEach / setOrDefaultEach / setOverwriteEach
+  // (obj, "users.*.active", value) → { concretePath: result }
+  // Apply the point contract to every match, in order; the first violation
+  // throws with the concrete path, leaving earlier matches written.
+  setNotExistsEach(object, pattern_namespace, valueToSet, options) {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setNotExists(object, segments_list, valueToSet), "pattern.setNotExistsEach");
+  },
+
+  setMustExistEach(object, pattern_namespace, valueToSet, options) {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setMustExist(object, segments_list, valueToSet), "pattern.setMustExistEach");
+  },
+
+  setOrDefaultEach(object, pattern_namespace, valueToSet, options) {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setOrDefault(object, segments_list, valueToSet), "pattern.setOrDefaultEach");
+  },
+
+  setOverwriteEach(object, pattern_namespace, valueToSet, options) {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setOverwrite(object, segments_list, valueToSet, options), "pattern.setOverwriteEach");
+  },
+
+  // rmEach(obj, "sessions.*.token") → { concretePath: removedValue }
+  // Removes from the last match backwards so array indices stay valid.
+  rmEach(object, pattern_namespace, options) {
+    const result_node   = {};
+    const matches_list  = expandPattern(object, pattern_namespace, options, "pattern.rmEach");
+    for (let matchIndex = matches_list.length - 1; matchIndex >= 0; matchIndex--) {
+      const removed_value = asVerb("pattern.rmEach", () => rm(object, matches_list[matchIndex]));
+      if (removed_value !== NotFound) result_node[describePath(matches_list[matchIndex])] = removed_value;
+    }
+    return result_node;
+  },
+
+};
+
+function _eachMatch(object, pattern_namespace, options, applyPointVerb, verb) {
+  const result_node = {};
+  for (const segments_list of expandPattern(object, pattern_namespace, options, verb)) {
+    result_node[describePath(segments_list)] = asVerb(verb, () => applyPointVerb(segments_list));
+  }
+  return result_node;
+}
+
 // ── remove verbs ─────────────────────────────────────────────────────────────
 
 // rm(object, path)
 // Remove the value at path if present; no-op if absent.
 // Returns the removed value, or NotFound if the path was absent.
 function rm(object, path) {
-  const segments = path.split(".");
-  const leafKey = segments[segments.length - 1];
-
-  if (segments.length === 1) {
-    if (!Object.prototype.hasOwnProperty.call(object, leafKey)) return NotFound;
-    const value = object[leafKey];
-    delete object[leafKey];
-    return value;
-  }
-
-  const parentPath = segments.slice(0, -1).join(".");
-  const parent = getIfExists(object, parentPath);
-  if (parent === NotFound || !isObject(parent)) return NotFound;
-  if (!Object.prototype.hasOwnProperty.call(parent, leafKey)) return NotFound;
-  const value = parent[leafKey];
-  delete parent[leafKey];
-  return value;
+  return removeAt(object, path, "rm");
+}
+
+// removeAt(object, path, verb) — rm on behalf of verb, which is the name
+// errors report.
+function removeAt(object, path, verb) {
+  if (path === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
+
+  const traversalContext = {
+    object,
+    verb,
+    address: path,
+    func(pathStep) {
+      if (!pathStep.keyExists) {
+        pathStep.returnNow = true;
+        pathStep.toReturn  = NotFound;
+      } else if (pathStep.finalAddressComponent) {
+        removeChild(pathStep);
+        pathStep.returnNow = true;
+        pathStep.toReturn  = pathStep.next;
+      } else if (!isObject(pathStep.next)) {
+        pathStep.returnNow = true;
+        pathStep.toReturn  = NotFound;
+      }
+    }
+  };
+  traverse(traversalContext);
+  return traversalContext.toReturn;
 }
 
 // rmMustExist(object, path)
 // Remove the value at path. Throws if the path is absent.
 // Returns the removed value.
 function rmMustExist(object, path) {
-  const result = rm(object, path);
+  const result = removeAt(object, path, "rmMustExist");
   if (result === NotFound) {
-    throw new Error(buildErrorMessage(
-      `namespace.rmMustExist: path does not exist: "${path}"`,
-      object
-    ));
+    const details = missingDetails("rmMustExist", object, path);
+    throw new PathNotFoundError(buildErrorMessage(
+      `namespace.rmMustExist: path does not exist: "${reportPath(path)}"` + details.hint,
+      details.subtree,
+      details.existingPath
+    ), details);
   }
   return result;
 }
 
+// ── deep copy ────────────────────────────────────────────────────────────────
+//
+// deepCopy(tree, { shareByReference }) clones a tree — a request context per
+// test or per retry — while live handles (sockets, pools, caches) stay
+// shared.  shareByReference lists paths or patterns in the pattern-verb
+// grammar, matched from the root: "runtime.db", "*.socket", "**.cache".
+
+// deepCopy(tree, options?)
+// Returns a cycle-safe copy of tree.  Plain objects, arrays, Map, Set and
+// Date are copied; class instances and functions are always shared, as is
+// every value at a shareByReference path.
+//   const retry_ctx = namespace.deepCopy(ctx, { shareByReference: ["runtime", "**.socket"] });
+function deepCopy(tree, options) {
+  const shareByReference = (options && options.shareByReference) || [];
+  if (!Array.isArray(shareByReference)) {
+    throw new InvalidArgumentError("namespace.deepCopy: options.shareByReference must be an array of paths or patterns", { verb: "deepCopy", valueType: valueTypeOf(shareByReference) });
+  }
+  const shared_list = asVerb("deepCopy", () => shareByReference.map(toPatternSegments));
+  return copyValue(tree, new Map(), shared_list, []);
+}
+
+// ── move and copy verbs ──────────────────────────────────────────────────────
+//
+// move and copy take the value at fromPath, which must exist, to toPath.
+// options.destination picks the contract there:
+//   "mustEmpty" (default) — as setNotExists: throws if toPath holds a value
+//   "overwrite"           — as setOverwrite
+// copy writes a deep copy (see copyValue); move writes the value itself and
+// removes it from fromPath.  Both run as transactions, so a failed contract
+// leaves source and destination as they were.  Each returns the value now at
+// toPath.
+
+// move(tree, fromPath, toPath, options?)
+//   namespace.move(ctx, "pending.job42", "running.job42");
+function move(tree, fromPath, toPath, options) {
+  return transfer("move", tree, fromPath, tree, toPath, options, true);
+}
+
+// move.between(fromTree, fromPath, toTree, toPath, options?) — move across trees.
+move.between = function between(fromTree, fromPath, toTree, toPath, options) {
+  return transfer("move.between", fromTree, fromPath, toTree, toPath, options, true);
+};
+
+// copy(tree, fromPath, toPath, options?)
+function copy(tree, fromPath, toPath, options) {
+  return transfer("copy", tree, fromPath, tree, toPath, options, false);
+}
+
+// copy.between(fromTree, fromPath, toTree, toPath, options?) — copy across trees.
+copy.between = function between(fromTree, fromPath, toTree, toPath, options) {
+  return transfer("copy.between", fromTree, fromPath, toTree, toPath, options, false);
+};
+
+// transfer(verb, fromTree, fromPath, toTree, toPath, options, removeSource) —
+// move or copy on behalf of verb.  A move runs the removal in a transaction
+// on fromTree around the write's transaction on toTree, so a refused write
+// puts the source back.
+function transfer(verb, fromTree, fromPath, toTree, toPath, options, removeSource) {
+  const destination = (options && options.destination) || "mustEmpty";
+  const write = destination === "mustEmpty" ? setNotExists : destination === "overwrite" ? setOverwrite : null;
+  if (write === null) {
+    throw new InvalidArgumentError(`namespace.${verb}: options.destination must be "mustEmpty" or "overwrite", got ${JSON.stringify(destination)}`, { verb });
+  }
+  if (fromPath === null || toPath === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
+  if (!isObject(toTree)) {
+    throw new InvalidArgumentError(`namespace.${verb}: destination tree must be an object`, { verb, valueType: valueTypeOf(toTree) });
+  }
+
+  return asVerb(verb, () => {
+    const found_value = lookup(fromTree, fromPath, verb);
+    if (found_value === NotFound) {
+      const details = missingDetails(verb, fromTree, fromPath);
+      throw new PathNotFoundError(buildErrorMessage(
+        `namespace.${verb}: source path does not exist: "${reportPath(fromPath)}"` + details.hint,
+        details.subtree,
+        details.existingPath
+      ), details);
+    }
+    if (!removeSource) {
+      const copy_value = copyValue(found_value);
+      return transaction(toTree, () => write(toTree, toPath, copy_value));
+    }
+    if (fromTree === toTree && isPrefixOf(toSegments(fromPath), toSegments(toPath))) {
+      throw new InvalidArgumentError(
+        `namespace.${verb}: cannot move "${reportPath(fromPath)}" into itself at "${reportPath(toPath)}"`,
+        { verb, path: toPath }
+      );
+    }
+    if (reaches(found_value, toTree, new WeakSet())) {
+      throw new InvalidArgumentError(
+        `namespace.${verb}: cannot move "${reportPath(fromPath)}" into itself — the destination tree is the moved value or lies inside it`,
+        { verb, path: toPath }
+      );
+    }
+    return transaction(fromTree, () => {
+      removeAt(fromTree, fromPath, verb);
+      return transaction(toTree, () => write(toTree, toPath, found_value));
+    });
+  });
+}
+
+// reaches(value, target, seen) — target is value or lies somewhere inside it
+function reaches(value, target, seen) {
+  if (value === target) return true;
+  if (!isWalkable(value) || seen.has(value)) return false;
+  seen.add(value);
+  for (const key of childKeys(value)) {
+    if (reaches(getChild(value, key), target, seen)) return true;
+  }
+  return false;
+}
+
+function isPrefixOf(prefix_list, segments_list) {
+  return prefix_list.length <= segments_list.length &&
+    prefix_list.every((segment, index) => String(segment) === String(segments_list[index]));
+}
+
+// ── compiled paths ───────────────────────────────────────────────────────────
+//
+// compile(path) parses path once and returns the verb set bound to it:
+//   const entries_path = namespace.compile("users.alice.entries");
+//   entries_path.getIfExists(ctx);
+//   entries_path.setOrDefault(ctx, []);
+// Reads walk the pre-parsed segments directly — no traversal context, no
+// closure, no split — for handlers that read the same paths on every
+// request.  Writes go through the ordinary verbs with the segment array.
+
+// readSegments(object, segments_list, verb) — lookup() without traverse()
+function readSegments(object, segments_list, verb) {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", object),
+      { verb, path: segments_list, valueType: valueTypeOf(object) }
+    );
+  }
+  let current = object;
+  for (let segmentIndex = 0; segmentIndex < segments_list.length; segmentIndex++) {
+    let segment = segments_list[segmentIndex];
+    if (Array.isArray(current)) {
+      const resolvedSegment = resolveArraySegment(current, segment);
+      if (resolvedSegment !== null) segment = resolvedSegment;
+    }
+    try {
+      if (!hasChild(current, segment)) return NotFound;
+      current = getChild(current, segment);
+    } catch (_ignored) {
+      return NotFound;
+    }
+  }
+  return current;
+}
+
+// compile(path) → compiled path: { path, segments, getIfExists(object), … }
+// Every verb takes the same arguments as the namespace verb, minus path.
+function compile(path) {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.compile: path must be a string or segment array: " + String(path), { verb: "compile", path });
+  }
+  const segments_list = Object.freeze(asVerb("compile", () => toSegments(path)));
+
+  const compiledGetOrDefault = Object.assign(
+    function getOrDefault(object, standIn) {
+      const foundValue_probed = readSegments(object, segments_list, "getOrDefault");
+      return foundValue_probed === NotFound ? standIn : foundValue_probed;
+    },
+    {
+      syncFunc(object, fn) {
+        const foundValue_probed = readSegments(object, segments_list, "getOrDefault.syncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : fn();
+      },
+      async asyncFunc(object, fn) {
+        const foundValue_probed = readSegments(object, segments_list, "getOrDefault.asyncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : await fn();
+      },
+    }
+  );
+
+  const compiledSetOrDefault = Object.assign(
+    function setOrDefault_compiled(object, valueToSet) {
+      return setOrDefault(object, segments_list, valueToSet);
+    },
+    {
+      syncFunc(object, fn) {
+        const foundValue_probed = readSegments(object, segments_list, "setOrDefault.syncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : setOrDefault(object, segments_list, fn());
+      },
+      async asyncFunc(object, fn) {
+        const foundValue_probed = readSegments(object, segments_list, "setOrDefault.asyncFunc");
+        if (foundValue_probed !== NotFound) return foundValue_probed;
+        const callConfig = activeConfig;
+        const resolved = await fn();
+        return runWithConfig(callConfig, setOrDefault, null, [object, segments_list, resolved]);
+      },
+    }
+  );
+
+  return Object.freeze({
+    path:     describePath(segments_list),
+    segments: segments_list,
+    // read
+    getIfExists(object) {
+      return readSegments(object, segments_list, "getIfExists");
+    },
+    getMustExist(object, options) {
+      return requireFound(readSegments(object, segments_list, "getMustExist"), object, path, options);
+    },
+    getMustEmpty(object) {
+      requireEmpty(readSegments(object, segments_list, "getMustEmpty"), object, path);
+    },
+    getOrDefault: compiledGetOrDefault,
+    // write
+    setNotExists(object, valueToSet) {
+      return setNotExists(object, segments_list, valueToSet);
+    },
+    setMustExist(object, valueToSet) {
+      return setMustExist(object, segments_list, valueToSet);
+    },
+    setOrDefault: compiledSetOrDefault,
+    setOverwrite(object, valueToSet, options) {
+      return setOverwrite(object, segments_list, valueToSet, options);
+    },
+    // update
+    updateMustExist(object, fn) {
+      return updateMustExist(object, segments_list, fn);
+    },
+    updateOrDefault(object, seed, fn) {
+      return updateOrDefault(object, segments_list, seed, fn);
+    },
+    // arrays
+    appendOrDefault(object, value) {
+      return appendOrDefault(object, segments_list, value);
+    },
+    appendMustExist(object, value) {
+      return appendMustExist(object, segments_list, value);
+    },
+    insertMustExist(object, index, value) {
+      return insertMustExist(object, segments_list, index, value);
+    },
+    rmWhere(object, predicate) {
+      return rmWhere(object, segments_list, predicate);
+    },
+    // counters
+    incrementOrDefault(object, step, seed) {
+      return incrementOrDefault(object, segments_list, step, seed);
+    },
+    decrementOrDefault(object, step, seed) {
+      return decrementOrDefault(object, segments_list, step, seed);
+    },
+    accumulateOrDefault(object, amount, seed) {
+      return accumulateOrDefault(object, segments_list, amount, seed);
+    },
+    // remove
+    rm(object) {
+      return rm(object, segments_list);
+    },
+    rmMustExist(object) {
+      return rmMustExist(object, segments_list);
+    },
+    // test
+    exists(object) {
+      return readSegments(object, segments_list, "exists") !== NotFound;
+    },
+  });
+}
+
+// ── transactions ─────────────────────────────────────────────────────────────
+//
+// transaction(tree, fn) runs fn(tree) and, if it throws, puts tree back the
+// way it was.  Every write and removal goes through assignChild and
+// removeChild; while a transaction is open on a verb's root object they note
+// what the slot held in the transaction's journal, and a throw replays the
+// journal backwards — restoring overwritten and removed values and deleting
+// vivified intermediates.
+//
+// Only mutations made through the verbs with tree as the root are journaled:
+// not direct assignments, not array.push on a node you fetched, not verbs
+// called on a subtree.  A write a rollback could not undo — a new key in an
+// adapter container without delete(), a removal from one without set() — is
+// refused with ContainerWriteError while a transaction is open on its tree.
+// The array verbs edit in place, so they journal the array's elements before
+// each edit.  A nested transaction on the same tree hands its journal to the
+// enclosing one when it succeeds.
+
+// { tree, journal_list } for every transaction still running, innermost last
+const openTransactions = [];
+
+// noteMutation(pathStep, removing) — called just before a slot changes.
+function noteMutation(pathStep, removing) {
+  if (openTransactions.length === 0) return;
+  const transaction_node = innermostTransaction(pathStep.object);
+  if (transaction_node === undefined) return;
+  const container = pathStep.current;
+  const key       = pathStep.addressComponent;
+  const hadKey    = hasChild(container, key);
+  const adapter   = findAdapter(container);
+  // refuse up front what rollback could not undo, before anything changes
+  const undoable  = !adapter || (removing ? Boolean(adapter.set) || container instanceof Set : hadKey || Boolean(adapter.delete));
+  if (!undoable) {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot ${removing ? "remove" : "add"} "${reportSegment(key)}" ${removing ? "from" : "to"} a ${adapterName(adapter, container)} on path "${reportPath(pathStep.address)}" inside a transaction — its adapter has no ${removing ? "set()" : "delete()"} to roll it back`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  transaction_node.journal_list.push({
+    container,
+    key,
+    hadKey,
+    previousValue:  hadKey ? getChild(container, key) : undefined,
+    adapter,
+    arrayIndex:     Array.isArray(container) && parseIndex(key) !== null,
+    previousLength: Array.isArray(container) ? container.length : undefined,
+    removing,
+  });
+}
+
+// noteArrayEdit(tree, array_node) — called just before an array verb edits
+// array_node in place.
+function noteArrayEdit(tree, array_node) {
+  if (openTransactions.length === 0) return;
+  const transaction_node = innermostTransaction(tree);
+  if (transaction_node === undefined) return;
+  transaction_node.journal_list.push({ container: array_node, elements_list: array_node.slice() });
+}
+
+function innermostTransaction(tree) {
+  for (let transactionIndex = openTransactions.length - 1; transactionIndex >= 0; transactionIndex--) {
+    if (openTransactions[transactionIndex].tree === tree) return openTransactions[transactionIndex];
+  }
+  return undefined;
+}
+
+// undoMutation(entry) — put one journaled slot back.
+function undoMutation(entry) {
+  const { container, key, adapter } = entry;
+  if (entry.elements_list) {
+    container.splice(0, container.length, ...entry.elements_list);
+  } else if (entry.arrayIndex) {
+    if (entry.removing) container.splice(Number(key), 0, entry.previousValue);
+    else if (entry.hadKey) container[key] = entry.previousValue;
+    else container.length = entry.previousLength;
+  } else if (adapter) {
+    if (!entry.hadKey) adapter.delete(container, key);
+    else if (adapter.set) adapter.set(container, key, entry.previousValue);
+    else if (container instanceof Set) container.add(key);
+  } else if (entry.hadKey) {
+    container[key] = entry.previousValue;
+  } else {
+    delete container[key];
+  }
+}
+
+function closeTransaction(transaction_node, succeeded) {
+  openTransactions.splice(openTransactions.indexOf(transaction_node), 1);
+  if (succeeded) {
+    const enclosing_node = innermostTransaction(transaction_node.tree);
+    if (enclosing_node !== undefined) enclosing_node.journal_list.push(...transaction_node.journal_list);
+    return;
+  }
+  for (let entryIndex = transaction_node.journal_list.length - 1; entryIndex >= 0; entryIndex--) {
+    undoMutation(transaction_node.journal_list[entryIndex]);
+  }
+}
+
+function openTransaction(tree, fn, verb) {
+  if (!isObject(tree)) {
+    throw new InvalidArgumentError(`namespace.${verb}: tree must be an object`, { verb, valueType: valueTypeOf(tree) });
+  }
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError(`namespace.${verb}: fn must be a function`, { verb, valueType: valueTypeOf(fn) });
+  }
+  const transaction_node = { tree, journal_list: [] };
+  openTransactions.push(transaction_node);
+  return transaction_node;
+}
+
+// transaction(tree, fn)
+// Returns fn(tree).  If fn throws, every journaled mutation is undone and
+// the error is rethrown.  fn must be synchronous — see asyncFunc.
+function transaction(tree, fn) {
+  const transaction_node = openTransaction(tree, fn, "transaction");
+  let result;
+  try {
+    result = fn(tree);
+  } catch (error) {
+    closeTransaction(transaction_node, false);
+    throw error;
+  }
+  if (isObject(result) && typeof result.then === "function") {
+    closeTransaction(transaction_node, false);
+    throw new InvalidArgumentError("namespace.transaction: fn returned a promise — use transaction.asyncFunc", { verb: "transaction" });
+  }
+  closeTransaction(transaction_node, true);
+  return result;
+}
+
+// transaction.asyncFunc(tree, fn)
+// Awaits fn(tree); rolls back if it rejects.  The journal stays open until
+// fn settles, so verb writes on tree from other tasks in that window are
+// rolled back with it.  Only one transaction may be open on a tree when an
+// async one starts: two overlapping ones would share a journal, and one's
+// failure would undo what the other had committed.
+transaction.asyncFunc = async function asyncFunc(tree, fn) {
+  refuseOverlap(tree);
+  const transaction_node = openTransaction(tree, fn, "transaction.asyncFunc");
+  let result;
+  try {
+    result = await fn(tree);
+  } catch (error) {
+    closeTransaction(transaction_node, false);
+    throw error;
+  }
+  closeTransaction(transaction_node, true);
+  return result;
+};
+
+function refuseOverlap(tree) {
+  if (openTransactions.length > 0 && innermostTransaction(tree) !== undefined) {
+    throw new InvalidArgumentError(
+      "namespace.transaction.asyncFunc: a transaction is already open on this tree — run overlapping work in one transaction, or fork the tree",
+      { verb: "transaction.asyncFunc" }
+    );
+  }
+}
+
+// ── forks ────────────────────────────────────────────────────────────────────
+//
+// fork(tree) → a draft: a copy-on-write overlay of tree.  Every verb works on
+// the draft as on any tree.  Reads fall through to tree; the first write into
+// a container gives the draft its own shallow copy of that container, and
+// only that container.  fork.commit(draft) writes the copied containers back
+// into tree, in place; fork.discard(draft) drops them.  Either way the draft
+// stays usable and falls through to tree again.
+//
+// Plain objects and arrays are overlaid by a Proxy, so Array.isArray, JSON
+// and the container helpers see them as what they are.  Map and Set cannot be
+// proxied; the draft copies one when it is first read, and commits the copy
+// only once it has been written.  Other containers (class instances, custom
+// adapters) are shared with tree, not overlaid.
+//
+// commit and discard retire every view handed out but the draft itself: a
+// write through a view read before them throws ContainerWriteError rather
+// than landing in neither the tree nor the draft.  So does a verb's write
+// into a container the draft shares with tree: it would reach tree and
+// survive fork.discard.
+//
+// namespace.venn(tree, draft, { compareValues: true }) lists the pending
+// changes.  commit replaces each copied container's contents wholesale: a
+// change made directly on tree to a container the draft also wrote is lost.
+
+// root draft → { parent, nodes, copied_list }
+const forkRecords = new WeakMap();
+// every view a fork has handed out → its node { original, copy, view }
+const forkNodes = new WeakMap();
+
+function isOverlayable(value) {
+  if (!isObject(value)) return false;
+  if (Array.isArray(value)) return true;
+  const prototype_value = Object.getPrototypeOf(value);
+  return (prototype_value === Object.prototype || prototype_value === null) && !findAdapter(value);
+}
+
+// forkView(fork_record, value) — what the draft shows in place of value
+function forkView(fork_record, value) {
+  if (!isObject(value) || forkNodes.has(value)) return value;
+  let node = fork_record.nodes.get(value);
+  if (node === undefined) {
+    if (isOverlayable(value)) {
+      node = { original: value, copy: null, view: null };
+      node.view = new Proxy(Array.isArray(value) ? [] : {}, forkHandler(fork_record, node));
+    } else if (value instanceof Map) {
+      const copy_value = new Map(Array.from(value, ([key, entry]) => [key, forkView(fork_record, entry)]));
+      node = { original: value, copy: copy_value, view: copy_value };
+      watchCollection(fork_record, node, ["set", "delete", "clear"]);
+    } else if (value instanceof Set) {
+      const copy_value = new Set(value);
+      node = { original: value, copy: copy_value, view: copy_value };
+      watchCollection(fork_record, node, ["add", "delete", "clear"]);
+    } else {
+      return value;
+    }
+    fork_record.nodes.set(value, node);
+    forkNodes.set(node.view, node);
+  }
+  return node.view;
+}
+
+// noteForkWrite(fork_record, node) — refuse a write through a retired view,
+// and queue node for commit on its first write
+function noteForkWrite(fork_record, node) {
+  if (fork_record.nodes.get(node.original) !== node) {
+    throw new ContainerWriteError("namespace.fork: this view was read from the draft before fork.commit or fork.discard — read it from the draft again", { verb: "fork", valueType: valueTypeOf(node.original) });
+  }
+  if (!fork_record.copied_list.includes(node)) fork_record.copied_list.push(node);
+}
+
+// refuseSharedWrite(tree, container, removing, segment, path, details) —
+// throw when tree is a draft (or a view from one) and container is not
+// overlaid by it.  segment is undefined for an in-place array edit.
+function refuseSharedWrite(tree, container, removing, segment, path, details) {
+  if (!forkNodes.has(tree) || forkNodes.has(container)) return;
+  const name = Array.isArray(container) ? "array" : adapterName(findAdapter(container) || {}, container);
+  const change = segment === undefined
+    ? "edit the array"
+    : `${removing ? "remove" : "write"} "${reportSegment(segment)}" ${removing ? "from" : "into"} ${/^[aeiou]/i.test(name) ? "an" : "a"} ${name}`;
+  throw new ContainerWriteError(buildErrorMessage(
+    `namespace: cannot ${change} on path "${reportPath(path)}" through a fork — the draft shares it with the tree, so fork.discard could not undo the change`,
+    tree
+  ), details);
+}
+
+// watchCollection(fork_record, node, method_list) — shadow the mutating
+// methods of a Map or Set copy so a write queues it for commit.  A Map entry
+// is stored as the draft's view of its value, like the entries copied in.
+function watchCollection(fork_record, node, method_list) {
+  for (const method of method_list) {
+    const inherited = Object.getPrototypeOf(node.copy)[method];
+    Object.defineProperty(node.copy, method, {
+      configurable: true,
+      writable: true,
+      value(...argument_list) {
+        noteForkWrite(fork_record, node);
+        if (method === "set") argument_list[1] = forkView(fork_record, argument_list[1]);
+        return inherited.apply(this, argument_list);
+      },
+    });
+  }
+}
+
+// forkHandler(fork_record, node) — Proxy traps that read node.copy once it
+// exists and node.original until then, and copy on the first write.  The
+// proxy target is an empty stand-in of the same kind, never the original.
+function forkHandler(fork_record, node) {
+  const backing = () => node.copy || node.original;
+  const writable = () => {
+    noteForkWrite(fork_record, node);
+    if (node.copy === null) {
+      node.copy = Array.isArray(node.original)
+        ? node.original.slice()
+        : Object.assign(Object.create(Object.getPrototypeOf(node.original)), node.original);
+    }
+    return node.copy;
+  };
+  return {
+    get(target, key) {
+      const value = Reflect.get(backing(), key);
+      return Object.prototype.hasOwnProperty.call(backing(), key) ? forkView(fork_record, value) : value;
+    },
+    set(target, key, value) {
+      return Reflect.set(writable(), key, value);
+    },
+    deleteProperty(target, key) {
+      return Reflect.deleteProperty(writable(), key);
+    },
+    defineProperty(target, key, descriptor) {
+      return Reflect.defineProperty(writable(), key, descriptor);
+    },
+    has(target, key) {
+      return Reflect.has(backing(), key);
+    },
+    ownKeys() {
+      return Reflect.ownKeys(backing());
+    },
+    getOwnPropertyDescriptor(target, key) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(backing(), key);
+      // an array's length must be reported as the stand-in has it: non-configurable
+      if (descriptor === undefined || (key === "length" && Array.isArray(target))) return descriptor;
+      if ("value" in descriptor) descriptor.value = forkView(fork_record, descriptor.value);
+      descriptor.configurable = true;
+      return descriptor;
+    },
+    getPrototypeOf() {
+      return Object.getPrototypeOf(node.original);
+    },
+  };
+}
+
+// unwrapForkView(value) — the original behind a view stored in a copy
+function unwrapForkView(value) {
+  return isObject(value) && forkNodes.has(value) ? forkNodes.get(value).original : value;
+}
+
+function ownEnumerableKeys(object) {
+  return Reflect.ownKeys(object).filter((key) => Object.prototype.propertyIsEnumerable.call(object, key));
+}
+
+function forkRecordOf(draft, verb) {
+  const fork_record = isObject(draft) ? forkRecords.get(draft) : undefined;
+  if (fork_record === undefined) {
+    throw new InvalidArgumentError(`namespace.${verb}: draft must be a tree returned by namespace.fork`, { verb, valueType: valueTypeOf(draft) });
+  }
+  return fork_record;
+}
+
+// resetFork(fork_record) — retire every view but the draft's own
+function resetFork(fork_record) {
+  const root_node = fork_record.nodes.get(fork_record.parent);
+  // a retired proxy view reads through to the tree; a Map or Set copy is its own view
+  for (const node of fork_record.copied_list) if (node.copy !== node.view) node.copy = null;
+  fork_record.copied_list = [];
+  fork_record.nodes = new WeakMap([[fork_record.parent, root_node]]);
+}
+
+// fork(tree) → draft
+function fork(tree) {
+  if (!isOverlayable(tree)) {
+    throw new InvalidArgumentError("namespace.fork: tree must be a plain object or an array", { verb: "fork", valueType: valueTypeOf(tree) });
+  }
+  const fork_record = { parent: tree, nodes: new WeakMap(), copied_list: [] };
+  const draft = forkView(fork_record, tree);
+  forkRecords.set(draft, fork_record);
+  return draft;
+}
+
+// fork.commit(draft) — apply the draft's writes and removals to its tree.
+// Returns the tree.
+fork.commit = function commit(draft) {
+  const fork_record = forkRecordOf(draft, "fork.commit");
+  for (const { original, copy } of fork_record.copied_list) {
+    if (original instanceof Map) {
+      original.clear();
+      for (const [key, entry] of copy) original.set(key, unwrapForkView(entry));
+    } else if (original instanceof Set) {
+      original.clear();
+      for (const member of copy) original.add(member);
+    } else if (Array.isArray(original)) {
+      original.length = copy.length;
+      for (let entryIndex = 0; entryIndex < copy.length; entryIndex++) original[entryIndex] = unwrapForkView(copy[entryIndex]);
+    } else {
+      for (const key of ownEnumerableKeys(original)) {
+        if (!Object.prototype.hasOwnProperty.call(copy, key)) delete original[key];
+      }
+      for (const key of ownEnumerableKeys(copy)) original[key] = unwrapForkView(copy[key]);
+    }
+  }
+  resetFork(fork_record);
+  return fork_record.parent;
+};
+
+// fork.discard(draft) — drop the draft's writes and removals.
+fork.discard = function discard(draft) {
+  resetFork(forkRecordOf(draft, "fork.discard"));
+};
+
 // ── internal helper for complement tree building ─────────────────────────────
 
-function _setDeep(target, dottedPath, value) {
-  const segments = dottedPath.split(".");
+function _setDeep(target, dottedPath, value, verb) {
+  const segments = parsePath(dottedPath);
+  segments.forEach((segment, segmentIndex) => guardPrototypeKey(segment, target, { verb, path: dottedPath, segmentIndex }));
   let current = target;
   for (let i = 0; i < segments.length - 1; i++) {
     if (!Object.prototype.hasOwnProperty.call(current, segments[i]) || !isObject(current[segments[i]])) {
@@ -550,13 +2727,18 @@ function _equalsRecurse(obj1, obj2, seen) {
   }
   seenSet.add(obj2);
 
-  const keys1 = Object.keys(obj1);
-  const keys2 = Object.keys(obj2);
+  // a Map never equals a plain object with the same entries, nor a Set an
+  // array; containers an adapter cannot list are only equal to themselves
+  if (findAdapter(obj1) !== findAdapter(obj2)) return false;
+  if (!isWalkable(obj1)) return false;
+
+  const keys1 = childKeys(obj1);
+  const keys2 = childKeys(obj2);
   if (keys1.length !== keys2.length) return false;
 
   for (const key of keys1) {
-    if (!(key in obj2)) return false;
-    if (!_equalsRecurse(obj1[key], obj2[key], seen)) return false;
+    if (!hasChild(obj2, key)) return false;
+    if (!_equalsRecurse(getChild(obj1, key), getChild(obj2, key), seen)) return false;
   }
   return true;
 }
@@ -568,7 +2750,9 @@ function equals(object1, object2) {
 }
 
 function _vennRecurse(obj1, obj2, fullAddress, result, compareValues, seen) {
-  const prefix = fullAddress !== null ? fullAddress + "." : "";
+  // keys are escaped so every reported path parses back to the same segments;
+  // a top-level key is formatted as a whole path, so "/a" never reads as a pointer
+  const childPath = (key) => fullAddress !== null ? fullAddress + "." + formatSegment(key) : formatPath([key]);
 
   if (isObject(obj1) && isObject(obj2)) {
     let seenSet = seen.get(obj1);
@@ -578,16 +2762,16 @@ function _vennRecurse(obj1, obj2, fullAddress, result, compareValues, seen) {
   }
 
   let obj2KeyList = null;
-  if (isObject(obj2)) obj2KeyList = Object.keys(obj2);
+  if (isObject(obj2)) obj2KeyList = childKeys(obj2);
 
-  for (const key of Object.keys(obj1)) {
-    const path = prefix + key;
-    const value = obj1[key];
+  for (const key of childKeys(obj1)) {
+    const path = childPath(key);
+    const value = getChild(obj1, key);
 
-    if (!isObject(obj2) || !(key in obj2) || typeof value === "function") {
+    if (!isObject(obj2) || !hasChild(obj2, key) || typeof value === "function") {
       result.inOneNotTwo.push(path);
       result.changed = true;
-      _setDeep(result.complementOfTwo, path, value);
+      _setDeep(result.complementOfTwo, path, value, "venn");
       continue;
     }
 
@@ -596,28 +2780,30 @@ function _vennRecurse(obj1, obj2, fullAddress, result, compareValues, seen) {
       if (idx !== -1) obj2KeyList.splice(idx, 1);
     }
 
-    if (isObject(value)) {
-      _vennRecurse(value, obj2[key], path, result, compareValues, seen);
-    } else if (compareValues && value !== obj2[key]) {
+    if (isWalkable(value)) {
+      _vennRecurse(value, getChild(obj2, key), path, result, compareValues, seen);
+    } else if (compareValues && value !== getChild(obj2, key)) {
       if (!result.changedValues_list) result.changedValues_list = [];
-      result.changedValues_list.push({ path, one: value, two: obj2[key] });
+      result.changedValues_list.push({ path, one: value, two: getChild(obj2, key) });
       result.changed = true;
     }
   }
 
   if (obj2KeyList && obj2KeyList.length > 0) {
     for (const key of obj2KeyList) {
-      const path = prefix + key;
+      const path = childPath(key);
       result.inTwoNotOne.push(path);
       result.changed = true;
-      _setDeep(result.complementOfOne, path, obj2[key]);
+      _setDeep(result.complementOfOne, path, getChild(obj2, key), "venn");
     }
   }
 }
 
+// venn(object1, object2, { redact: true }) masks redacted paths in the
+// complement trees and in changedValues_list.
 function venn(object1, object2, options) {
   if (!isObject(object1)) {
-    throw new Error("namespace.venn: object1 must be an object");
+    throw new InvalidArgumentError("namespace.venn: object1 must be an object", { verb: "venn", valueType: valueTypeOf(object1) });
   }
 
   const result = {
@@ -634,27 +2820,198 @@ function venn(object1, object2, options) {
   _vennRecurse(object1, object2, null, result, !!(options && options.compareValues), new WeakMap());
 
   if (result.changed !== true) return undefined;
+  if (options && options.redact) {
+    result.complementOfTwo = redactValue(result.complementOfTwo, []);
+    result.complementOfOne = redactValue(result.complementOfOne, []);
+    if (result.changedValues_list) {
+      result.changedValues_list = result.changedValues_list.map((change) => {
+        const segments_list = parsePath(change.path);
+        return { path: change.path, one: redactValue(change.one, segments_list), two: redactValue(change.two, segments_list) };
+      });
+    }
+  }
   return result;
 }
 
 function graftComplement(target, vennData, options) {
-  if (!isObject(target)) throw new Error("namespace.graftComplement: target must be an object");
-  if (!isObject(vennData)) throw new Error("namespace.graftComplement: vennData must be an object");
+  if (!isObject(target)) {
+    throw new InvalidArgumentError("namespace.graftComplement: target must be an object", { verb: "graftComplement", valueType: valueTypeOf(target) });
+  }
+  if (!isObject(vennData)) {
+    throw new InvalidArgumentError("namespace.graftComplement: vennData must be an object", { verb: "graftComplement", valueType: valueTypeOf(vennData) });
+  }
 
-  for (const pathEntry of vennData.inOneNotTwo) {
-    const value = getMustExist(vennData.complementOfTwo, pathEntry);
-    setOverwrite(target, pathEntry, value, options);
+  return asVerb("graftComplement", () => {
+    for (const pathEntry of vennData.inOneNotTwo) {
+      const value = getMustExist(vennData.complementOfTwo, pathEntry);
+      setOverwrite(target, pathEntry, value, options);
+    }
+    return target;
+  });
+}
+
+// merge(target, source, policy?) — deep-merge source into target in place,
+// for layering config files.  Plain objects and Maps on both sides are
+// merged key by key; where the two hold different values of any other kind,
+// the policy decides.  policy is one mode for every path, or an object
+// mapping path patterns to modes: the first pattern matching the path where
+// the values meet wins, and "takeSource" applies where none does.  A
+// keepTarget or throwOnConflict rule on a path where two objects or Maps meet
+// also settles every conflict beneath it that no rule of its own matches.
+//   "keepTarget"      — the target's value stays
+//   "takeSource"      — the source's value replaces it
+//   "throwOnConflict" — PathOccupiedError
+//   "concat"          — arrays: the source's elements are appended
+//   "union"           — arrays: source elements not already present (equals) are appended
+//   { mergeBy: "id" } — arrays of objects: elements with the same id are
+//                       merged, the rest appended
+// Array modes apply where an array meets an array; where only one side holds
+// an array they throw SlotTypeError, and where neither does they take the
+// source, as the default does.
+// Values taken from source are deep copies (copyValue).  The merge runs as a
+// transaction on target, so a throw leaves target untouched.
+// Returns { added, replaced, conflicted }: paths added from source, paths
+// whose value source replaced, and every path where the two differed.
+//   namespace.merge(config, overrides, { "plugins": { mergeBy: "name" }, "secrets.**": "keepTarget" });
+function merge(target, source, policy) {
+  if (!isObject(target)) {
+    throw new InvalidArgumentError("namespace.merge: target must be an object", { verb: "merge", valueType: valueTypeOf(target) });
   }
-  return target;
+  if (!isObject(source)) {
+    throw new InvalidArgumentError("namespace.merge: source must be an object", { verb: "merge", valueType: valueTypeOf(source) });
+  }
+
+  const report = { added: [], replaced: [], conflicted: [] };
+  return asVerb("merge", () => {
+    const rule_list = toMergeRules(policy);
+    transaction(target, () => _mergeRecurse(target, target, source, [], rule_list, "takeSource", report, new Set()));
+    return report;
+  });
+}
+
+// toMergeRules(policy) → [{ pattern_list, mode }] in declaration order
+function toMergeRules(policy) {
+  if (policy === undefined) return [];
+  if (isString(policy)) return [{ pattern_list: [anyDepthSegment], mode: checkMergeMode(policy, "**") }];
+  if (!isObject(policy)) {
+    throw new InvalidArgumentError("namespace.merge: policy must be a mode or an object mapping patterns to modes", { verb: "merge", valueType: valueTypeOf(policy) });
+  }
+  return Object.keys(policy).map((pattern) => ({ pattern_list: toPatternSegments(pattern), mode: checkMergeMode(policy[pattern], pattern) }));
+}
+
+function checkMergeMode(mode, pattern) {
+  if (["keepTarget", "takeSource", "throwOnConflict", "concat", "union"].includes(mode)) return mode;
+  if (isObject(mode) && isString(mode.mergeBy)) return mode;
+  throw new InvalidArgumentError(`namespace.merge: unknown policy ${JSON.stringify(mode)} for "${pattern}"`, { verb: "merge", valueType: valueTypeOf(mode) });
+}
+
+// mergeModeAt(rule_list, path_list, inheritedMode) — the first rule matching
+// path_list, else the keepTarget or throwOnConflict inherited from an
+// enclosing path where two objects or Maps met, else "takeSource"
+function mergeModeAt(rule_list, path_list, inheritedMode) {
+  const rule = rule_list.find((candidate) => _matchSegments(candidate.pattern_list, 0, path_list, 0));
+  return rule === undefined ? inheritedMode : rule.mode;
+}
+
+// plain objects and Maps merge key by key; everything else meets as a value
+function _isMergeable(value) {
+  return value instanceof Map || (isOverlayable(value) && !Array.isArray(value));
+}
+
+// _mergeRecurse(target, target_node, source_node, path_list, …) — merge each
+// key of source_node into target_node, which sits at path_list in target.
+// ancestors holds the source nodes being merged, so a cycle stops.
+function _mergeRecurse(target, target_node, source_node, path_list, rule_list, inheritedMode, report, ancestors) {
+  if (ancestors.has(source_node)) return;
+  ancestors.add(source_node);
+  for (const key of childKeys(source_node)) {
+    _mergeSlot(target, target_node, key, getChild(source_node, key), path_list.concat([key]), rule_list, inheritedMode, report, ancestors);
+  }
+  ancestors.delete(source_node);
+}
+
+function _mergeSlot(target, target_node, key, source_value, path_list, rule_list, inheritedMode, report, ancestors) {
+  const pathEntry = formatPath(path_list);
+  if (!hasChild(target_node, key)) {
+    setOverwrite(target, path_list, copyValue(source_value));
+    report.added.push(pathEntry);
+    return;
+  }
+  const target_value = getChild(target_node, key);
+  const mode = mergeModeAt(rule_list, path_list, inheritedMode);
+  // what the slot's subtree inherits: an array mode passes the enclosing one on
+  const subtreeMode = mode === "keepTarget" || mode === "throwOnConflict" || mode === "takeSource" ? mode : inheritedMode;
+  if (_isMergeable(target_value) && _isMergeable(source_value) && findAdapter(target_value) === findAdapter(source_value)) {
+    _mergeRecurse(target, target_value, source_value, path_list, rule_list, subtreeMode, report, ancestors);
+    return;
+  }
+  const arrayMode = mode === "concat" || mode === "union" || isObject(mode);
+  if (arrayMode && (Array.isArray(target_value) || Array.isArray(source_value))) {
+    for (const [side, side_value] of [["target", target_value], ["source", source_value]]) {
+      if (!Array.isArray(side_value)) {
+        throw new SlotTypeError(buildErrorMessage(
+          `namespace.merge: the policy for "${pathEntry}" merges arrays but the ${side} holds ${valueTypeOf(side_value)}`,
+          target
+        ), { verb: "merge", path: pathEntry, valueType: valueTypeOf(side_value) });
+      }
+    }
+    _mergeArray(target, target_value, source_value, path_list, mode, rule_list, subtreeMode, report, ancestors);
+    return;
+  }
+  if (equals(target_value, source_value)) return;
+  report.conflicted.push(pathEntry);
+  if (mode === "throwOnConflict") {
+    throw new PathOccupiedError(buildErrorMessage(
+      `namespace.merge: conflicting values at "${pathEntry}"`,
+      target
+    ), { verb: "merge", path: pathEntry, valueType: valueTypeOf(target_value) });
+  }
+  // an array mode that meets two non-arrays takes the source, as the default does
+  if (mode !== "keepTarget") {
+    setOverwrite(target, path_list, copyValue(source_value));
+    report.replaced.push(pathEntry);
+  }
+}
+
+function _mergeArray(target, target_list, source_list, path_list, mode, rule_list, inheritedMode, report, ancestors) {
+  const mergeBy = isObject(mode) ? mode.mergeBy : null;
+  for (const element of source_list) {
+    if (mergeBy !== null && isObject(element) && hasChild(element, mergeBy)) {
+      const targetIndex = target_list.findIndex(
+        (existing) => isObject(existing) && hasChild(existing, mergeBy) && getChild(existing, mergeBy) === getChild(element, mergeBy)
+      );
+      if (targetIndex !== -1) {
+        _mergeSlot(target, target_list, targetIndex, element, path_list.concat([targetIndex]), rule_list, inheritedMode, report, ancestors);
+        continue;
+      }
+    } else if (mode === "union" && target_list.some((existing) => equals(existing, element))) {
+      continue;
+    }
+    report.added.push(formatPath(path_list.concat([target_list.length])));
+    appendMustExist(target, path_list, copyValue(element));
+  }
+}
+
+// Arrays, Sets, empty containers, containers whose adapter has no keys(),
+// and adapter containers keyed by anything other than strings or numbers
+// stay whole as leaves; everything else is walked.
+function _isFlattenable(value) {
+  if (!isWalkable(value) || Array.isArray(value) || value instanceof Set) return false;
+  const keys_list = childKeys(value);
+  if (keys_list.length === 0) return false;
+  if (findAdapter(value)) {
+    return keys_list.every((key) => isString(key) || typeof key === "number");
+  }
+  return true;
 }
 
 function _flattenRecurse(obj, prefix, result, seen) {
   if (seen.has(obj)) return;
   seen.add(obj);
-  for (const key of Object.keys(obj)) {
-    const path = prefix ? prefix + "." + key : key;
-    const value = obj[key];
-    if (isObject(value) && !Array.isArray(value) && Object.keys(value).length > 0) {
+  for (const key of childKeys(obj)) {
+    const path = prefix ? prefix + "." + formatSegment(key) : formatPath([key]);
+    const value = getChild(obj, key);
+    if (_isFlattenable(value)) {
       _flattenRecurse(value, path, result, seen);
     } else {
       result[path] = value;
@@ -662,18 +3019,26 @@ function _flattenRecurse(obj, prefix, result, seen) {
   }
 }
 
-function flatten(object) {
-  if (!isObject(object)) throw new Error("namespace.flatten: argument must be an object");
+// flatten(object, { redact: true }) masks redacted paths in the values.
+function flatten(object, options) {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError("namespace.flatten: argument must be an object", { verb: "flatten", valueType: valueTypeOf(object) });
+  }
   const result = {};
   _flattenRecurse(object, "", result, new WeakSet());
+  if (options && options.redact) {
+    for (const pathEntry of Object.keys(result)) result[pathEntry] = redactValue(result[pathEntry], parsePath(pathEntry));
+  }
   return result;
 }
 
 function expand(flat) {
-  if (!isObject(flat)) throw new Error("namespace.expand: argument must be an object");
+  if (!isObject(flat)) {
+    throw new InvalidArgumentError("namespace.expand: argument must be an object", { verb: "expand", valueType: valueTypeOf(flat) });
+  }
   const result = {};
   for (const [pathEntry, value] of Object.entries(flat)) {
-    _setDeep(result, pathEntry, value);
+    _setDeep(result, pathEntry, value, "expand");
   }
   return result;
 }
@@ -691,15 +3056,16 @@ function expand(flat) {
 
 function namespaceEnsure(object, dottedPath) {
   if (dottedPath === null || dottedPath === undefined) {
-    throw new Error("namespace: path cannot be null or undefined");
+    throw new InvalidPathError("namespace: path cannot be null or undefined", { verb: "namespace", path: dottedPath });
   }
 
   const traversalContext = {
     object,
+    verb: "namespace",
     address: dottedPath,
     func(pathStep) {
       if (!pathStep.keyExists) {
-        pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+        pathStep.next = vivifyChild(pathStep, {});
         if (pathStep.finalAddressComponent) {
           pathStep.returnNow = true;
           pathStep.toReturn  = pathStep.next;
@@ -710,10 +3076,10 @@ function namespaceEnsure(object, dottedPath) {
           pathStep.toReturn  = pathStep.next;
         }
       } else {
-        throw new Error(buildErrorMessage(
-          `namespace: non-object value exists at "${pathStep.addressComponent}" on path "${dottedPath}"`,
+        throw new NonObjectIntermediateError(buildErrorMessage(
+          `namespace: non-object value exists at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(dottedPath)}"`,
           object
-        ));
+        ), stepDetails(pathStep, dottedPath));
       }
     }
   };
@@ -721,12 +3087,74 @@ function namespaceEnsure(object, dottedPath) {
   return traversalContext.toReturn;
 }
 
+// ── instances ────────────────────────────────────────────────────────────────
+//
+// namespace.create(options?) → a namespace with its own config record:
+// configure() settings, redact patterns and the adapter registry.  Its
+// verbs, sub-namespaces and compiled paths run with that record active, so
+// one library's configure() or adapters.register() leaves every other
+// consumer alone.  Error classes, NotFound and the pattern constants are
+// shared, so instanceof checks work across instances.
+//
+// The default export is bound the same way, to defaultConfig.  A callback an
+// instance verb runs (an updateOrDefault fn, a transaction body) can call
+// the default export and get the default settings, not the instance's.
+//
+// Verbs that await (setOrDefault.asyncFunc) capture the config at the call
+// and re-enter it after the await.
+
+// create(options?) — options go to the new instance's configure().
+function create(options) {
+  const instance = bindNamespace(newConfig());
+  if (options !== undefined) instance.configure(options);
+  return instance;
+}
+
+// bindNamespace(config_value) — every member of unboundNamespace, bound to
+// config_value, with compile() binding the compiled paths it returns.
+function bindNamespace(config_value) {
+  const instance = bindMembers(unboundNamespace, config_value, bindToConfig(unboundNamespace, config_value));
+  const compileBound = instance.compile;
+  instance.compile = function compile(path) {
+    return Object.freeze(bindMembers(compileBound(path), config_value, {}));
+  };
+  return instance;
+}
+
+// bindToConfig(fn, config_value) — fn, always called with config_value active
+function bindToConfig(fn, config_value) {
+  return function boundToConfig(...args_list) {
+    return runWithConfig(config_value, fn, this, args_list);
+  };
+}
+
+// bindMembers(source, config_value, target) — copy source's members onto
+// target: functions bound (with their own members, e.g. syncFunc), plain
+// unfrozen objects taken as sub-namespaces and bound member by member, and
+// everything else — classes, NotFound, constants — shared as-is.
+function bindMembers(source, config_value, target) {
+  for (const key of Object.keys(source)) {
+    const member = source[key];
+    if (typeof member === "function" && !(member.prototype instanceof Error)) {
+      target[key] = bindMembers(member, config_value, bindToConfig(member, config_value));
+    } else if (isObject(member) && Object.getPrototypeOf(member) === Object.prototype && !Object.isFrozen(member)) {
+      target[key] = bindMembers(member, config_value, {});
+    } else {
+      target[key] = member;
+    }
+  }
+  return target;
+}
+
 // ── export ────────────────────────────────────────────────────────────────────
 
-const namespace = Object.assign(namespaceEnsure, {
+// The verbs as written, reading whichever config is active.  Only ever
+// exported bound: as the default namespace and as instances.
+const unboundNamespace = Object.assign(namespaceEnsure, {
   NotFound,
   // config
   configure,
+  create,
   // read
   getIfExists,
   getMustExist,
@@ -737,24 +3165,65 @@ const namespace = Object.assign(namespaceEnsure, {
   setMustExist,
   setOrDefault,
   setOverwrite,
+  // update
+  updateMustExist,
+  updateOrDefault,
+  // arrays
+  appendOrDefault,
+  appendMustExist,
+  insertMustExist,
+  rmWhere,
+  // counters
+  incrementOrDefault,
+  decrementOrDefault,
+  accumulateOrDefault,
   // remove
   rm,
   rmMustExist,
+  // move and copy
+  move,
+  copy,
+  deepCopy,
   // test
   exists,
   isNotFound,
   // engine (not user-facing, but available for advanced tooling)
   traverse,
+  // errors
+  NamespaceError,
+  PathNotFoundError,
+  PathOccupiedError,
+  NonObjectIntermediateError,
+  IndexOutOfRangeError,
+  ContainerWriteError,
+  PrototypePollutionError,
+  InvalidPathError,
+  InvalidArgumentError,
+  SlotTypeError,
+  BatchError,
+  // compiled paths
+  compile,
+  // transactions and forks
+  transaction,
+  fork,
+  // redaction
+  redact,
+  REDACTED,
 
   // sub-namespaces
   path:  namespacePath,
   batch: namespaceBatch,
+  adapters: namespaceAdapters,
+  pattern:  namespacePattern,
   // diff/comparison
   equals,
   venn,
   graftComplement,
+  merge,
   flatten,
   expand,
 });
 
+const namespace = bindNamespace(defaultConfig);
+
 module.exports = namespace;
@@ -1,20 +1,75 @@
 // NotFound sentinel — frozen; returned by get() when a path is absent
 export const NotFound: Readonly<{ namespaceFunctionConstant: "NotFound" }> = Object.freeze({ namespaceFunctionConstant: "NotFound" });
 
-// ── global config ─────────────────────────────────────────────────────────────
+// ── config ────────────────────────────────────────────────────────────────────
+
+interface NamespaceConfig {
+  errorContext:       boolean;
+  pathFormat:         "dotted" | "pointer";
+  allowPrototypeKeys: boolean;
+  redactPatterns:     Segment[][];
+  adapterRegistry:    { predicate: (container: any) => boolean; adapter: ContainerAdapter }[];
+}
+
+export interface ConfigureOptions {
+  errorContext?:       boolean;
+  pathFormat?:         "dotted" | "pointer";
+  allowPrototypeKeys?: boolean;
+  redact?:             Path[];
+}
+
+function newConfig(): NamespaceConfig {
+  return {
+    errorContext:       false,
+    pathFormat:         "dotted",
+    allowPrototypeKeys: false,
+    redactPatterns:     [],
+    adapterRegistry:    [],
+  };
+}
+
+const defaultConfig: NamespaceConfig = newConfig();
+
+// The config of the namespace whose verb is running; the default export's
+// verbs and instance verbs swap their own record in for the length of the
+// call (see create).
+let activeConfig: NamespaceConfig = defaultConfig;
 
-const globalConfig = { errorContext: false };
+function runWithConfig(config_value: NamespaceConfig, fn: Function, self: any, args_list: any[]): any {
+  const previous_value = activeConfig;
+  activeConfig = config_value;
+  try {
+    return fn.apply(self, args_list);
+  } finally {
+    activeConfig = previous_value;
+  }
+}
 
-export function configure(options: { errorContext?: boolean }): void {
+export function configure(options: ConfigureOptions): void {
   if (options && options.errorContext !== undefined) {
-    globalConfig.errorContext = options.errorContext;
+    activeConfig.errorContext = options.errorContext;
+  }
+  if (options && options.pathFormat !== undefined) {
+    if (options.pathFormat !== "dotted" && options.pathFormat !== "pointer") {
+      throw new InvalidArgumentError(`namespace.configure: pathFormat must be "dotted" or "pointer", got ${String(options.pathFormat)}`, { verb: "configure" });
+    }
+    activeConfig.pathFormat = options.pathFormat;
+  }
+  if (options && options.allowPrototypeKeys !== undefined) {
+    activeConfig.allowPrototypeKeys = options.allowPrototypeKeys;
+  }
+  if (options && options.redact !== undefined) {
+    if (!Array.isArray(options.redact)) {
+      throw new InvalidArgumentError("namespace.configure: redact must be an array of path patterns", { verb: "configure", valueType: valueTypeOf(options.redact) });
+    }
+    activeConfig.redactPatterns = asVerb("configure", () => options.redact!.map(toPatternSegments));
   }
 }
 
-function buildErrorMessage(message: string, rootObject: any): string {
-  if (!globalConfig.errorContext) return message;
+function buildErrorMessage(message: string, rootObject: any, base_list?: Segment[] | null): string {
+  if (!activeConfig.errorContext) return message;
   try {
-    const json_value      = JSON.stringify(rootObject);
+    const json_value      = JSON.stringify(redactValue(rootObject, base_list || []));
     const truncated_value = json_value.length > 200 ? json_value.slice(0, 200) + "…" : json_value;
     return message + "\n  object: " + truncated_value;
   } catch (_ignored) {
@@ -32,19 +87,910 @@ function isString(value: unknown): value is string {
   return typeof value === "string";
 }
 
+// A path is a dotted string or an array of segments.
+export type Segment = string | number | symbol;
+export type Path    = string | Segment[];
+
+// ── path grammar ─────────────────────────────────────────────────────────────
+//
+// Segments are separated by ".".  Two ways to put a "." (or anything else)
+// inside one segment:
+//   sites.example\.com.owner        — backslash escapes the next character
+//   sites["example.com"].owner      — quoted bracket segment, '…' or "…"
+//
+// A bracket segment may follow a "." or sit directly after another segment.
+// "[" only opens a bracket segment when a quote follows it; otherwise it is
+// an ordinary key character, so existing keys like "a[0]" still resolve.
+
+// parsePath(dottedAddress, patternMode?) → segment list
+// Plain paths (no "\" and no "[") take the split(".") fast route.
+// In patternMode a bare "*" segment becomes the wildcard (see namespace.pattern);
+// escaped or bracketed, it stays a literal key.
+function parsePath(dottedAddress: string, patternMode?: boolean): any[] {
+  if (dottedAddress.indexOf("\\") === -1 && dottedAddress.indexOf("[") === -1) {
+    const split_list = dottedAddress.split(".");
+    return patternMode ? split_list.map(wildcardFor) : split_list;
+  }
+
+  const segments_list: any[] = [];
+  let segment_value   = "";
+  let segmentEscaped  = false;
+  let afterBracket    = false;
+  let position        = 0;
+  const pushSegment   = (): void => {
+    segments_list.push(patternMode && !segmentEscaped ? wildcardFor(segment_value) : segment_value);
+    segmentEscaped = false;
+  };
+
+  while (position < dottedAddress.length) {
+    const char = dottedAddress[position];
+
+    if (afterBracket && char !== "." && char !== "[") {
+      throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — expected "." or "[" after "]" at position ${position}`, { path: dottedAddress });
+    }
+
+    if (char === "\\") {
+      if (position + 1 >= dottedAddress.length) {
+        throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — dangling "\\" at end of path`, { path: dottedAddress });
+      }
+      segment_value += dottedAddress[position + 1];
+      segmentEscaped = true;
+      position += 2;
+    } else if (char === ".") {
+      if (!afterBracket) pushSegment();
+      segment_value = "";
+      afterBracket  = false;
+      position += 1;
+    } else if (char === "[" && (dottedAddress[position + 1] === "\"" || dottedAddress[position + 1] === "'")) {
+      // a["x"] — the segment before the bracket ends here
+      if (segment_value !== "") pushSegment();
+      const quote = dottedAddress[position + 1];
+      let bracketed_value = "";
+      position += 2;
+      while (position < dottedAddress.length && dottedAddress[position] !== quote) {
+        if (dottedAddress[position] === "\\" && position + 1 < dottedAddress.length) position += 1;
+        bracketed_value += dottedAddress[position];
+        position += 1;
+      }
+      if (dottedAddress[position] !== quote || dottedAddress[position + 1] !== "]") {
+        throw new InvalidPathError(`namespace: invalid path "${dottedAddress}" — unterminated bracket segment`, { path: dottedAddress });
+      }
+      segments_list.push(bracketed_value);
+      segment_value = "";
+      afterBracket  = true;
+      position += 2;
+    } else {
+      segment_value += char;
+      position += 1;
+    }
+  }
+
+  if (!afterBracket) pushSegment();
+  return segments_list;
+}
+
+// formatSegment(segment) — escape one raw key so parsePath reads it back
+// as a single segment: "example.com" → "example\.com".  Numbers format as digits.
+// "[" is only escaped where a quote follows it, so "[]" stays readable.
+function formatSegment(segment: string | number): string {
+  const segment_value = String(segment);
+  if (!/[.\\]|\[["']/.test(segment_value)) return segment_value;
+  return segment_value.replace(/[.\\]|\[(?=["'])/g, "\\$&");
+}
+
+// formatPath(segments) — inverse of parsePath.  A leading "/" is escaped so
+// the result is never read back as a JSON Pointer.
+function formatPath(segments_list: (string | number)[]): string {
+  return escapeLeadingSlash(segments_list.map(formatSegment).join("."));
+}
+
+function escapeLeadingSlash(dottedPath: string): string {
+  return dottedPath[0] === "/" ? "\\" + dottedPath : dottedPath;
+}
+
+// toSegments(address) → segment list
+// A path is either a string (read with the grammar above, or as a JSON
+// Pointer when it starts with "/") or an array of segments.  Array elements are keys as-is — strings, numbers and Symbols —
+// so runtime values (user ids, file names) never pass through a parser.
+// String paths are parsed once and kept in splitCache; every call gets its
+// own copy.  A full cache is dropped rather than evicted piecemeal.
+const splitCache: Map<string, Segment[]> = new Map();
+const splitCacheSize = 1000;
+
+function toSegments(address: Path): Segment[] {
+  if (isString(address)) {
+    let segments_list = splitCache.get(address);
+    if (segments_list === undefined) {
+      segments_list = address[0] === "/" ? parsePointer(address) : parsePath(address);
+      if (splitCache.size >= splitCacheSize) splitCache.clear();
+      splitCache.set(address, segments_list);
+    }
+    return segments_list.slice();
+  }
+  if (address.length === 0) throw new InvalidPathError("namespace: segment array cannot be empty", { path: address });
+  for (let segmentIndex = 0; segmentIndex < address.length; segmentIndex++) {
+    const segmentType = typeof address[segmentIndex];
+    if (segmentType !== "string" && segmentType !== "number" && segmentType !== "symbol") {
+      throw new InvalidPathError(`namespace: path segment ${segmentIndex} must be a string, number or symbol, got ${segmentType}`, { path: address, segmentIndex, valueType: segmentType });
+    }
+  }
+  return address.slice();
+}
+
+function isPath(address: unknown): address is Path {
+  return isString(address) || Array.isArray(address);
+}
+
+// sameSegment(a, b) — "0" and 0 name the same key; Symbols only match themselves.
+function sameSegment(segmentA: Segment, segmentB: Segment): boolean {
+  if (segmentA === segmentB) return true;
+  if (typeof segmentA === "symbol" || typeof segmentB === "symbol") return false;
+  return String(segmentA) === String(segmentB);
+}
+
+// ── JSON Pointer (RFC 6901) ──────────────────────────────────────────────────
+//
+// A string path that starts with "/" is a JSON Pointer: "/users/alice~1bob/entries/0".
+// Tokens are raw keys — "~1" is "/", "~0" is "~", nothing else is special —
+// so "." needs no escaping in a pointer.  "-" is the append marker, as in
+// the RFC.  A dotted key that really starts with "/" is written "\/key".
+
+// parsePointer(pointer) → segment list
+function parsePointer(pointer: string): string[] {
+  if (pointer === "") return [];
+  if (pointer[0] !== "/") {
+    throw new InvalidPathError(`namespace: invalid JSON Pointer "${pointer}" — must be empty or start with "/"`, { path: pointer });
+  }
+  return pointer.slice(1).split("/").map((token) => {
+    if (/~[^01]|~$/.test(token)) {
+      throw new InvalidPathError(`namespace: invalid JSON Pointer "${pointer}" — "~" must be followed by 0 or 1`, { path: pointer });
+    }
+    return token.replace(/~1/g, "/").replace(/~0/g, "~");
+  });
+}
+
+// formatPointer(segments) — inverse of parsePointer.  Symbols have no pointer form.
+function formatPointer(segments_list: Segment[]): string {
+  return segments_list.map((segment) => {
+    if (typeof segment === "symbol") {
+      throw new InvalidPathError("namespace: Symbol segments have no JSON Pointer form", { path: segments_list, failedSegment: segment });
+    }
+    return "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+  }).join("");
+}
+
+// ── pattern segments ─────────────────────────────────────────────────────────
+//
+// A pattern is a path whose bare "*" segments match any one key and whose
+// bare "**" segments match any number of keys, including none:
+//   users.*.entries        orders.*.items.*.sku        jobs.**.status
+// "\*" or ["*"] is a literal "*" key.  In segment arrays, where every element
+// is a raw key, use namespace.pattern.ANY and namespace.pattern.ANY_DEPTH.
+// Point verbs never read patterns.
+
+const anySegment      = Symbol("namespace.pattern.ANY");
+const anyDepthSegment = Symbol("namespace.pattern.ANY_DEPTH");
+
+function wildcardFor(segment: string): Segment {
+  if (segment === "*")  return anySegment;
+  if (segment === "**") return anyDepthSegment;
+  return segment;
+}
+
+// isWildcard — either kind; isDeepWildcard — "**" only
+function isWildcard(segment: Segment): boolean {
+  return segment === anySegment || segment === anyDepthSegment;
+}
+
+function isDeepWildcard(segment: Segment): boolean {
+  return segment === anyDepthSegment;
+}
+
+// _matchSegments(pattern_list, patternIndex, segments_list, segmentIndex)
+// Does the pattern from patternIndex match the path from segmentIndex?
+function _matchSegments(pattern_list: Segment[], patternIndex: number, segments_list: Segment[], segmentIndex: number): boolean {
+  if (patternIndex === pattern_list.length) return segmentIndex === segments_list.length;
+  const segment = pattern_list[patternIndex];
+  if (isDeepWildcard(segment)) {
+    for (let resumeIndex = segmentIndex; resumeIndex <= segments_list.length; resumeIndex++) {
+      if (_matchSegments(pattern_list, patternIndex + 1, segments_list, resumeIndex)) return true;
+    }
+    return false;
+  }
+  if (segmentIndex === segments_list.length) return false;
+  if (!isWildcard(segment) && !sameSegment(segment, segments_list[segmentIndex])) return false;
+  return _matchSegments(pattern_list, patternIndex + 1, segments_list, segmentIndex + 1);
+}
+
+// toPatternSegments(pattern) → segment list with wildcards in place
+function toPatternSegments(pattern: Path): Segment[] {
+  if (isString(pattern)) return pattern[0] === "/" ? parsePointer(pattern) : parsePath(pattern, true);
+  return toSegments(pattern);
+}
+
+// describeSegment / describePath — render a segment or path for error
+// messages.  Strings are escaped as in formatPath; Symbols render as
+// [Symbol(description)], which no escaped string segment can look like.
+function describeSegment(segment: Segment): string {
+  if (segment === anySegment)      return "*";
+  if (segment === anyDepthSegment) return "**";
+  if (typeof segment === "symbol") return "[" + segment.toString() + "]";
+  return formatSegment(segment);
+}
+
+function describePath(address: unknown): string {
+  if (Array.isArray(address)) return escapeLeadingSlash(address.map(describeSegment).join("."));
+  return String(address);
+}
+
+// reportSegment / reportPath — describeSegment / describePath in the format
+// chosen with configure({ pathFormat }), for error messages only.  Result
+// keys (getEach, allMustExist) stay dotted whatever the setting.
+function reportSegment(segment: Segment): string {
+  if (activeConfig.pathFormat !== "pointer" || typeof segment === "symbol") return describeSegment(segment);
+  return formatPointer([segment]).slice(1);
+}
+
+function reportPath(address: any): string {
+  if (activeConfig.pathFormat !== "pointer") return describePath(address);
+  try {
+    return formatPointer(toSegments(address));
+  } catch (_ignored) {
+    return describePath(address);
+  }
+}
+
+// ── errors ───────────────────────────────────────────────────────────────────
+//
+// Every throw in the library is a NamespaceError subclass, so callers can
+// branch on error.code (or instanceof) instead of matching message text.
+// Each carries:
+//   .code           — stable string per class, e.g. "PATH_NOT_FOUND"
+//   .verb           — the API the caller invoked ("setNotExists", "batch.allMustExist", …)
+//   .path           — the path as the caller passed it
+//   .failedSegment  — the segment where the contract failed
+//   .segmentIndex   — its zero-based index in the path
+//   .valueType      — type of the value in the way ("number", "array", "null", …;
+//                     "undefined" when the slot is simply empty)
+// Fields that do not apply are null.
+
+export interface NamespaceErrorDetails {
+  verb?: string | null;
+  path?: unknown;
+  failedSegment?: Segment | null;
+  segmentIndex?: number | null;
+  valueType?: string | null;
+  existingPath?: Segment[] | null;
+  availableKeys?: any[] | null;
+  suggestions?: string[] | null;
+}
+
+export class NamespaceError extends Error {
+  code: string;
+  verb: string | null;
+  path: unknown;
+  failedSegment: Segment | null;
+  segmentIndex: number | null;
+  valueType: string | null;
+
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message);
+    const fields = Object.assign({ verb: null, path: null, failedSegment: null, segmentIndex: null, valueType: null }, details);
+    this.name          = "NamespaceError";
+    this.code          = "NAMESPACE_ERROR";
+    this.verb          = fields.verb;
+    this.path          = fields.path;
+    this.failedSegment = fields.failedSegment;
+    this.segmentIndex  = fields.segmentIndex;
+    this.valueType     = fields.valueType;
+  }
+}
+
+// A MustExist contract found nothing at the path.  Adds the "did you mean"
+// fields: .existingPath (segments of the deepest prefix that exists),
+// .availableKeys (keys there) and .suggestions (close-match paths).
+export class PathNotFoundError extends NamespaceError {
+  existingPath: Segment[] | null;
+  availableKeys: any[] | null;
+  suggestions: string[] | null;
+
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    const fields = Object.assign({ existingPath: null, availableKeys: null, suggestions: null }, details);
+    this.name          = "PathNotFoundError";
+    this.code          = "PATH_NOT_FOUND";
+    this.existingPath  = fields.existingPath;
+    this.availableKeys = fields.availableKeys;
+    this.suggestions   = fields.suggestions;
+  }
+}
+
+// A NotExists / MustEmpty contract found something at the path.
+export class PathOccupiedError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "PathOccupiedError";
+    this.code = "PATH_OCCUPIED";
+  }
+}
+
+// The path runs through a primitive (or, for namespace(), a non-plain object).
+export class NonObjectIntermediateError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "NonObjectIntermediateError";
+    this.code = "NON_OBJECT_INTERMEDIATE";
+  }
+}
+
+// A negative array index reaches past the start of the array.
+export class IndexOutOfRangeError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "IndexOutOfRangeError";
+    this.code = "INDEX_OUT_OF_RANGE";
+  }
+}
+
+// An adapter container cannot take the write or removal (no set(), no
+// delete(), or an intermediate that would have to be vivified inside it).
+export class ContainerWriteError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "ContainerWriteError";
+    this.code = "CONTAINER_WRITE";
+  }
+}
+
+// A write would go through "__proto__", "constructor" or "prototype".
+export class PrototypePollutionError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "PrototypePollutionError";
+    this.code = "PROTOTYPE_KEY";
+  }
+}
+
+// The path itself is malformed: bad grammar, bad pointer, bad segment type.
+export class InvalidPathError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "InvalidPathError";
+    this.code = "INVALID_PATH";
+  }
+}
+
+// Any other argument is unusable: a root that is not an object, bad options.
+export class InvalidArgumentError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "InvalidArgumentError";
+    this.code = "INVALID_ARGUMENT";
+  }
+}
+
+// The slot holds the wrong kind of value for the verb: an array verb found a
+// non-array, a counter verb a non-number.  .valueType names what was there.
+export class SlotTypeError extends NamespaceError {
+  constructor(message: string, details?: NamespaceErrorDetails) {
+    super(message, details);
+    this.name = "SlotTypeError";
+    this.code = "SLOT_TYPE";
+  }
+}
+
+export interface BatchFailure {
+  key:   string;
+  path:  Path;
+  error: NamespaceError;
+}
+
+// A batch verb failed on one or more entries; .failures lists every one.
+export class BatchError extends NamespaceError {
+  failures: BatchFailure[];
+
+  constructor(message: string, details?: NamespaceErrorDetails & { failures?: BatchFailure[] }) {
+    super(message, details);
+    const fields = Object.assign({ failures: [] }, details);
+    this.name     = "BatchError";
+    this.code     = "BATCH_FAILED";
+    this.failures = fields.failures;
+  }
+}
+
+function batchFailureMessage(verb: string, failures_list: BatchFailure[], total: number, outcome: string): string {
+  let message = `namespace.${verb}: ${failures_list.length} of ${total} ${outcome}`;
+  for (const failure of failures_list) {
+    message += `\n  ${failure.key}: ${failure.error.message.split("\n")[0]}`;
+  }
+  return message;
+}
+
+// valueTypeOf(value) — the valueType field: typeof, with "null" and "array" split out.
+function valueTypeOf(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+// stepDetails(pathStep, path) — error fields for a failure at pathStep.
+function stepDetails(pathStep: any, path: unknown): NamespaceErrorDetails {
+  return {
+    verb:          pathStep.verb,
+    path,
+    failedSegment: pathStep.addressComponent,
+    segmentIndex:  pathStep.index,
+    valueType:     valueTypeOf(pathStep.next),
+  };
+}
+
+// missingDetails(verb, object, path) — error fields for a path that does not
+// resolve: the first segment that is absent, what stood in its way, and
+// "did you mean" diagnostics — the deepest prefix that does exist, the keys
+// available there, and keys close to the failing segment.  Two extras ride
+// along for the thrower and are not copied onto the error: .hint, the
+// diagnostics as message lines, and .subtree, the container at the prefix.
+interface MissingDetails extends NamespaceErrorDetails {
+  hint: string;
+  subtree: any;
+}
+
+function missingDetails(verb: string, object: any, path: Path): MissingDetails {
+  const segments_list = toSegments(path);
+  let current: any = object;
+  for (let segmentIndex = 0; segmentIndex < segments_list.length; segmentIndex++) {
+    let segment = segments_list[segmentIndex];
+    if (Array.isArray(current)) {
+      const resolvedSegment = resolveArraySegment(current, segment);
+      if (resolvedSegment !== null) segment = resolvedSegment;
+    }
+    let found = false;
+    try {
+      found = hasChild(current, segment);
+    } catch (_ignored) {
+      found = false;
+    }
+    if (!found) {
+      const existing_list = segments_list.slice(0, segmentIndex);
+      const keys_list: any[] = isWalkable(current) && !Array.isArray(current) ? childKeys(current) : [];
+      const suggestions_list = closeMatches(segment, keys_list).map((key) =>
+        existing_list.concat([key], segments_list.slice(segmentIndex + 1))
+      );
+      return {
+        verb,
+        path,
+        failedSegment: segment,
+        segmentIndex,
+        valueType:     isObject(current) ? "undefined" : valueTypeOf(current),
+        existingPath:  existing_list,
+        availableKeys: keys_list.slice(0, diagnosticKeyLimit),
+        suggestions:   suggestions_list.map(describePath),
+        hint:          missingHint(existing_list, current, keys_list, suggestions_list),
+        subtree:       current,
+      };
+    }
+    current = getChild(current, segment);
+  }
+  return { verb, path, hint: "", subtree: object };
+}
+
+// At most this many keys are listed in a message or in error.availableKeys.
+const diagnosticKeyLimit = 20;
+
+// missingHint(existing_list, container, keys_list, suggestions_list) → message lines
+//   deepest existing path: "users"
+//   available keys: "alice", "bob"
+//   did you mean "users.alice.entries"?
+function missingHint(existing_list: Segment[], container: any, keys_list: any[], suggestions_list: Segment[][]): string {
+  const existing_value = existing_list.length === 0 ? "(root)" : `"${reportPath(existing_list)}"`;
+  let hint_value = "\n  deepest existing path: " + existing_value;
+  if (container === null || container === undefined) {
+    hint_value += " is " + String(container);
+  } else if (!isObject(container)) {
+    hint_value += " holds a " + valueTypeOf(container);
+  } else if (Array.isArray(container)) {
+    hint_value += ` holds an array of length ${container.length}`;
+  } else if (keys_list.length === 0) {
+    hint_value += " is empty";
+  } else {
+    const shown_list = keys_list.slice(0, diagnosticKeyLimit).map((key) => `"${reportSegment(key)}"`);
+    if (keys_list.length > diagnosticKeyLimit) shown_list.push(`… ${keys_list.length - diagnosticKeyLimit} more`);
+    hint_value += "\n  available keys: " + shown_list.join(", ");
+  }
+  if (suggestions_list.length > 0) {
+    hint_value += "\n  did you mean " + suggestions_list.map((suggestion) => `"${reportPath(suggestion)}"`).join(" or ") + "?";
+  }
+  return hint_value;
+}
+
+// closeMatches(segment, keys_list) — string keys within a small edit
+// distance of segment, nearest first: typos ("alcie" → "alice") and case slips.
+function closeMatches(segment: Segment, keys_list: any[]): string[] {
+  if (!isString(segment) && typeof segment !== "number") return [];
+  const wanted_value = String(segment).toLowerCase();
+  const maxDistance  = Math.max(1, Math.floor(wanted_value.length / 3));
+  const scored_list: { key: string; distance: number }[] = [];
+  for (const key of keys_list) {
+    if (!isString(key)) continue;
+    const distance = editDistance(wanted_value, key.toLowerCase());
+    if (distance <= maxDistance) scored_list.push({ key, distance });
+  }
+  scored_list.sort((scoredA, scoredB) => scoredA.distance - scoredB.distance);
+  return scored_list.slice(0, 3).map((scored) => scored.key);
+}
+
+// editDistance(a, b) — Levenshtein distance, counting a swap of two
+// neighbouring characters as one edit.
+function editDistance(stringA: string, stringB: string): number {
+  const rows_list: number[][] = [];
+  for (let indexA = 0; indexA <= stringA.length; indexA++) {
+    rows_list.push([indexA]);
+  }
+  for (let indexB = 1; indexB <= stringB.length; indexB++) rows_list[0][indexB] = indexB;
+  for (let indexA = 1; indexA <= stringA.length; indexA++) {
+    for (let indexB = 1; indexB <= stringB.length; indexB++) {
+      const cost = stringA[indexA - 1] === stringB[indexB - 1] ? 0 : 1;
+      let distance = Math.min(
+        rows_list[indexA - 1][indexB] + 1,
+        rows_list[indexA][indexB - 1] + 1,
+        rows_list[indexA - 1][indexB - 1] + cost
+      );
+      if (indexA > 1 && indexB > 1 && stringA[indexA - 1] === stringB[indexB - 2] && stringA[indexA - 2] === stringB[indexB - 1]) {
+        distance = Math.min(distance, rows_list[indexA - 2][indexB - 2] + 1);
+      }
+      rows_list[indexA][indexB] = distance;
+    }
+  }
+  return rows_list[stringA.length][stringB.length];
+}
+
+// asVerb(verb, fn) — run fn, relabelling any NamespaceError with the entry
+// point the caller used (batch.*, pattern.*Each, graftComplement) in place of
+// the inner verb.
+function asVerb<T>(verb: string, fn: () => T): T {
+  try {
+    return fn();
+  } catch (error) {
+    if (error instanceof NamespaceError) error.verb = verb;
+    throw error;
+  }
+}
+
+// ── array index segments ─────────────────────────────────────────────────────
+//
+// When the container at a segment is an array:
+//   items.0    — index 0 (the string "0" and the number 0 are the same segment)
+//   items.-1   — negative indices count back from the end; -1 is the last
+//   items.[]   — the append marker: the free slot one past the end
+//   items.-    — JSON-Pointer spelling of the append marker
+// On anything other than an array these are ordinary keys.
+
+// parseIndex(segment) → integer, or null when segment is not an index
+function parseIndex(segment: Segment): number | null {
+  if (typeof segment === "number") return Number.isInteger(segment) ? segment : null;
+  if (isString(segment) && /^-?(0|[1-9][0-9]*)$/.test(segment)) return Number(segment);
+  return null;
+}
+
+function isAppendSegment(segment: Segment): boolean {
+  return segment === "[]" || segment === "-";
+}
+
+// resolveArraySegment(array, segment) → the segment to use on array: the
+// append marker becomes array.length, a negative index counts back from the
+// end, anything else passes through.  null when a negative index reaches
+// past the start.
+function resolveArraySegment(array: any[], segment: Segment): Segment | null {
+  if (isAppendSegment(segment)) return array.length;
+  const index_value = parseIndex(segment);
+  if (index_value === null || index_value >= 0) return segment;
+  return index_value + array.length >= 0 ? index_value + array.length : null;
+}
+
+// emptyContainerFor(segment) — what to vivify when segment comes next: an
+// array ahead of the append marker or index 0, the new array's only free
+// slot; else {}, so a numeric ID like users.5000000 makes a key, not a
+// sparse array.
+function emptyContainerFor(segment: Segment): any {
+  return isAppendSegment(segment) || parseIndex(segment) === 0 ? [] : {};
+}
+
+// ── containers ───────────────────────────────────────────────────────────────
+//
+// Paths walk three kinds of container:
+//   adapter containers — anything a registered adapter claims (see
+//                        namespace.adapters); Map and Set are built in
+//   arrays             — see array index segments above
+//   anything else      — own properties
+// Writes and removals go through the same helpers, so every verb, flatten,
+// equals and venn agree on what a container holds.
+//
+// An adapter is { name?, has, get, set?, delete?, keys? }:
+//   has(container, key) / get(container, key) — required; reads
+//   set(container, key, value)                — writes; without it the
+//                                               container is read-only
+//   delete(container, key)                    — rm; without it rm throws
+//   keys(container)                           — iterable of segments, for
+//                                               flatten/equals/venn; without
+//                                               it the container is a leaf
+// Writes never vivify inside an adapter container: its entries are created
+// by whoever owns the collection, not implied by a deeper path.
+
+export interface ContainerAdapter {
+  name?: string;
+  has(container: any, key: any): boolean;
+  get(container: any, key: any): any;
+  set?(container: any, key: any, value: any): void;
+  delete?(container: any, key: any): void;
+  keys?(container: any): Iterable<any>;
+}
+
+// Map — the segment is the entry key (segment arrays can pass non-string keys)
+const mapAdapter: ContainerAdapter = {
+  name: "Map",
+  has(container: Map<any, any>, key: any): boolean { return container.has(key); },
+  get(container: Map<any, any>, key: any): any { return container.get(key); },
+  set(container: Map<any, any>, key: any, value: any): void { container.set(key, value); },
+  delete(container: Map<any, any>, key: any): void { container.delete(key); },
+  keys(container: Map<any, any>): Iterable<any> { return container.keys(); },
+};
+
+// Set — the segment tests membership; the value at a member is the member
+const setAdapter: ContainerAdapter = {
+  name: "Set",
+  has(container: Set<any>, key: any): boolean { return container.has(key); },
+  get(container: Set<any>, key: any): any { return container.has(key) ? key : undefined; },
+  delete(container: Set<any>, key: any): void { container.delete(key); },
+  keys(container: Set<any>): Iterable<any> { return container.values(); },
+};
+
+// findAdapter(container) → the adapter that claims container, or undefined
+function findAdapter(container: any): ContainerAdapter | undefined {
+  if (!isObject(container)) return undefined;
+  for (let entryIndex = activeConfig.adapterRegistry.length - 1; entryIndex >= 0; entryIndex--) {
+    if (activeConfig.adapterRegistry[entryIndex].predicate(container)) return activeConfig.adapterRegistry[entryIndex].adapter;
+  }
+  if (container instanceof Map) return mapAdapter;
+  if (container instanceof Set) return setAdapter;
+  return undefined;
+}
+
+function adapterName(adapter: ContainerAdapter, container: any): string {
+  return adapter.name || (container.constructor && container.constructor.name) || "container";
+}
+
+function hasChild(container: any, key: any): boolean {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.has(container, key);
+  return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function getChild(container: any, key: any): any {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.get(container, key);
+  return container[key];
+}
+
+// childKeys(container) — the segments a container holds, in iteration order.
+function childKeys(container: any): any[] {
+  const adapter = findAdapter(container);
+  if (adapter) return adapter.keys ? Array.from(adapter.keys(container)) : [];
+  return Object.keys(container);
+}
+
+// isWalkable(value) — can flatten/equals/venn look inside value?
+function isWalkable(value: any): boolean {
+  if (!isObject(value)) return false;
+  const adapter = findAdapter(value);
+  return !adapter || typeof adapter.keys === "function";
+}
+
+// ── prototype keys ───────────────────────────────────────────────────────────
+//
+// "__proto__", "constructor" and "prototype" are refused as keys to write
+// into plain objects and arrays.  Paths often come from request bodies, and
+// writing through these keys reaches Object.prototype.  Adapter containers
+// (Map, …) hold them as ordinary keys.  Trusted callers can lift the guard
+// with configure({ allowPrototypeKeys: true }).
+
+const prototypeKeys = new Set<Segment>(["__proto__", "constructor", "prototype"]);
+
+// guardPrototypeKey(segment, rootObject, details) — throw if segment may not
+// be written.  details supplies verb, path and segmentIndex for the error.
+function guardPrototypeKey(segment: Segment, rootObject: any, details: NamespaceErrorDetails): void {
+  if (activeConfig.allowPrototypeKeys || !prototypeKeys.has(segment)) return;
+  throw new PrototypePollutionError(
+    buildErrorMessage(
+      `namespace: refusing to write prototype key "${reportSegment(segment)}" on path "${reportPath(details.path)}" — pass configure({ allowPrototypeKeys: true }) to allow it`,
+      rootObject
+    ),
+    Object.assign({}, details, { failedSegment: segment })
+  );
+}
+
+// ── redaction ────────────────────────────────────────────────────────────────
+//
+// configure({ redact: [patterns] }) names paths whose values must never reach
+// a log: "config.db.password", "*.token", "**.secret".  Patterns use the
+// pattern-verb grammar, matched against the path from the root; a pattern
+// that matches a container masks all of it.  Error excerpts (the errorContext
+// JSON, the Node entry's util.inspect) always go through redactValue;
+// flatten and venn do when called with { redact: true }.
+
+export const REDACTED = "[redacted]" as const;
+
+export function redact(value: any, basePath?: Path): any {
+  return redactValue(value, basePath === undefined ? [] : toSegments(basePath));
+}
+
+function isRedacted(segments_list: Segment[]): boolean {
+  return activeConfig.redactPatterns.some((pattern_list) => _matchSegments(pattern_list, 0, segments_list, 0));
+}
+
+function redactValue(value: any, base_list: Segment[]): any {
+  if (activeConfig.redactPatterns.length === 0) return value;
+  for (let prefixLength = 1; prefixLength <= base_list.length; prefixLength++) {
+    if (isRedacted(base_list.slice(0, prefixLength))) return REDACTED;
+  }
+  return _redactRecurse(value, base_list, new Set());
+}
+
+// ancestors holds the containers being copied; a cycle back to one is cut
+// at "[Circular]" so the unmasked original never leaks through it.
+function _redactRecurse(value: any, path_list: Segment[], ancestors: Set<object>): any {
+  if (!isWalkable(value)) return value;
+  if (ancestors.has(value)) return "[Circular]";
+  ancestors.add(value);
+  let copy_value: any = null;
+  for (const key of childKeys(value)) {
+    const child_value = getChild(value, key);
+    const childPath_list = path_list.concat([key]);
+    const shown_value = isRedacted(childPath_list) ? REDACTED : _redactRecurse(child_value, childPath_list, ancestors);
+    if (shown_value === child_value) continue;
+    if (copy_value === null) copy_value = shallowCopy(value);
+    if (copy_value instanceof Map) copy_value.set(key, shown_value);
+    else copy_value[key] = shown_value;
+  }
+  ancestors.delete(value);
+  return copy_value === null ? value : copy_value;
+}
+
+function shallowCopy(container: any): any {
+  if (Array.isArray(container)) return container.slice();
+  if (container instanceof Map) return new Map(container);
+  const copy_value: any = {};
+  for (const key of childKeys(container)) copy_value[key] = getChild(container, key);
+  return copy_value;
+}
+
+// copyValue(value, copies?, shared_list?, path_list?) — a deep copy of value.
+// Plain objects, arrays, Map, Set and Date are copied; anything else (class
+// instances, functions) is shared.  copies maps each container already
+// copied to its copy, so cycles and repeated references keep their shape.
+// A child whose path (path_list plus its key) matches a pattern in
+// shared_list is shared rather than copied.
+function copyValue(value: any, copies: Map<any, any> = new Map(), shared_list: Segment[][] = [], path_list: Segment[] = []): any {
+  if (!isObject(value)) return value;
+  if (copies.has(value)) return copies.get(value);
+  const copyChild = (child_value: any, key: any): any => {
+    if (shared_list.length === 0) return copyValue(child_value, copies, shared_list, path_list);
+    const childPath_list = path_list.concat([key]);
+    if (shared_list.some((pattern_list) => _matchSegments(pattern_list, 0, childPath_list, 0))) return child_value;
+    return copyValue(child_value, copies, shared_list, childPath_list);
+  };
+  let copy_value: any;
+  if (value instanceof Date) {
+    copy_value = new Date(value.getTime());
+    copies.set(value, copy_value);
+  } else if (value instanceof Map) {
+    copy_value = new Map();
+    copies.set(value, copy_value);
+    for (const [key, member_value] of value) copy_value.set(key, copyChild(member_value, key));
+  } else if (value instanceof Set) {
+    copy_value = new Set();
+    copies.set(value, copy_value);
+    for (const member_value of value) copy_value.add(copyChild(member_value, member_value));
+  } else if (Array.isArray(value)) {
+    copy_value = new Array(value.length);
+    copies.set(value, copy_value);
+    for (let index = 0; index < value.length; index++) copy_value[index] = copyChild(value[index], index);
+  } else {
+    const prototype_value = Object.getPrototypeOf(value);
+    if (prototype_value !== Object.prototype && prototype_value !== null) return value;
+    copy_value = Object.create(prototype_value);
+    copies.set(value, copy_value);
+    for (const key of Object.keys(value)) {
+      // defineProperty, so an own "__proto__" key stays a key
+      Object.defineProperty(copy_value, key, { value: copyChild((value as Record<string, any>)[key], key), writable: true, enumerable: true, configurable: true });
+    }
+  }
+  return copy_value;
+}
+
+// assignChild(pathStep, value) — write value into the slot pathStep is at.
+// Every write verb goes through here, so container rules hold everywhere.
+function assignChild(pathStep: any, value: any): any {
+  if (pathStep.indexOutOfRange) {
+    throw new IndexOutOfRangeError(buildErrorMessage(
+      `namespace: array index ${reportSegment(pathStep.addressComponent)} is out of range on path "${reportPath(pathStep.address)}"`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  refuseSharedWrite(pathStep.object, pathStep.current, false, pathStep.addressComponent, pathStep.address, stepDetails(pathStep, pathStep.address));
+  const adapter = findAdapter(pathStep.current);
+  if (!adapter) {
+    guardPrototypeKey(pathStep.addressComponent, pathStep.object, stepDetails(pathStep, pathStep.address));
+    noteMutation(pathStep, false);
+    pathStep.current[pathStep.addressComponent] = value;
+  } else if (adapter.set) {
+    noteMutation(pathStep, false);
+    adapter.set(pathStep.current, pathStep.addressComponent, value);
+  } else {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot write "${reportSegment(pathStep.addressComponent)}" into a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — its adapter has no set()`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  return value;
+}
+
+// vivifyChild(pathStep, emptyContainer?) — create a missing intermediate.
+// Defaults to emptyContainerFor(next segment).
+function vivifyChild(pathStep: any, emptyContainer?: any): any {
+  const adapter = findAdapter(pathStep.current);
+  if (adapter) {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot vivify "${reportSegment(pathStep.addressComponent)}" inside a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — create the entry first`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  if (emptyContainer === undefined) emptyContainer = emptyContainerFor(pathStep.addressList[pathStep.index + 1]);
+  assignChild(pathStep, emptyContainer);
+  // in a draft, carry on through the draft's view of the new container
+  return forkNodes.has(pathStep.current) ? pathStep.current[pathStep.addressComponent] : emptyContainer;
+}
+
+// removeChild(pathStep) — delete the slot pathStep is at.  Array elements
+// are spliced out so no hole is left behind.
+function removeChild(pathStep: any): void {
+  refuseSharedWrite(pathStep.object, pathStep.current, true, pathStep.addressComponent, pathStep.address, stepDetails(pathStep, pathStep.address));
+  const adapter = findAdapter(pathStep.current);
+  if (adapter) {
+    if (!adapter.delete) {
+      throw new ContainerWriteError(buildErrorMessage(
+        `namespace: cannot remove "${reportSegment(pathStep.addressComponent)}" from a ${adapterName(adapter, pathStep.current)} on path "${reportPath(pathStep.address)}" — its adapter has no delete()`,
+        pathStep.object
+      ), stepDetails(pathStep, pathStep.address));
+    }
+    noteMutation(pathStep, true);
+    adapter.delete(pathStep.current, pathStep.addressComponent);
+  } else if (Array.isArray(pathStep.current) && parseIndex(pathStep.addressComponent) !== null) {
+    noteMutation(pathStep, true);
+    pathStep.current.splice(Number(pathStep.addressComponent), 1);
+  } else {
+    noteMutation(pathStep, true);
+    delete pathStep.current[pathStep.addressComponent];
+  }
+}
+
 // traverse(traversalContext) — walk a dotted path, calling traversalContext.func
 // at every segment.
 //
 // traversalContext must supply:
 //   .object   — the root object to traverse
-//   .address  — dotted path string, or null to return root
+//   .verb     — the calling verb's name, for error fields
+//   .address  — dotted path string or segment array (see path grammar above),
+//               or null to return root
 //   .func(pathStep) — called at each segment; pathStep IS traversalContext
 //
 // pathStep (same object, named for its role inside func) exposes:
 //   .current               — the object at the current depth
 //   .next                  — value at this segment (undefined if absent)
-//   .keyExists             — hasOwnProperty result for this segment
-//   .addressComponent      — the segment string ("users", "alice", …)
+//   .keyExists             — whether the container holds this segment
+//   .addressComponent      — the segment ("users", "alice", 0, Symbol(id), …);
+//                            on arrays, negative indices and the append
+//                            marker arrive already resolved to an index
+//   .indexOutOfRange       — true when a negative index reaches past the start
 //   .finalAddressComponent — true when this is the last segment
 //   .index                 — zero-based segment index
 //   .addressListLength     — total segment count
@@ -59,7 +1005,10 @@ export function traverse(traversalContext: any): any {
   const dottedAddress = traversalContext.address;
 
   if (rootObject === undefined || rootObject === null || !isObject(rootObject)) {
-    throw new Error(buildErrorMessage("namespace: object is not a valid root", rootObject));
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", rootObject),
+      { verb: traversalContext.verb, path: dottedAddress, valueType: valueTypeOf(rootObject) }
+    );
   }
 
   if (dottedAddress === null) {
@@ -67,11 +1016,20 @@ export function traverse(traversalContext: any): any {
     return;
   }
 
-  if (!isString(dottedAddress)) {
-    throw new Error(buildErrorMessage("namespace: address must be a string: " + dottedAddress, rootObject));
+  if (!isPath(dottedAddress)) {
+    throw new InvalidPathError(
+      buildErrorMessage("namespace: address must be a string or segment array: " + String(dottedAddress), rootObject),
+      { verb: traversalContext.verb, path: dottedAddress, valueType: valueTypeOf(dottedAddress) }
+    );
   }
 
-  const addressSegments               = dottedAddress.split(".");
+  let addressSegments;
+  try {
+    addressSegments = toSegments(dottedAddress);
+  } catch (error) {
+    if (error instanceof NamespaceError) error.verb = traversalContext.verb;
+    throw error;
+  }
   traversalContext.addressList        = addressSegments;
   traversalContext.addressListLength  = addressSegments.length;
   traversalContext.returnNow          = false;
@@ -81,13 +1039,18 @@ export function traverse(traversalContext: any): any {
   for (let segmentIndex = 0; segmentIndex < addressSegments.length; segmentIndex++) {
     traversalContext.index                 = segmentIndex;
     traversalContext.addressComponent      = addressSegments[segmentIndex];
+    traversalContext.indexOutOfRange       = false;
     traversalContext.finalAddressComponent = (segmentIndex >= addressSegments.length - 1);
 
+    if (Array.isArray(traversalContext.current)) {
+      const resolvedSegment = resolveArraySegment(traversalContext.current, traversalContext.addressComponent);
+      if (resolvedSegment === null) traversalContext.indexOutOfRange = true;
+      else traversalContext.addressComponent = resolvedSegment;
+    }
+
     try {
-      traversalContext.keyExists = Object.prototype.hasOwnProperty.call(
-        traversalContext.current, traversalContext.addressComponent
-      );
-      traversalContext.next = traversalContext.current[traversalContext.addressComponent];
+      traversalContext.keyExists = hasChild(traversalContext.current, traversalContext.addressComponent);
+      traversalContext.next      = getChild(traversalContext.current, traversalContext.addressComponent);
     } catch (_ignored) {
       traversalContext.keyExists = false;
       traversalContext.next      = undefined;
@@ -107,9 +1070,16 @@ export function traverse(traversalContext: any): any {
 // getIfExists(object, path)
 // Returns the value at path, or the NotFound sentinel if any segment is absent.
 // Never writes.
-export function getIfExists(object: any, path: string): any {
+export function getIfExists(object: any, path: Path): any {
+  return lookup(object, path, "getIfExists");
+}
+
+// lookup(object, path, verb) — getIfExists on behalf of verb, which is the
+// name errors report.  Every read verb goes through here.
+function lookup(object: any, path: Path, verb: string): any {
   const traversalContext = {
     object,
+    verb,
     address: path,
     func(pathStep: any) {
       if (!pathStep.keyExists) {
@@ -129,42 +1099,59 @@ export function getIfExists(object: any, path: string): any {
 // getMustExist(object, path, opts?)
 // Returns the value, or throws (opts.errorMessage if given).
 // Never writes.
-export function getMustExist(object: any, path: string, options?: { errorMessage?: string }): any {
-  const foundValue_probed = getIfExists(object, path);
+export function getMustExist(object: any, path: Path, options?: { errorMessage?: string }): any {
+  return requireFound(lookup(object, path, "getMustExist"), object, path, options);
+}
+
+// requireFound / requireEmpty — the getMustExist and getMustEmpty checks on
+// an already-read value; compile() shares them.
+function requireFound(foundValue_probed: any, object: any, path: Path, options?: { errorMessage?: string }): any {
   if (foundValue_probed === NotFound) {
+    // a caller's own errorMessage is often shown to end users — keep tree keys out of it
+    const details     = missingDetails("getMustExist", object, path);
     const baseMessage =
       (options && options.errorMessage) ||
-      `namespace.getMustExist: property not found at "${path}"`;
-    throw new Error(buildErrorMessage(baseMessage, object));
+      `namespace.getMustExist: property not found at "${reportPath(path)}"` + details.hint;
+    throw new PathNotFoundError(buildErrorMessage(baseMessage, details.subtree, details.existingPath), details);
   }
   return foundValue_probed;
 }
 
-// getMustEmpty(object, path)
-// Throws if a value is present at path.  Returns nothing useful.
-// Use as a guard on its own line before writing to a slot you know is new.
-export function getMustEmpty(object: any, path: string): void {
-  const foundValue_probed = getIfExists(object, path);
+function requireEmpty(foundValue_probed: any, object: any, path: Path): void {
   if (foundValue_probed !== NotFound) {
-    throw new Error(buildErrorMessage(
-      `namespace.getMustEmpty: path must be empty but value found at "${path}"`,
+    const segments_list = toSegments(path);
+    throw new PathOccupiedError(buildErrorMessage(
+      `namespace.getMustEmpty: path must be empty but value found at "${reportPath(path)}"`,
       object
-    ));
+    ), {
+      verb:          "getMustEmpty",
+      path,
+      failedSegment: segments_list[segments_list.length - 1],
+      segmentIndex:  segments_list.length - 1,
+      valueType:     valueTypeOf(foundValue_probed),
+    });
   }
 }
 
+// getMustEmpty(object, path)
+// Throws if a value is present at path.  Returns nothing useful.
+// Use as a guard on its own line before writing to a slot you know is new.
+export function getMustEmpty(object: any, path: Path): void {
+  requireEmpty(lookup(object, path, "getMustEmpty"), object, path);
+}
+
 // getOrDefault(object, path, standIn)
 // Returns the stored value, or standIn if absent.  standIn is a required
 // positional argument — if you want the sentinel, use get().  Never writes.
-export function getOrDefault(object: any, path: string, standIn: any): any {
-  const foundValue_probed = getIfExists(object, path);
+export function getOrDefault(object: any, path: Path, standIn: any): any {
+  const foundValue_probed = lookup(object, path, "getOrDefault");
   return foundValue_probed === NotFound ? standIn : foundValue_probed;
 }
 
 // getOrDefault.syncFunc(object, path, fn)
 // Like getOrDefault, but calls fn() only when absent.  Never writes.
-getOrDefault.syncFunc = function syncFunc(object: any, path: string, fn: () => any): any {
-  const foundValue_probed = getIfExists(object, path);
+getOrDefault.syncFunc = function syncFunc(object: any, path: Path, fn: () => any): any {
+  const foundValue_probed = lookup(object, path, "getOrDefault.syncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return fn();
 };
@@ -172,8 +1159,8 @@ getOrDefault.syncFunc = function syncFunc(object: any, path: string, fn: () => a
 // getOrDefault.asyncFunc(object, path, fn)
 // Like getOrDefault, but calls async fn() only when absent.  Never writes.
 // Always returns a promise.
-getOrDefault.asyncFunc = async function asyncFunc(object: any, path: string, fn: () => Promise<any>): Promise<any> {
-  const foundValue_probed = getIfExists(object, path);
+getOrDefault.asyncFunc = async function asyncFunc(object: any, path: Path, fn: () => Promise<any>): Promise<any> {
+  const foundValue_probed = lookup(object, path, "getOrDefault.asyncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return await fn();
 };
@@ -183,31 +1170,32 @@ getOrDefault.asyncFunc = async function asyncFunc(object: any, path: string, fn:
 // setNotExists(object, path, value)
 // Create-only: writes value, throws if path already holds something.
 // Auto-vivifies missing intermediate objects.
-export function setNotExists(object: any, path: string, valueToSet: any): any {
-  if (path === null) throw new Error("namespace.setNotExists: path cannot be null");
+export function setNotExists(object: any, path: Path, valueToSet: any): any {
+  if (path === null) throw new InvalidPathError("namespace.setNotExists: path cannot be null", { verb: "setNotExists" });
 
   const traversalContext = {
     object,
+    verb:       "setNotExists",
     address:    path,
     valueToSet,
     func(pathStep: any) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.setNotExists: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}"`,
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.setNotExists: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (pathStep.keyExists) {
-          throw new Error(buildErrorMessage(
-            `namespace.set: cannot overwrite existing value at "${path}"`,
+          throw new PathOccupiedError(buildErrorMessage(
+            `namespace.set: cannot overwrite existing value at "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -220,29 +1208,40 @@ export function setNotExists(object: any, path: string, valueToSet: any): any {
 // setMustExist(object, path, value)
 // Update-only: writes value, throws if path is absent.
 // Does NOT auto-vivify — the whole hierarchy must already exist.
-export function setMustExist(object: any, path: string, valueToSet: any): any {
-  if (path === null) throw new Error("namespace.setMustExist: path cannot be null");
+export function setMustExist(object: any, path: Path, valueToSet: any): any {
+  if (path === null) throw new InvalidPathError("namespace.setMustExist: path cannot be null", { verb: "setMustExist" });
 
   const traversalContext = {
     object,
+    verb:       "setMustExist",
     address:    path,
     valueToSet,
     func(pathStep: any) {
       if (!pathStep.finalAddressComponent) {
-        if (!pathStep.keyExists || !isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.setMustExist: path does not exist: "${path}"`,
+        if (!pathStep.keyExists) {
+          const details = missingDetails("setMustExist", object, path);
+          throw new PathNotFoundError(buildErrorMessage(
+            `namespace.setMustExist: path does not exist: "${reportPath(path)}"` + details.hint,
+            details.subtree,
+            details.existingPath
+          ), details);
+        }
+        if (!isObject(pathStep.next)) {
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.setMustExist: path does not exist: "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (!pathStep.keyExists) {
-          throw new Error(buildErrorMessage(
-            `namespace.setMustExist: path must exist but is absent: "${path}"`,
-            object
-          ));
+          const details = missingDetails("setMustExist", object, path);
+          throw new PathNotFoundError(buildErrorMessage(
+            `namespace.setMustExist: path must exist but is absent: "${reportPath(path)}"` + details.hint,
+            details.subtree,
+            details.existingPath
+          ), details);
         }
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -256,29 +1255,30 @@ export function setMustExist(object: any, path: string, valueToSet: any): any {
 // Convergence: writes value only if path is absent; returns whichever now holds.
 // Auto-vivifies missing intermediate objects.
 // "Many routes converge here; set it if no route has, else keep."
-export function setOrDefault(object: any, path: string, valueToSet: any): any {
-  if (path === null) throw new Error("namespace.setOrDefault: path cannot be null");
+export function setOrDefault(object: any, path: Path, valueToSet: any): any {
+  if (path === null) throw new InvalidPathError("namespace.setOrDefault: path cannot be null", { verb: "setOrDefault" });
 
   const traversalContext = {
     object,
+    verb:       "setOrDefault",
     address:    path,
     valueToSet,
     func(pathStep: any) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
-          throw new Error(buildErrorMessage(
-            `namespace.setOrDefault: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}"`,
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.setOrDefault: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
             object
-          ));
+          ), stepDetails(pathStep, path));
         }
       } else {
         if (pathStep.keyExists) {
           pathStep.returnNow = true;
           pathStep.toReturn  = pathStep.next;
         } else {
-          pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+          assignChild(pathStep, pathStep.valueToSet);
           pathStep.returnNow = true;
           pathStep.toReturn  = pathStep.valueToSet;
         }
@@ -291,8 +1291,8 @@ export function setOrDefault(object: any, path: string, valueToSet: any): any {
 
 // setOrDefault.syncFunc(object, path, fn)
 // Like setOrDefault, but calls fn() only when absent.  Writes the result.
-setOrDefault.syncFunc = function syncFunc(object: any, path: string, fn: () => any): any {
-  const foundValue_probed = getIfExists(object, path);
+setOrDefault.syncFunc = function syncFunc(object: any, path: Path, fn: () => any): any {
+  const foundValue_probed = lookup(object, path, "setOrDefault.syncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
   return setOrDefault(object, path, fn());
 };
@@ -300,40 +1300,42 @@ setOrDefault.syncFunc = function syncFunc(object: any, path: string, fn: () => a
 // setOrDefault.asyncFunc(object, path, fn)
 // Like setOrDefault, but calls async fn() only when absent.
 // Awaits the result, writes it, returns a promise.
-setOrDefault.asyncFunc = async function asyncFunc(object: any, path: string, fn: () => Promise<any>): Promise<any> {
-  const foundValue_probed = getIfExists(object, path);
+setOrDefault.asyncFunc = async function asyncFunc(object: any, path: Path, fn: () => Promise<any>): Promise<any> {
+  const foundValue_probed = lookup(object, path, "setOrDefault.asyncFunc");
   if (foundValue_probed !== NotFound) return foundValue_probed;
+  const callConfig = activeConfig;
   const resolved = await fn();
-  return setOrDefault(object, path, resolved);
+  return runWithConfig(callConfig, setOrDefault, null, [object, path, resolved]);
 };
 
 // setOverwrite(object, path, value)
 // Writes unconditionally, clobbering any existing value.
 // Auto-vivifies missing intermediate objects.
 // The long name is the signal: you mean to clobber.
-export function setOverwrite(object: any, path: string, valueToSet: any, options?: { overwriteStructure?: boolean }): any {
-  if (path === null) throw new Error("namespace.setOverwrite: path cannot be null");
+export function setOverwrite(object: any, path: Path, valueToSet: any, options?: { overwriteStructure?: boolean }): any {
+  if (path === null) throw new InvalidPathError("namespace.setOverwrite: path cannot be null", { verb: "setOverwrite" });
 
   const traversalContext = {
     object,
+    verb:       "setOverwrite",
     address:    path,
     valueToSet,
     func(pathStep: any) {
       if (!pathStep.finalAddressComponent) {
         if (!pathStep.keyExists) {
-          pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+          pathStep.next = vivifyChild(pathStep);
         } else if (!isObject(pathStep.next)) {
           if (options && options.overwriteStructure) {
-            pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+            pathStep.next = vivifyChild(pathStep);
           } else {
-            throw new Error(buildErrorMessage(
-              `namespace.setOverwrite: cannot traverse through non-object at "${pathStep.addressComponent}" on path "${path}" — use { overwriteStructure: true } to clobber structure`,
+            throw new NonObjectIntermediateError(buildErrorMessage(
+              `namespace.setOverwrite: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}" — use { overwriteStructure: true } to clobber structure`,
               object
-            ));
+            ), stepDetails(pathStep, path));
           }
         }
       } else {
-        pathStep.current[pathStep.addressComponent] = pathStep.valueToSet;
+        assignChild(pathStep, pathStep.valueToSet);
         pathStep.returnNow = true;
         pathStep.toReturn  = pathStep.valueToSet;
       }
@@ -343,16 +1345,209 @@ export function setOverwrite(object: any, path: string, valueToSet: any, options
   return traversalContext.toReturn;
 }
 
-// ── test verbs ────────────────────────────────────────────────────────────────
+// ── update verbs ─────────────────────────────────────────────────────────────
+//
+// Read-modify-write at one path: fn receives the current value and its
+// result is written back under the matching write contract.  The new value
+// is returned.  fn runs before anything is written, so a throwing fn leaves
+// the tree untouched.
+
+// updateMustExist(object, path, fn) — update-only: as setMustExist, with
+// fn(current) as the value.
+export function updateMustExist(object: any, path: Path, fn: (current: any) => any): any {
+  requireFunction("updateMustExist", fn, "fn");
+  return updateAt(object, path, "updateMustExist", true, undefined, fn);
+}
 
-// exists(object, path)
-// Returns true iff the path holds something — including 0, false, "", null.
-export function exists(object: any, path: string): boolean {
-  return getIfExists(object, path) !== NotFound;
+// updateOrDefault(object, path, seed, fn) — convergent update: fn(current),
+// or fn(seed) when path is absent.  Auto-vivifies, as setOrDefault.
+export function updateOrDefault(object: any, path: Path, seed: any, fn: (current: any) => any): any {
+  requireFunction("updateOrDefault", fn, "fn");
+  return updateAt(object, path, "updateOrDefault", false, seed, fn);
 }
 
-// isNotFound(value)
-// Returns true iff value is the NotFound sentinel returned by get().
+// updateAt(object, path, verb, mustExist, seed, fn) — the update traversal on
+// behalf of verb.  mustExist selects the setMustExist contract, otherwise the
+// setOrDefault one.  When fn hands back the node it was given (an in-place
+// edit) the slot is left as it is.
+function updateAt(object: any, path: Path, verb: string, mustExist: boolean, seed: any, fn: (current: any) => any): any {
+  if (path === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
+
+  let computed = false;
+  let newValue: any;
+  const traversalContext: any = {
+    object,
+    verb,
+    address: path,
+    func(pathStep: any) {
+      if (!pathStep.keyExists && mustExist) {
+        const details = missingDetails(verb, object, path);
+        throw new PathNotFoundError(buildErrorMessage(
+          `namespace.${verb}: path must exist but is absent: "${reportPath(path)}"` + details.hint,
+          details.subtree,
+          details.existingPath
+        ), details);
+      }
+      if (!pathStep.finalAddressComponent) {
+        if (!pathStep.keyExists) {
+          // the leaf is absent too — settle the value before vivifying anything
+          if (!computed) { newValue = fn(seed); computed = true; }
+          pathStep.next = vivifyChild(pathStep);
+        } else if (!isObject(pathStep.next)) {
+          throw new NonObjectIntermediateError(buildErrorMessage(
+            `namespace.${verb}: cannot traverse through non-object at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(path)}"`,
+            object
+          ), stepDetails(pathStep, path));
+        }
+      } else {
+        if (!computed) newValue = fn(pathStep.keyExists ? pathStep.next : seed);
+        pathStep.returnNow = true;
+        pathStep.toReturn  = pathStep.keyExists && newValue === pathStep.next ? newValue : assignChild(pathStep, newValue);
+      }
+    }
+  };
+  traverse(traversalContext);
+  return traversalContext.toReturn;
+}
+
+function requireFunction(verb: string, fn: unknown, argumentName: string): void {
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError(`namespace.${verb}: ${argumentName} must be a function`, { verb, valueType: valueTypeOf(fn) });
+  }
+}
+
+// ── array verbs ──────────────────────────────────────────────────────────────
+//
+// Point contracts for the array at a path.  Arrays are edited in place, so
+// anyone holding the array sees the change; a slot holding anything else
+// throws SlotTypeError.  Inside a transaction each edit is undone on rollback.
+
+// appendOrDefault(object, path, value) — push value onto the array at path,
+// starting a new [] when absent.  Auto-vivifies.  Returns the array.
+export function appendOrDefault(object: any, path: Path, value: any): any[] {
+  return updateAt(object, path, "appendOrDefault", false, [], (array_node: any) => {
+    editArray(object, path, "appendOrDefault", array_node).push(value);
+    return array_node;
+  });
+}
+
+// appendMustExist(object, path, value) — push value onto the array at path,
+// which must already exist.  Returns the array.
+export function appendMustExist(object: any, path: Path, value: any): any[] {
+  return updateAt(object, path, "appendMustExist", true, undefined, (array_node: any) => {
+    editArray(object, path, "appendMustExist", array_node).push(value);
+    return array_node;
+  });
+}
+
+// insertMustExist(object, path, index, value) — insert value before index in
+// the array at path, which must already exist.  index may be the length
+// (append) or negative, counting back from the end as splice does.
+export function insertMustExist(object: any, path: Path, index: number, value: any): any[] {
+  if (!Number.isInteger(index)) {
+    throw new InvalidArgumentError(`namespace.insertMustExist: index must be an integer, got ${String(index)}`, { verb: "insertMustExist", path, valueType: valueTypeOf(index) });
+  }
+  return updateAt(object, path, "insertMustExist", true, undefined, (array_node: any) => {
+    if (Array.isArray(array_node) && (index > array_node.length || index < -array_node.length)) {
+      throw new IndexOutOfRangeError(buildErrorMessage(
+        `namespace.insertMustExist: index ${index} is out of range for the ${array_node.length}-element array at "${reportPath(path)}"`,
+        object
+      ), { verb: "insertMustExist", path, valueType: "array" });
+    }
+    editArray(object, path, "insertMustExist", array_node).splice(index, 0, value);
+    return array_node;
+  });
+}
+
+// rmWhere(object, path, predicate) — remove every element of the array at
+// path for which predicate(element, index) is truthy.  Returns the removed
+// elements; an absent path removes nothing.  A throwing predicate leaves the
+// array whole.
+export function rmWhere(object: any, path: Path, predicate: (element: any, index: number) => unknown): any[] {
+  if (path === null) throw new InvalidPathError("namespace.rmWhere: path cannot be null", { verb: "rmWhere" });
+  requireFunction("rmWhere", predicate, "predicate");
+
+  const array_node = lookup(object, path, "rmWhere");
+  if (array_node === NotFound) return [];
+  const remove_list = requireSlotType(object, path, "rmWhere", array_node, "array").map((element: any, index: number) => Boolean(predicate(element, index)));
+  const removed_list = array_node.filter((_element: any, index: number) => remove_list[index]);
+  if (removed_list.length > 0) {
+    editArray(object, path, "rmWhere", array_node);
+    let keptCount = 0;
+    for (let index = 0; index < remove_list.length; index++) {
+      if (!remove_list[index]) array_node[keptCount++] = array_node[index];
+    }
+    array_node.length = keptCount;
+  }
+  return removed_list;
+}
+
+// requireSlotType(object, path, verb, value, expectedType) — value, or
+// SlotTypeError when its valueTypeOf is not expectedType ("array", "number").
+function requireSlotType(object: any, path: Path, verb: string, value: any, expectedType: string): any {
+  if (valueTypeOf(value) !== expectedType) {
+    throw new SlotTypeError(buildErrorMessage(
+      `namespace.${verb}: expected ${expectedType === "array" ? "an" : "a"} ${expectedType} at "${reportPath(path)}" but found ${valueTypeOf(value)}`,
+      object
+    ), { verb, path, valueType: valueTypeOf(value) });
+  }
+  return value;
+}
+
+// editArray(object, path, verb, value) — requireSlotType, journaling the array
+// for the edit the caller is about to make.
+function editArray(object: any, path: Path, verb: string, value: any): any[] {
+  requireSlotType(object, path, verb, value, "array");
+  refuseSharedWrite(object, value, false, undefined, path, { verb, path, valueType: "array" });
+  noteArrayEdit(object, value);
+  return value;
+}
+
+// ── counter verbs ────────────────────────────────────────────────────────────
+//
+// Numeric read-modify-write under the updateOrDefault contract: an absent
+// slot starts from seed (default 0) and missing intermediates are vivified.
+// A slot holding anything but a number throws SlotTypeError.  Each returns
+// the new value.
+//   const visits = namespace.incrementOrDefault(ctx, ["users", userId, "visits"]);
+
+// incrementOrDefault(object, path, step = 1, seed = 0) — add step.
+export function incrementOrDefault(object: any, path: Path, step: number = 1, seed: number = 0): number {
+  return accumulateAt(object, path, "incrementOrDefault", step, "step", seed, 1);
+}
+
+// decrementOrDefault(object, path, step = 1, seed = 0) — subtract step.
+export function decrementOrDefault(object: any, path: Path, step: number = 1, seed: number = 0): number {
+  return accumulateAt(object, path, "decrementOrDefault", step, "step", seed, -1);
+}
+
+// accumulateOrDefault(object, path, amount, seed = 0) — add amount, for
+// running totals.
+export function accumulateOrDefault(object: any, path: Path, amount: number, seed: number = 0): number {
+  return accumulateAt(object, path, "accumulateOrDefault", amount, "amount", seed, 1);
+}
+
+// accumulateAt(object, path, verb, amount, amountName, seed, sign) — add
+// sign * amount on behalf of verb, after checking both numeric arguments.
+function accumulateAt(object: any, path: Path, verb: string, amount: number, amountName: string, seed: number, sign: number): number {
+  for (const [argumentName, argument_value] of [[amountName, amount], ["seed", seed]]) {
+    if (typeof argument_value !== "number" || Number.isNaN(argument_value)) {
+      throw new InvalidArgumentError(`namespace.${verb}: ${argumentName} must be a number, got ${String(argument_value)}`, { verb, path, valueType: valueTypeOf(argument_value) });
+    }
+  }
+  return updateAt(object, path, verb, false, seed, (current: any) => requireSlotType(object, path, verb, current, "number") + sign * amount);
+}
+
+// ── test verbs ────────────────────────────────────────────────────────────────
+
+// exists(object, path)
+// Returns true iff the path holds something — including 0, false, "", null.
+export function exists(object: any, path: Path): boolean {
+  return lookup(object, path, "exists") !== NotFound;
+}
+
+// isNotFound(value)
+// Returns true iff value is the NotFound sentinel returned by get().
 export function isNotFound(value: unknown): boolean {
   return (
     isObject(value) &&
@@ -365,25 +1560,41 @@ export function isNotFound(value: unknown): boolean {
 //
 // Pure path-string algebra — no tree argument.
 // Every function here takes strings (or arrays of strings) and returns strings.
+// Strings are read with the path grammar; array elements are raw segments,
+// and numbers are accepted wherever a segment is.
 
 export const path: {
-  join(...parts: (string | string[])[]): string;
+  join(...parts: (string | number | (string | number)[])[]): string;
   joinSlash(...parts: (string | string[])[]): string;
-  split(dottedPath: string): string[];
-  isRootOf(rootPath: string, targetPath: string): boolean;
-  tween(dottedPath: string, tweenSegment?: string): string | undefined;
+  split(dottedPath: Path): Segment[];
+  isRootOf(rootPath: Path, targetPath: Path): boolean;
+  match(pattern: Path, path: Path): boolean;
+  fromPointer(pointer: string): string[];
+  toPointer(path: Path): string;
+  tween(dottedPath: Path, tweenSegment?: string): string | undefined;
 } = {
 
   // join("users", userId, "entries")  →  "users.alice.entries"
   // join("a.b", ["c", "d"])           →  "a.b.c.d"
-  // Each part is split on "." before joining, so partial paths compose cleanly.
-  join(...parts: (string | string[])[]): string {
-    const segments_list: string[] = [];
+  // join("sites", ["example.com"])    →  "sites.example\.com"
+  // join("items", 0, "sku")           →  "items.0.sku"
+  // Each string part is parsed before joining, so partial paths compose cleanly;
+  // array elements and numbers are escaped, so runtime keys can never add
+  // segments.  Symbols have no string form and throw.
+  join(...parts: (string | number | (string | number)[])[]): string {
+    const segments_list: Segment[] = [];
     for (const part of parts) {
-      if (Array.isArray(part))  segments_list.push(...part);
-      else if (isString(part))  segments_list.push(...part.split("."));
+      if (Array.isArray(part))       segments_list.push(...part);
+      else if (isString(part))       segments_list.push(...toSegments(part));
+      else if (typeof part === "number") segments_list.push(part);
+      else throw new InvalidArgumentError("namespace.path.join: parts must be strings, numbers or arrays, got " + typeof part, { verb: "path.join", valueType: valueTypeOf(part) });
+    }
+    for (const segment of segments_list) {
+      if (typeof segment === "symbol") {
+        throw new InvalidPathError("namespace.path.join: Symbol segments have no string form — pass the segment array to the verb instead", { verb: "path.join", path: segments_list, failedSegment: segment });
+      }
     }
-    return segments_list.join(".");
+    return formatPath(segments_list as (string | number)[]);
   },
 
   // Same as join but uses "/" — for URL-style paths.
@@ -396,30 +1607,65 @@ export const path: {
     return segments_list.join("/");
   },
 
-  // split("a.b.c")  →  ["a", "b", "c"]
-  split(dottedPath_namespace: string): string[] {
-    if (!isString(dottedPath_namespace)) {
-      throw new Error("namespace.path.split: path must be a string");
+  // split("a.b.c")                   →  ["a", "b", "c"]
+  // split('sites["example.com"].owner') →  ["sites", "example.com", "owner"]
+  // split(["a", 0])                     →  ["a", 0]  (segment arrays pass through)
+  split(dottedPath_namespace: Path): Segment[] {
+    if (!isPath(dottedPath_namespace)) {
+      throw new InvalidPathError("namespace.path.split: path must be a string or segment array", { verb: "path.split", path: dottedPath_namespace });
     }
-    return dottedPath_namespace.split(".");
+    return toSegments(dottedPath_namespace);
   },
 
   // isRootOf("users.alice", "users.alice.entries")  →  true
   // isRootOf("users.alice", "users.alice")           →  true  (exact match)
   // isRootOf("users.alice", "users.alicex")          →  false (not a segment boundary)
-  isRootOf(rootPath_namespace: string, targetPath_namespace: string): boolean {
-    if (!isString(rootPath_namespace) || !isString(targetPath_namespace)) return false;
+  isRootOf(rootPath_namespace: Path, targetPath_namespace: Path): boolean {
+    if (!isPath(rootPath_namespace) || !isPath(targetPath_namespace)) return false;
     if (rootPath_namespace === targetPath_namespace) return true;
-    return targetPath_namespace.startsWith(rootPath_namespace + ".");
+    const rootSegments_list   = toSegments(rootPath_namespace);
+    const targetSegments_list = toSegments(targetPath_namespace);
+    if (rootSegments_list.length > targetSegments_list.length) return false;
+    return rootSegments_list.every((segment, index) => sameSegment(segment, targetSegments_list[index]));
+  },
+
+  // match("users.*.entries", "users.alice.entries")  →  true
+  // match("users.*", "users.alice.entries")          →  false (one "*" is one segment)
+  // match("jobs.**.status", "jobs.a.steps.2.status")  →  true
+  // Both arguments may be strings or segment arrays.
+  match(pattern_namespace: Path, path_namespace: Path): boolean {
+    if (!isPath(pattern_namespace) || !isPath(path_namespace)) return false;
+    return _matchSegments(toPatternSegments(pattern_namespace), 0, toSegments(path_namespace), 0);
+  },
+
+  // fromPointer("/users/alice~1bob/entries/0")  →  ["users", "alice/bob", "entries", "0"]
+  // fromPointer("")                              →  []  (the whole document)
+  fromPointer(pointer: string): string[] {
+    if (!isString(pointer)) {
+      throw new InvalidPathError("namespace.path.fromPointer: pointer must be a string", { verb: "path.fromPointer", path: pointer });
+    }
+    return asVerb("path.fromPointer", () => parsePointer(pointer));
+  },
+
+  // toPointer("users.alice.entries.0")            →  "/users/alice/entries/0"
+  // toPointer(["users", "alice/bob", "entries"])  →  "/users/alice~1bob/entries"
+  // Every verb already accepts the pointer form; this is for handing paths
+  // to services that speak RFC 6901.
+  toPointer(path_namespace: Path): string {
+    if (Array.isArray(path_namespace) && path_namespace.length === 0) return "";
+    if (!isPath(path_namespace)) {
+      throw new InvalidPathError("namespace.path.toPointer: path must be a string or segment array", { verb: "path.toPointer", path: path_namespace });
+    }
+    return asVerb("path.toPointer", () => formatPointer(toSegments(path_namespace)));
   },
 
   // tween("a.b.c")           →  "a.children.b.children.c"
   // tween("a.b.c", "items")  →  "a.items.b.items.c"
   // Single-segment paths pass through unchanged.
-  tween(dottedPath_namespace: string, tweenSegment?: string): string | undefined {
-    if (!isString(dottedPath_namespace)) return undefined;
+  tween(dottedPath_namespace: Path, tweenSegment?: string): string | undefined {
+    if (!isPath(dottedPath_namespace)) return undefined;
     const separator_value = isString(tweenSegment) ? tweenSegment : "children";
-    return dottedPath_namespace.split(".").join("." + separator_value + ".");
+    return toSegments(dottedPath_namespace).map(describeSegment).join("." + separator_value + ".");
   },
 
 };
@@ -429,102 +1675,1113 @@ export const path: {
 // Operations that apply a point contract across multiple paths in one call.
 // Names are PENDING RENAME — implementations are settled, grammar is not.
 
+// A destructureMustExist entry made by batch.orDefault.
+export type OptionalEntry = Readonly<{ path: Path; standIn: any } | { path: Path; fn: () => any }>;
+
+const optionalEntries = new WeakSet<object>();
+
+function batchOrDefault(path: Path, standIn: any): OptionalEntry {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.batch.orDefault: path must be a string or segment array: " + String(path), { verb: "batch.orDefault", path });
+  }
+  const entry = Object.freeze({ path, standIn });
+  optionalEntries.add(entry);
+  return entry;
+}
+
+batchOrDefault.syncFunc = function syncFunc(path: Path, fn: () => any): OptionalEntry {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.batch.orDefault.syncFunc: path must be a string or segment array: " + String(path), { verb: "batch.orDefault.syncFunc", path });
+  }
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError("namespace.batch.orDefault.syncFunc: fn must be a function", { verb: "batch.orDefault.syncFunc", valueType: valueTypeOf(fn) });
+  }
+  const entry = Object.freeze({ path, fn });
+  optionalEntries.add(entry);
+  return entry;
+};
+
 export const batch: {
-  destructureMustExist(object: any, mappingDefinition: Record<string, string>, options?: { errorMessage?: string }): Record<string, any>;
-  allMustExist(object: any, pathList: string[], options?: { errorMessage?: string }): Record<string, any>;
-  extractMustExist(object: any, path: string): any;
+  destructureMustExist(object: any, mappingDefinition: Record<string, Path | OptionalEntry>, options?: BatchReadOptions): Record<string, any>;
+  allMustExist(object: any, pathList: (Path | OptionalEntry)[], options?: BatchReadOptions): Record<string, any>;
+  extractMustExist(object: any, path: Path): any;
+  orDefault: typeof batchOrDefault;
+  setNotExistsAll(object: any, valuesByPath: Record<string, any>): void;
+  setMustExistAll(object: any, valuesByPath: Record<string, any>): void;
 } = {
 
   // PENDING RENAME
   // destructureMustExist(obj, { localKey: "source.path" })
   // Returns { localKey: value } for each entry — throws if any path is absent.
   // The mapping object IS the preamble contract: every dependency declared once.
-  destructureMustExist(object: any, mappingDefinition: Record<string, string>, options?: { errorMessage?: string }): Record<string, any> {
-    const result_node: Record<string, any> = {};
-    for (const [localKey, sourcePath_namespace] of Object.entries(mappingDefinition)) {
-      result_node[localKey] = getMustExist(object, sourcePath_namespace, options);
-    }
-    return result_node;
+  // Entries made by batch.orDefault are optional.  { reportAll: true }
+  // throws one BatchError listing every missing path.
+  destructureMustExist(object: any, mappingDefinition: Record<string, Path | OptionalEntry>, options?: BatchReadOptions): Record<string, any> {
+    return readAll("batch.destructureMustExist", object, Object.entries(mappingDefinition), options);
   },
 
   // PENDING RENAME
   // allMustExist(obj, ["a.b", "c.d"])
   // Returns { "a.b": value1, "c.d": value2 } — throws if any path is absent.
-  // Keys in the result are the dotted paths themselves.
-  allMustExist(object: any, pathList_namespace: string[], options?: { errorMessage?: string }): Record<string, any> {
-    const result_node: Record<string, any> = {};
-    for (const path_namespace of pathList_namespace) {
-      result_node[path_namespace] = getMustExist(object, path_namespace, options);
-    }
-    return result_node;
+  // Keys in the result are the dotted paths themselves (segment arrays are
+  // rendered as dotted strings).  A batch.orDefault entry is optional here
+  // too, keyed by its path.
+  allMustExist(object: any, pathList_namespace: (Path | OptionalEntry)[], options?: BatchReadOptions): Record<string, any> {
+    const entries_list: [string, Path | OptionalEntry][] = pathList_namespace.map((entry) =>
+      [describePath(optionalEntries.has(entry as object) ? (entry as OptionalEntry).path : entry as Path), entry]);
+    return readAll("batch.allMustExist", object, entries_list, options);
   },
 
   // PENDING RENAME
   // extractMustExist(obj, "a.b")
   // Asserts the path exists, removes it from the tree, returns the value.
   // Use when consuming a message or one-time token from a shared tree.
-  extractMustExist(object: any, path_namespace: string): any {
-    const segments_list        = path_namespace.split(".");
-    const leafKey              = segments_list[segments_list.length - 1];
-    const foundValue           = getMustExist(object, path_namespace);
+  extractMustExist(object: any, path_namespace: Path): any {
+    return asVerb("batch.extractMustExist", () => {
+      const foundValue = getMustExist(object, path_namespace);
+      rm(object, path_namespace);
+      return foundValue;
+    });
+  },
 
-    if (segments_list.length === 1) {
-      delete object[leafKey];
-    } else {
-      const parentPath_namespace = segments_list.slice(0, -1).join(".");
-      const parent_probed        = getIfExists(object, parentPath_namespace);
-      if (parent_probed !== NotFound && isObject(parent_probed)) {
-        delete (parent_probed as any)[leafKey];
+  // PENDING RENAME
+  // orDefault(path, standIn) / orDefault.syncFunc(path, fn) — optional
+  // entries for destructureMustExist, read as getOrDefault reads them.
+  orDefault: batchOrDefault,
+
+  // PENDING RENAME
+  // setNotExistsAll(obj, { "a.b": 1, "c.d": 2 }) — setNotExists for every
+  // entry or for none; one BatchError lists every failing path.
+  setNotExistsAll(object: any, valuesByPath: Record<string, any>): void {
+    writeAll("batch.setNotExistsAll", setNotExists, object, valuesByPath);
+  },
+
+  // PENDING RENAME
+  // setMustExistAll(obj, { "a.b": 1, "c.d": 2 }) — as setNotExistsAll.
+  setMustExistAll(object: any, valuesByPath: Record<string, any>): void {
+    writeAll("batch.setMustExistAll", setMustExist, object, valuesByPath);
+  },
+
+};
+
+export interface BatchReadOptions {
+  errorMessage?: string;
+  reportAll?:    boolean;
+}
+
+function readAll(verb: string, object: any, entries_list: [string, any][], options?: BatchReadOptions): Record<string, any> {
+  const result_node: Record<string, any> = {};
+  const failures_list: BatchFailure[] = [];
+  for (const [key, path_namespace] of entries_list) {
+    try {
+      result_node[key] = optionalEntries.has(path_namespace)
+        ? readOptionalEntry(object, path_namespace)
+        : getMustExist(object, path_namespace, options);
+    } catch (error) {
+      if (!(error instanceof NamespaceError)) throw error;
+      error.verb = verb;
+      if (!(options && options.reportAll)) throw error;
+      failures_list.push({ key, path: optionalEntries.has(path_namespace) ? path_namespace.path : path_namespace, error });
+    }
+  }
+  if (failures_list.length > 0) {
+    throw new BatchError(batchFailureMessage(verb, failures_list, entries_list.length, "paths failed"), { verb, failures: failures_list });
+  }
+  return result_node;
+}
+
+function readOptionalEntry(object: any, entry: OptionalEntry): any {
+  return "fn" in entry ? getOrDefault.syncFunc(object, entry.path, entry.fn) : getOrDefault(object, entry.path, entry.standIn);
+}
+
+function writeAll(verb: string, writeVerb: (object: any, path: Path, value: any) => any, object: any, valuesByPath: Record<string, any>): void {
+  if (!isObject(valuesByPath)) {
+    throw new InvalidArgumentError(`namespace.${verb}: values must be an object of { path: value }`, { verb, valueType: valueTypeOf(valuesByPath) });
+  }
+  const entries_list = Object.entries(valuesByPath);
+  asVerb(verb, () => transaction(object, () => {
+    const failures_list: BatchFailure[] = [];
+    for (const [pathKey, value] of entries_list) {
+      try {
+        writeVerb(object, pathKey, value);
+      } catch (error) {
+        if (!(error instanceof NamespaceError)) throw error;
+        error.verb = verb;
+        failures_list.push({ key: pathKey, path: pathKey, error });
+      }
+    }
+    if (failures_list.length > 0) {
+      throw new BatchError(batchFailureMessage(verb, failures_list, entries_list.length, "writes failed — nothing was written"), { verb, failures: failures_list });
+    }
+  }));
+}
+
+// ── namespace.adapters ───────────────────────────────────────────────────────
+//
+// The container adapter registry — see "containers" above for the adapter shape.
+
+export const adapters: {
+  register(predicate: (container: any) => boolean, adapter: ContainerAdapter): ContainerAdapter;
+  unregister(adapter: ContainerAdapter): boolean;
+  find(container: any): ContainerAdapter | undefined;
+} = {
+
+  // register(predicate, adapter)
+  // Teach every verb, flatten, equals and venn to walk containers for which
+  // predicate(container) is true.  Later registrations win over earlier
+  // ones, and all of them over the built-in Map and Set adapters.
+  //   namespace.adapters.register((c) => c instanceof Record, recordAdapter);
+  register(predicate: (container: any) => boolean, adapter: ContainerAdapter): ContainerAdapter {
+    if (typeof predicate !== "function") {
+      throw new InvalidArgumentError("namespace.adapters.register: predicate must be a function", { verb: "adapters.register" });
+    }
+    if (!isObject(adapter) || typeof adapter.has !== "function" || typeof adapter.get !== "function") {
+      throw new InvalidArgumentError("namespace.adapters.register: adapter must supply has() and get()", { verb: "adapters.register" });
+    }
+    activeConfig.adapterRegistry.push({ predicate, adapter });
+    return adapter;
+  },
+
+  // unregister(adapter) — remove every registration of adapter.
+  // Returns true if anything was removed.
+  unregister(adapter: ContainerAdapter): boolean {
+    const lengthBefore = activeConfig.adapterRegistry.length;
+    for (let entryIndex = activeConfig.adapterRegistry.length - 1; entryIndex >= 0; entryIndex--) {
+      if (activeConfig.adapterRegistry[entryIndex].adapter === adapter) activeConfig.adapterRegistry.splice(entryIndex, 1);
+    }
+    return activeConfig.adapterRegistry.length !== lengthBefore;
+  },
+
+  // find(container) — the adapter that would handle container, or undefined
+  // for plain objects and arrays.
+  find(container: any): ContainerAdapter | undefined {
+    return findAdapter(container);
+  },
+
+};
+
+// ── namespace.pattern ────────────────────────────────────────────────────────
+//
+// Pattern verbs — multi-match reads and writes.  A pattern is expanded over
+// the keys that exist (see "pattern segments" above), then the named point
+// contract is applied to every concrete path.  Results are keyed by the
+// concrete dotted path:
+//   namespace.pattern.getEach(ctx, "users.*.entries")
+//   →  { "users.alice.entries": [...], "users.bob.entries": [...] }
+//   namespace.pattern.getEach(ctx, "jobs.**.status", { maxDepth: 4 })
+//   →  every status anywhere under jobs, at most four levels down
+// Writes are separate "…Each" verbs so the point verbs keep their
+// single-path meaning.  Every verb takes options.maxDepth for "**".
+
+// _expandPattern(current, pattern_list, segmentIndex, prefix_list, expansion, deepDepth)
+// Collect the concrete segment lists pattern_list reaches from current into
+// expansion.found_list.  "*" enumerates existing keys.  "**" matches here
+// and then again one level down, up to expansion.maxDepth levels.  A cycle
+// ends the descent: each "**" skips a container already on its current route
+// (expansion.route_list), while a container shared by two routes is walked
+// along each of them.
+// Before any "**", once no wildcard is left the literal tail is emitted
+// whether or not it exists, so write verbs can create it; after a "**",
+// every segment must exist — deep queries only report what is there.
+function _expandPattern(current: any, pattern_list: Segment[], segmentIndex: number, prefix_list: Segment[], expansion: any, deepDepth: number): void {
+  if (segmentIndex === pattern_list.length) {
+    expansion.found_list.push(prefix_list);
+    return;
+  }
+  let segment = pattern_list[segmentIndex];
+
+  if (isDeepWildcard(segment)) {
+    if (!expansion.route_list[segmentIndex]) expansion.route_list[segmentIndex] = new WeakSet();
+    const route_set = expansion.route_list[segmentIndex];
+    if (isWalkable(current)) {
+      if (route_set.has(current)) return;
+      route_set.add(current);
+    }
+    _expandPattern(current, pattern_list, segmentIndex + 1, prefix_list, expansion, 0);
+    if (isWalkable(current) && deepDepth < expansion.maxDepth) {
+      for (const key of childKeys(current)) {
+        _expandPattern(getChild(current, key), pattern_list, segmentIndex, prefix_list.concat([key]), expansion, deepDepth + 1);
       }
     }
-    return foundValue;
+    if (isWalkable(current)) route_set.delete(current);
+    return;
+  }
+
+  if (isWildcard(segment)) {
+    if (!isWalkable(current)) return;
+    for (const key of childKeys(current)) {
+      _expandPattern(getChild(current, key), pattern_list, segmentIndex + 1, prefix_list.concat([key]), expansion, 0);
+    }
+    return;
+  }
+
+  if (segmentIndex < expansion.firstDeepIndex && !pattern_list.slice(segmentIndex).some(isWildcard)) {
+    expansion.found_list.push(prefix_list.concat(pattern_list.slice(segmentIndex)));
+    return;
+  }
+  if (!isObject(current)) return;
+  if (Array.isArray(current)) {
+    const resolvedSegment = resolveArraySegment(current, segment);
+    if (resolvedSegment === null) return;
+    segment = resolvedSegment;
+  }
+  if (!hasChild(current, segment)) return;
+  _expandPattern(getChild(current, segment), pattern_list, segmentIndex + 1, prefix_list.concat([segment]), expansion, 0);
+}
+
+export interface PatternOptions {
+  maxDepth?: number;
+  overwriteStructure?: boolean;
+}
+
+// expandPattern(object, pattern, options, verb) → list of concrete segment lists
+// options.maxDepth — how many levels one "**" may descend (default: no limit)
+function expandPattern(object: any, pattern: Path, options: PatternOptions | undefined, verb: string): Segment[][] {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", object),
+      { verb, path: pattern, valueType: valueTypeOf(object) }
+    );
+  }
+  if (!isPath(pattern)) {
+    throw new InvalidPathError(
+      buildErrorMessage("namespace.pattern: pattern must be a string or segment array: " + String(pattern), object),
+      { verb, path: pattern, valueType: valueTypeOf(pattern) }
+    );
+  }
+  const maxDepth = options && options.maxDepth !== undefined ? options.maxDepth : Infinity;
+  if (maxDepth !== Infinity && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    throw new InvalidArgumentError(
+      "namespace.pattern: options.maxDepth must be a non-negative integer or Infinity, got " + String(maxDepth),
+      { verb, path: pattern, valueType: valueTypeOf(maxDepth) }
+    );
+  }
+  const pattern_list   = asVerb(verb, () => toPatternSegments(pattern));
+  const firstDeepIndex = pattern_list.findIndex(isDeepWildcard);
+  const expansion = {
+    found_list:     [],
+    route_list:     [],
+    maxDepth,
+    firstDeepIndex: firstDeepIndex === -1 ? pattern_list.length : firstDeepIndex,
+  };
+  _expandPattern(object, pattern_list, 0, [], expansion, 0);
+
+  // "a.**.**.b" can reach one path along several routes — report it once
+  const reported_set = new Set<string>();
+  return expansion.found_list.filter((segments_list) => {
+    const described_value = describePath(segments_list);
+    if (reported_set.has(described_value)) return false;
+    reported_set.add(described_value);
+    return true;
+  });
+}
+
+export const pattern: {
+  ANY: symbol;
+  ANY_DEPTH: symbol;
+  paths(object: any, pattern: Path, options?: PatternOptions): string[];
+  getEach(object: any, pattern: Path, options?: PatternOptions): Record<string, any>;
+  setNotExistsEach(object: any, pattern: Path, valueToSet: any, options?: PatternOptions): Record<string, any>;
+  setMustExistEach(object: any, pattern: Path, valueToSet: any, options?: PatternOptions): Record<string, any>;
+  setOrDefaultEach(object: any, pattern: Path, valueToSet: any, options?: PatternOptions): Record<string, any>;
+  setOverwriteEach(object: any, pattern: Path, valueToSet: any, options?: PatternOptions): Record<string, any>;
+  rmEach(object: any, pattern: Path, options?: PatternOptions): Record<string, any>;
+} = {
+
+  // The wildcards for segment arrays: ["users", namespace.pattern.ANY, "entries"]
+  ANY:       anySegment,
+  ANY_DEPTH: anyDepthSegment,
+
+  // paths(obj, "users.*.entries") → ["users.alice.entries", …]
+  // Every concrete path the pattern expands to — the tail may not exist yet.
+  paths(object: any, pattern_namespace: Path, options?: PatternOptions): string[] {
+    return expandPattern(object, pattern_namespace, options, "pattern.paths").map(describePath);
+  },
+
+  // getEach(obj, "users.*.entries") → { concretePath: value }
+  // Only paths that hold something are included.  Never writes.
+  getEach(object: any, pattern_namespace: Path, options?: PatternOptions): Record<string, any> {
+    const result_node: Record<string, any> = {};
+    for (const segments_list of expandPattern(object, pattern_namespace, options, "pattern.getEach")) {
+      const foundValue_probed = getIfExists(object, segments_list);
+      if (foundValue_probed !== NotFound) result_node[describePath(segments_list)] = foundValue_probed;
+    }
+    return result_node;
+  },
+
+  // setNotExistsEach / setMustExistEach / setOrDefaultEach / setOverwriteEach
+  // (obj, "users.*.active", value) → { concretePath: result }
+  // Apply the point contract to every match, in order; the first violation
+  // throws with the concrete path, leaving earlier matches written.
+  setNotExistsEach(object: any, pattern_namespace: Path, valueToSet: any, options?: PatternOptions): Record<string, any> {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setNotExists(object, segments_list, valueToSet), "pattern.setNotExistsEach");
+  },
+
+  setMustExistEach(object: any, pattern_namespace: Path, valueToSet: any, options?: PatternOptions): Record<string, any> {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setMustExist(object, segments_list, valueToSet), "pattern.setMustExistEach");
+  },
+
+  setOrDefaultEach(object: any, pattern_namespace: Path, valueToSet: any, options?: PatternOptions): Record<string, any> {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setOrDefault(object, segments_list, valueToSet), "pattern.setOrDefaultEach");
+  },
+
+  setOverwriteEach(object: any, pattern_namespace: Path, valueToSet: any, options?: PatternOptions): Record<string, any> {
+    return _eachMatch(object, pattern_namespace, options, (segments_list) => setOverwrite(object, segments_list, valueToSet, options), "pattern.setOverwriteEach");
+  },
+
+  // rmEach(obj, "sessions.*.token") → { concretePath: removedValue }
+  // Removes from the last match backwards so array indices stay valid.
+  rmEach(object: any, pattern_namespace: Path, options?: PatternOptions): Record<string, any> {
+    const result_node: Record<string, any> = {};
+    const matches_list  = expandPattern(object, pattern_namespace, options, "pattern.rmEach");
+    for (let matchIndex = matches_list.length - 1; matchIndex >= 0; matchIndex--) {
+      const removed_value = asVerb("pattern.rmEach", () => rm(object, matches_list[matchIndex]));
+      if (removed_value !== NotFound) result_node[describePath(matches_list[matchIndex])] = removed_value;
+    }
+    return result_node;
   },
 
 };
 
+function _eachMatch(object: any, pattern_namespace: Path, options: PatternOptions | undefined, applyPointVerb: (segments_list: Segment[]) => any, verb: string): Record<string, any> {
+  const result_node: Record<string, any> = {};
+  for (const segments_list of expandPattern(object, pattern_namespace, options, verb)) {
+    result_node[describePath(segments_list)] = asVerb(verb, () => applyPointVerb(segments_list));
+  }
+  return result_node;
+}
+
 // ── remove verbs ─────────────────────────────────────────────────────────────
 
 // rm(object, path)
 // Remove the value at path if present; no-op if absent.
 // Returns the removed value, or NotFound if the path was absent.
-export function rm(object: any, path: string): any {
-  const segments = path.split(".");
-  const leafKey = segments[segments.length - 1];
-
-  if (segments.length === 1) {
-    if (!Object.prototype.hasOwnProperty.call(object, leafKey)) return NotFound;
-    const value = object[leafKey];
-    delete object[leafKey];
-    return value;
-  }
-
-  const parentPath = segments.slice(0, -1).join(".");
-  const parent = getIfExists(object, parentPath);
-  if (parent === NotFound || !isObject(parent)) return NotFound;
-  if (!Object.prototype.hasOwnProperty.call(parent, leafKey)) return NotFound;
-  const value = (parent as any)[leafKey];
-  delete (parent as any)[leafKey];
-  return value;
+export function rm(object: any, path: Path): any {
+  return removeAt(object, path, "rm");
+}
+
+// removeAt(object, path, verb) — rm on behalf of verb, which is the name
+// errors report.
+function removeAt(object: any, path: Path, verb: string): any {
+  if (path === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
+
+  const traversalContext: any = {
+    object,
+    verb,
+    address: path,
+    func(pathStep: any) {
+      if (!pathStep.keyExists) {
+        pathStep.returnNow = true;
+        pathStep.toReturn  = NotFound;
+      } else if (pathStep.finalAddressComponent) {
+        removeChild(pathStep);
+        pathStep.returnNow = true;
+        pathStep.toReturn  = pathStep.next;
+      } else if (!isObject(pathStep.next)) {
+        pathStep.returnNow = true;
+        pathStep.toReturn  = NotFound;
+      }
+    }
+  };
+  traverse(traversalContext);
+  return traversalContext.toReturn;
 }
 
 // rmMustExist(object, path)
 // Remove the value at path. Throws if the path is absent.
 // Returns the removed value.
-export function rmMustExist(object: any, path: string): any {
-  const result = rm(object, path);
+export function rmMustExist(object: any, path: Path): any {
+  const result = removeAt(object, path, "rmMustExist");
   if (result === NotFound) {
-    throw new Error(buildErrorMessage(
-      `namespace.rmMustExist: path does not exist: "${path}"`,
-      object
-    ));
+    const details = missingDetails("rmMustExist", object, path);
+    throw new PathNotFoundError(buildErrorMessage(
+      `namespace.rmMustExist: path does not exist: "${reportPath(path)}"` + details.hint,
+      details.subtree,
+      details.existingPath
+    ), details);
   }
   return result;
 }
 
+// ── deep copy ────────────────────────────────────────────────────────────────
+//
+// deepCopy(tree, { shareByReference }) clones a tree — a request context per
+// test or per retry — while live handles (sockets, pools, caches) stay
+// shared.  shareByReference lists paths or patterns in the pattern-verb
+// grammar, matched from the root: "runtime.db", "*.socket", "**.cache".
+
+export interface DeepCopyOptions {
+  shareByReference?: Path[];
+}
+
+// deepCopy(tree, options?) — a cycle-safe copy of tree.  Plain objects,
+// arrays, Map, Set and Date are copied; class instances and functions are
+// always shared, as is every value at a shareByReference path.
+export function deepCopy<T>(tree: T, options?: DeepCopyOptions): T {
+  const shareByReference = (options && options.shareByReference) || [];
+  if (!Array.isArray(shareByReference)) {
+    throw new InvalidArgumentError("namespace.deepCopy: options.shareByReference must be an array of paths or patterns", { verb: "deepCopy", valueType: valueTypeOf(shareByReference) });
+  }
+  const shared_list = asVerb("deepCopy", () => shareByReference.map(toPatternSegments));
+  return copyValue(tree, new Map(), shared_list, []);
+}
+
+// ── move and copy verbs ──────────────────────────────────────────────────────
+//
+// move and copy take the value at fromPath, which must exist, to toPath.
+// options.destination picks the contract there:
+//   "mustEmpty" (default) — as setNotExists: throws if toPath holds a value
+//   "overwrite"           — as setOverwrite
+// copy writes a deep copy (see copyValue); move writes the value itself and
+// removes it from fromPath.  Both run as transactions, so a failed contract
+// leaves source and destination as they were.  Each returns the value now at
+// toPath.
+
+export interface TransferOptions {
+  destination?: "mustEmpty" | "overwrite";
+}
+
+// move(tree, fromPath, toPath, options?)
+export function move(tree: any, fromPath: Path, toPath: Path, options?: TransferOptions): any {
+  return transfer("move", tree, fromPath, tree, toPath, options, true);
+}
+
+// move.between(fromTree, fromPath, toTree, toPath, options?) — move across trees.
+move.between = function between(fromTree: any, fromPath: Path, toTree: any, toPath: Path, options?: TransferOptions): any {
+  return transfer("move.between", fromTree, fromPath, toTree, toPath, options, true);
+};
+
+// copy(tree, fromPath, toPath, options?)
+export function copy(tree: any, fromPath: Path, toPath: Path, options?: TransferOptions): any {
+  return transfer("copy", tree, fromPath, tree, toPath, options, false);
+}
+
+// copy.between(fromTree, fromPath, toTree, toPath, options?) — copy across trees.
+copy.between = function between(fromTree: any, fromPath: Path, toTree: any, toPath: Path, options?: TransferOptions): any {
+  return transfer("copy.between", fromTree, fromPath, toTree, toPath, options, false);
+};
+
+// transfer(verb, fromTree, fromPath, toTree, toPath, options, removeSource) —
+// move or copy on behalf of verb.  A move runs the removal in a transaction
+// on fromTree around the write's transaction on toTree, so a refused write
+// puts the source back.
+function transfer(verb: string, fromTree: any, fromPath: Path, toTree: any, toPath: Path, options: TransferOptions | undefined, removeSource: boolean): any {
+  const destination = (options && options.destination) || "mustEmpty";
+  const write = destination === "mustEmpty" ? setNotExists : destination === "overwrite" ? setOverwrite : null;
+  if (write === null) {
+    throw new InvalidArgumentError(`namespace.${verb}: options.destination must be "mustEmpty" or "overwrite", got ${JSON.stringify(destination)}`, { verb });
+  }
+  if (fromPath === null || toPath === null) throw new InvalidPathError(`namespace.${verb}: path cannot be null`, { verb });
+  if (!isObject(toTree)) {
+    throw new InvalidArgumentError(`namespace.${verb}: destination tree must be an object`, { verb, valueType: valueTypeOf(toTree) });
+  }
+
+  return asVerb(verb, () => {
+    const found_value = lookup(fromTree, fromPath, verb);
+    if (found_value === NotFound) {
+      const details = missingDetails(verb, fromTree, fromPath);
+      throw new PathNotFoundError(buildErrorMessage(
+        `namespace.${verb}: source path does not exist: "${reportPath(fromPath)}"` + details.hint,
+        details.subtree,
+        details.existingPath
+      ), details);
+    }
+    if (!removeSource) {
+      const copy_value = copyValue(found_value);
+      return transaction(toTree, () => write(toTree, toPath, copy_value));
+    }
+    if (fromTree === toTree && isPrefixOf(toSegments(fromPath), toSegments(toPath))) {
+      throw new InvalidArgumentError(
+        `namespace.${verb}: cannot move "${reportPath(fromPath)}" into itself at "${reportPath(toPath)}"`,
+        { verb, path: toPath }
+      );
+    }
+    if (reaches(found_value, toTree, new WeakSet())) {
+      throw new InvalidArgumentError(
+        `namespace.${verb}: cannot move "${reportPath(fromPath)}" into itself — the destination tree is the moved value or lies inside it`,
+        { verb, path: toPath }
+      );
+    }
+    return transaction(fromTree, () => {
+      removeAt(fromTree, fromPath, verb);
+      return transaction(toTree, () => write(toTree, toPath, found_value));
+    });
+  });
+}
+
+// reaches(value, target, seen) — target is value or lies somewhere inside it
+function reaches(value: any, target: object, seen: WeakSet<object>): boolean {
+  if (value === target) return true;
+  if (!isWalkable(value) || seen.has(value)) return false;
+  seen.add(value);
+  for (const key of childKeys(value)) {
+    if (reaches(getChild(value, key), target, seen)) return true;
+  }
+  return false;
+}
+
+function isPrefixOf(prefix_list: Segment[], segments_list: Segment[]): boolean {
+  return prefix_list.length <= segments_list.length &&
+    prefix_list.every((segment, index) => String(segment) === String(segments_list[index]));
+}
+
+// ── compiled paths ───────────────────────────────────────────────────────────
+//
+// compile(path) parses path once and returns the verb set bound to it:
+//   const entries_path = namespace.compile("users.alice.entries");
+//   entries_path.getIfExists(ctx);
+//   entries_path.setOrDefault(ctx, []);
+// Reads walk the pre-parsed segments directly — no traversal context, no
+// closure, no split — for handlers that read the same paths on every
+// request.  Writes go through the ordinary verbs with the segment array.
+
+// readSegments(object, segments_list, verb) — lookup() without traverse()
+function readSegments(object: any, segments_list: readonly Segment[], verb: string): any {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError(
+      buildErrorMessage("namespace: object is not a valid root", object),
+      { verb, path: segments_list, valueType: valueTypeOf(object) }
+    );
+  }
+  let current: any = object;
+  for (let segmentIndex = 0; segmentIndex < segments_list.length; segmentIndex++) {
+    let segment = segments_list[segmentIndex];
+    if (Array.isArray(current)) {
+      const resolvedSegment = resolveArraySegment(current, segment);
+      if (resolvedSegment !== null) segment = resolvedSegment;
+    }
+    try {
+      if (!hasChild(current, segment)) return NotFound;
+      current = getChild(current, segment);
+    } catch (_ignored) {
+      return NotFound;
+    }
+  }
+  return current;
+}
+
+export interface CompiledPath {
+  readonly path: string;
+  readonly segments: readonly Segment[];
+  getIfExists(object: any): any;
+  getMustExist(object: any, options?: { errorMessage?: string }): any;
+  getMustEmpty(object: any): void;
+  getOrDefault: {
+    (object: any, standIn: any): any;
+    syncFunc(object: any, fn: () => any): any;
+    asyncFunc(object: any, fn: () => Promise<any>): Promise<any>;
+  };
+  setNotExists(object: any, valueToSet: any): any;
+  setMustExist(object: any, valueToSet: any): any;
+  setOrDefault: {
+    (object: any, valueToSet: any): any;
+    syncFunc(object: any, fn: () => any): any;
+    asyncFunc(object: any, fn: () => Promise<any>): Promise<any>;
+  };
+  setOverwrite(object: any, valueToSet: any, options?: { overwriteStructure?: boolean }): any;
+  updateMustExist(object: any, fn: (current: any) => any): any;
+  updateOrDefault(object: any, seed: any, fn: (current: any) => any): any;
+  appendOrDefault(object: any, value: any): any[];
+  appendMustExist(object: any, value: any): any[];
+  insertMustExist(object: any, index: number, value: any): any[];
+  rmWhere(object: any, predicate: (element: any, index: number) => unknown): any[];
+  incrementOrDefault(object: any, step?: number, seed?: number): number;
+  decrementOrDefault(object: any, step?: number, seed?: number): number;
+  accumulateOrDefault(object: any, amount: number, seed?: number): number;
+  rm(object: any): any;
+  rmMustExist(object: any): any;
+  exists(object: any): boolean;
+}
+
+// compile(path) → compiled path: { path, segments, getIfExists(object), … }
+// Every verb takes the same arguments as the namespace verb, minus path.
+export function compile(path: Path): CompiledPath {
+  if (!isPath(path)) {
+    throw new InvalidPathError("namespace.compile: path must be a string or segment array: " + String(path), { verb: "compile", path });
+  }
+  const segments_list: Segment[] = asVerb("compile", () => toSegments(path));
+  Object.freeze(segments_list);
+
+  const compiledGetOrDefault = Object.assign(
+    function getOrDefault(object: any, standIn: any): any {
+      const foundValue_probed = readSegments(object, segments_list, "getOrDefault");
+      return foundValue_probed === NotFound ? standIn : foundValue_probed;
+    },
+    {
+      syncFunc(object: any, fn: () => any): any {
+        const foundValue_probed = readSegments(object, segments_list, "getOrDefault.syncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : fn();
+      },
+      async asyncFunc(object: any, fn: () => Promise<any>): Promise<any> {
+        const foundValue_probed = readSegments(object, segments_list, "getOrDefault.asyncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : await fn();
+      },
+    }
+  );
+
+  const compiledSetOrDefault = Object.assign(
+    function setOrDefault_compiled(object: any, valueToSet: any): any {
+      return setOrDefault(object, segments_list, valueToSet);
+    },
+    {
+      syncFunc(object: any, fn: () => any): any {
+        const foundValue_probed = readSegments(object, segments_list, "setOrDefault.syncFunc");
+        return foundValue_probed !== NotFound ? foundValue_probed : setOrDefault(object, segments_list, fn());
+      },
+      async asyncFunc(object: any, fn: () => Promise<any>): Promise<any> {
+        const foundValue_probed = readSegments(object, segments_list, "setOrDefault.asyncFunc");
+        if (foundValue_probed !== NotFound) return foundValue_probed;
+        const callConfig = activeConfig;
+        const resolved = await fn();
+        return runWithConfig(callConfig, setOrDefault, null, [object, segments_list, resolved]);
+      },
+    }
+  );
+
+  return Object.freeze({
+    path:     describePath(segments_list),
+    segments: segments_list,
+    // read
+    getIfExists(object: any): any {
+      return readSegments(object, segments_list, "getIfExists");
+    },
+    getMustExist(object: any, options?: { errorMessage?: string }): any {
+      return requireFound(readSegments(object, segments_list, "getMustExist"), object, path, options);
+    },
+    getMustEmpty(object: any): void {
+      requireEmpty(readSegments(object, segments_list, "getMustEmpty"), object, path);
+    },
+    getOrDefault: compiledGetOrDefault,
+    // write
+    setNotExists(object: any, valueToSet: any): any {
+      return setNotExists(object, segments_list, valueToSet);
+    },
+    setMustExist(object: any, valueToSet: any): any {
+      return setMustExist(object, segments_list, valueToSet);
+    },
+    setOrDefault: compiledSetOrDefault,
+    setOverwrite(object: any, valueToSet: any, options?: { overwriteStructure?: boolean }): any {
+      return setOverwrite(object, segments_list, valueToSet, options);
+    },
+    // update
+    updateMustExist(object: any, fn: (current: any) => any): any {
+      return updateMustExist(object, segments_list, fn);
+    },
+    updateOrDefault(object: any, seed: any, fn: (current: any) => any): any {
+      return updateOrDefault(object, segments_list, seed, fn);
+    },
+    // arrays
+    appendOrDefault(object: any, value: any): any[] {
+      return appendOrDefault(object, segments_list, value);
+    },
+    appendMustExist(object: any, value: any): any[] {
+      return appendMustExist(object, segments_list, value);
+    },
+    insertMustExist(object: any, index: number, value: any): any[] {
+      return insertMustExist(object, segments_list, index, value);
+    },
+    rmWhere(object: any, predicate: (element: any, index: number) => unknown): any[] {
+      return rmWhere(object, segments_list, predicate);
+    },
+    // counters
+    incrementOrDefault(object: any, step?: number, seed?: number): number {
+      return incrementOrDefault(object, segments_list, step, seed);
+    },
+    decrementOrDefault(object: any, step?: number, seed?: number): number {
+      return decrementOrDefault(object, segments_list, step, seed);
+    },
+    accumulateOrDefault(object: any, amount: number, seed?: number): number {
+      return accumulateOrDefault(object, segments_list, amount, seed);
+    },
+    // remove
+    rm(object: any): any {
+      return rm(object, segments_list);
+    },
+    rmMustExist(object: any): any {
+      return rmMustExist(object, segments_list);
+    },
+    // test
+    exists(object: any): boolean {
+      return readSegments(object, segments_list, "exists") !== NotFound;
+    },
+  });
+}
+
+// ── transactions ─────────────────────────────────────────────────────────────
+//
+// transaction(tree, fn) runs fn(tree) and, if it throws, puts tree back the
+// way it was.  assignChild and removeChild note what each slot held in the
+// journal of a transaction open on the verb's root object; a throw replays
+// the journal backwards.  Only mutations made through the verbs with tree as
+// the root are journaled; the array verbs journal an array's elements before
+// editing it in place.  A nested transaction on the same tree hands its
+// journal to the enclosing one when it succeeds.
+
+interface JournalEntry {
+  container:      any;
+  key:            Segment;
+  hadKey:         boolean;
+  previousValue:  any;
+  adapter:        ContainerAdapter | undefined;
+  arrayIndex:     boolean;
+  previousLength: number | undefined;
+  removing:       boolean;
+}
+
+interface ArrayEditEntry {
+  container:     any[];
+  elements_list: any[];
+}
+
+interface OpenTransaction {
+  tree:         object;
+  journal_list: (JournalEntry | ArrayEditEntry)[];
+}
+
+const openTransactions: OpenTransaction[] = [];
+
+function noteMutation(pathStep: any, removing: boolean): void {
+  if (openTransactions.length === 0) return;
+  const transaction_node = innermostTransaction(pathStep.object);
+  if (transaction_node === undefined) return;
+  const container = pathStep.current;
+  const key       = pathStep.addressComponent;
+  const hadKey    = hasChild(container, key);
+  const adapter   = findAdapter(container);
+  // refuse up front what rollback could not undo, before anything changes
+  const undoable  = !adapter || (removing ? Boolean(adapter.set) || container instanceof Set : hadKey || Boolean(adapter.delete));
+  if (!undoable) {
+    throw new ContainerWriteError(buildErrorMessage(
+      `namespace: cannot ${removing ? "remove" : "add"} "${reportSegment(key)}" ${removing ? "from" : "to"} a ${adapterName(adapter as ContainerAdapter, container)} on path "${reportPath(pathStep.address)}" inside a transaction — its adapter has no ${removing ? "set()" : "delete()"} to roll it back`,
+      pathStep.object
+    ), stepDetails(pathStep, pathStep.address));
+  }
+  transaction_node.journal_list.push({
+    container,
+    key,
+    hadKey,
+    previousValue:  hadKey ? getChild(container, key) : undefined,
+    adapter,
+    arrayIndex:     Array.isArray(container) && parseIndex(key) !== null,
+    previousLength: Array.isArray(container) ? container.length : undefined,
+    removing,
+  });
+}
+
+function noteArrayEdit(tree: any, array_node: any[]): void {
+  if (openTransactions.length === 0) return;
+  const transaction_node = innermostTransaction(tree);
+  if (transaction_node === undefined) return;
+  transaction_node.journal_list.push({ container: array_node, elements_list: array_node.slice() });
+}
+
+function innermostTransaction(tree: object): OpenTransaction | undefined {
+  for (let transactionIndex = openTransactions.length - 1; transactionIndex >= 0; transactionIndex--) {
+    if (openTransactions[transactionIndex].tree === tree) return openTransactions[transactionIndex];
+  }
+  return undefined;
+}
+
+function undoMutation(entry: JournalEntry | ArrayEditEntry): void {
+  if ("elements_list" in entry) {
+    entry.container.splice(0, entry.container.length, ...entry.elements_list);
+    return;
+  }
+  const { container, key, adapter } = entry;
+  if (entry.arrayIndex) {
+    if (entry.removing) container.splice(Number(key), 0, entry.previousValue);
+    else if (entry.hadKey) container[key] = entry.previousValue;
+    else container.length = entry.previousLength;
+  } else if (adapter) {
+    if (!entry.hadKey) adapter.delete!(container, key);
+    else if (adapter.set) adapter.set(container, key, entry.previousValue);
+    else if (container instanceof Set) container.add(key);
+  } else if (entry.hadKey) {
+    container[key] = entry.previousValue;
+  } else {
+    delete container[key];
+  }
+}
+
+function closeTransaction(transaction_node: OpenTransaction, succeeded: boolean): void {
+  openTransactions.splice(openTransactions.indexOf(transaction_node), 1);
+  if (succeeded) {
+    const enclosing_node = innermostTransaction(transaction_node.tree);
+    if (enclosing_node !== undefined) enclosing_node.journal_list.push(...transaction_node.journal_list);
+    return;
+  }
+  for (let entryIndex = transaction_node.journal_list.length - 1; entryIndex >= 0; entryIndex--) {
+    undoMutation(transaction_node.journal_list[entryIndex]);
+  }
+}
+
+function openTransaction(tree: any, fn: unknown, verb: string): OpenTransaction {
+  if (!isObject(tree)) {
+    throw new InvalidArgumentError(`namespace.${verb}: tree must be an object`, { verb, valueType: valueTypeOf(tree) });
+  }
+  if (typeof fn !== "function") {
+    throw new InvalidArgumentError(`namespace.${verb}: fn must be a function`, { verb, valueType: valueTypeOf(fn) });
+  }
+  const transaction_node: OpenTransaction = { tree, journal_list: [] };
+  openTransactions.push(transaction_node);
+  return transaction_node;
+}
+
+// transaction(tree, fn) — fn(tree), undoing its journaled mutations if it
+// throws.  fn must be synchronous; see transaction.asyncFunc.
+export function transaction<T>(tree: object, fn: (tree: any) => T): T {
+  const transaction_node = openTransaction(tree, fn, "transaction");
+  let result: T;
+  try {
+    result = fn(tree);
+  } catch (error) {
+    closeTransaction(transaction_node, false);
+    throw error;
+  }
+  if (isObject(result) && typeof (result as any).then === "function") {
+    closeTransaction(transaction_node, false);
+    throw new InvalidArgumentError("namespace.transaction: fn returned a promise — use transaction.asyncFunc", { verb: "transaction" });
+  }
+  closeTransaction(transaction_node, true);
+  return result;
+}
+
+// transaction.asyncFunc(tree, fn) — awaits fn(tree); rolls back if it
+// rejects.  Verb writes on tree from other tasks before fn settles are
+// journaled too.  Refuses to start while another transaction is open on
+// tree: overlapping ones would share a journal.
+transaction.asyncFunc = async function asyncFunc<T>(tree: object, fn: (tree: any) => Promise<T>): Promise<T> {
+  refuseOverlap(tree);
+  const transaction_node = openTransaction(tree, fn, "transaction.asyncFunc");
+  let result: T;
+  try {
+    result = await fn(tree);
+  } catch (error) {
+    closeTransaction(transaction_node, false);
+    throw error;
+  }
+  closeTransaction(transaction_node, true);
+  return result;
+};
+
+function refuseOverlap(tree: object): void {
+  if (openTransactions.length > 0 && innermostTransaction(tree) !== undefined) {
+    throw new InvalidArgumentError(
+      "namespace.transaction.asyncFunc: a transaction is already open on this tree — run overlapping work in one transaction, or fork the tree",
+      { verb: "transaction.asyncFunc" }
+    );
+  }
+}
+
+// ── forks ────────────────────────────────────────────────────────────────────
+//
+// fork(tree) → a draft: a copy-on-write overlay of tree.  Reads fall through
+// to tree; the first write into a container gives the draft its own shallow
+// copy of that container.  fork.commit(draft) writes the copied containers
+// back into tree, in place; fork.discard(draft) drops them.  Plain objects
+// and arrays are overlaid by a Proxy; Map and Set are copied when first read
+// and committed once written; other containers are shared with tree.  commit
+// and discard retire every view but the draft itself: writing through a
+// retired view throws ContainerWriteError, as does a verb's write into a
+// container the draft shares with tree.
+
+interface ForkNode {
+  original: any;
+  copy:     any;
+  view:     any;
+}
+
+interface ForkRecord {
+  parent:      object;
+  nodes:       WeakMap<object, ForkNode>;
+  copied_list: ForkNode[];
+}
+
+const forkRecords = new WeakMap<object, ForkRecord>();
+const forkNodes   = new WeakMap<object, ForkNode>();
+
+function isOverlayable(value: unknown): boolean {
+  if (!isObject(value)) return false;
+  if (Array.isArray(value)) return true;
+  const prototype_value = Object.getPrototypeOf(value);
+  return (prototype_value === Object.prototype || prototype_value === null) && !findAdapter(value);
+}
+
+function forkView(fork_record: ForkRecord, value: any): any {
+  if (!isObject(value) || forkNodes.has(value)) return value;
+  let node = fork_record.nodes.get(value);
+  if (node === undefined) {
+    if (isOverlayable(value)) {
+      node = { original: value, copy: null, view: null };
+      node.view = new Proxy(Array.isArray(value) ? [] : {}, forkHandler(fork_record, node));
+    } else if (value instanceof Map) {
+      const copy_value = new Map(Array.from(value, ([key, entry]) => [key, forkView(fork_record, entry)]));
+      node = { original: value, copy: copy_value, view: copy_value };
+      watchCollection(fork_record, node, ["set", "delete", "clear"]);
+    } else if (value instanceof Set) {
+      const copy_value = new Set(value);
+      node = { original: value, copy: copy_value, view: copy_value };
+      watchCollection(fork_record, node, ["add", "delete", "clear"]);
+    } else {
+      return value;
+    }
+    fork_record.nodes.set(value, node);
+    forkNodes.set(node.view, node);
+  }
+  return node.view;
+}
+
+function noteForkWrite(fork_record: ForkRecord, node: ForkNode): void {
+  if (fork_record.nodes.get(node.original) !== node) {
+    throw new ContainerWriteError("namespace.fork: this view was read from the draft before fork.commit or fork.discard — read it from the draft again", { verb: "fork", valueType: valueTypeOf(node.original) });
+  }
+  if (!fork_record.copied_list.includes(node)) fork_record.copied_list.push(node);
+}
+
+// segment is undefined for an in-place array edit.
+function refuseSharedWrite(tree: any, container: any, removing: boolean, segment: Segment | undefined, path: Path, details: NamespaceErrorDetails): void {
+  if (!forkNodes.has(tree) || forkNodes.has(container)) return;
+  const name = Array.isArray(container) ? "array" : adapterName(findAdapter(container) || ({} as ContainerAdapter), container);
+  const change = segment === undefined
+    ? "edit the array"
+    : `${removing ? "remove" : "write"} "${reportSegment(segment)}" ${removing ? "from" : "into"} ${/^[aeiou]/i.test(name) ? "an" : "a"} ${name}`;
+  throw new ContainerWriteError(buildErrorMessage(
+    `namespace: cannot ${change} on path "${reportPath(path)}" through a fork — the draft shares it with the tree, so fork.discard could not undo the change`,
+    tree
+  ), details);
+}
+
+// Shadows the mutating methods of a Map or Set copy so a write queues it for
+// commit; a Map entry is stored as the draft's view of its value.
+function watchCollection(fork_record: ForkRecord, node: ForkNode, method_list: string[]): void {
+  for (const method of method_list) {
+    const inherited = Object.getPrototypeOf(node.copy)[method] as (...argument_list: unknown[]) => unknown;
+    Object.defineProperty(node.copy, method, {
+      configurable: true,
+      writable: true,
+      value(this: unknown, ...argument_list: unknown[]): unknown {
+        noteForkWrite(fork_record, node);
+        if (method === "set") argument_list[1] = forkView(fork_record, argument_list[1]);
+        return inherited.apply(this, argument_list);
+      },
+    });
+  }
+}
+
+// The proxy target is an empty stand-in of the same kind, never the original.
+function forkHandler(fork_record: ForkRecord, node: ForkNode): ProxyHandler<any> {
+  const backing = (): any => node.copy || node.original;
+  const writable = (): any => {
+    noteForkWrite(fork_record, node);
+    if (node.copy === null) {
+      node.copy = Array.isArray(node.original)
+        ? node.original.slice()
+        : Object.assign(Object.create(Object.getPrototypeOf(node.original)), node.original);
+    }
+    return node.copy;
+  };
+  return {
+    get(target: any, key: PropertyKey): any {
+      const value = Reflect.get(backing(), key);
+      return Object.prototype.hasOwnProperty.call(backing(), key) ? forkView(fork_record, value) : value;
+    },
+    set(target: any, key: PropertyKey, value: any): boolean {
+      return Reflect.set(writable(), key, value);
+    },
+    deleteProperty(target: any, key: PropertyKey): boolean {
+      return Reflect.deleteProperty(writable(), key);
+    },
+    defineProperty(target: any, key: PropertyKey, descriptor: PropertyDescriptor): boolean {
+      return Reflect.defineProperty(writable(), key, descriptor);
+    },
+    has(target: any, key: PropertyKey): boolean {
+      return Reflect.has(backing(), key);
+    },
+    ownKeys(): (string | symbol)[] {
+      return Reflect.ownKeys(backing());
+    },
+    getOwnPropertyDescriptor(target: any, key: PropertyKey): PropertyDescriptor | undefined {
+      const descriptor = Reflect.getOwnPropertyDescriptor(backing(), key);
+      if (descriptor === undefined || (key === "length" && Array.isArray(target))) return descriptor;
+      if ("value" in descriptor) descriptor.value = forkView(fork_record, descriptor.value);
+      descriptor.configurable = true;
+      return descriptor;
+    },
+    getPrototypeOf(): object | null {
+      return Object.getPrototypeOf(node.original);
+    },
+  };
+}
+
+function unwrapForkView(value: any): any {
+  return isObject(value) && forkNodes.has(value) ? forkNodes.get(value)!.original : value;
+}
+
+function ownEnumerableKeys(object: object): (string | symbol)[] {
+  return Reflect.ownKeys(object).filter((key) => Object.prototype.propertyIsEnumerable.call(object, key));
+}
+
+function forkRecordOf(draft: any, verb: string): ForkRecord {
+  const fork_record = isObject(draft) ? forkRecords.get(draft) : undefined;
+  if (fork_record === undefined) {
+    throw new InvalidArgumentError(`namespace.${verb}: draft must be a tree returned by namespace.fork`, { verb, valueType: valueTypeOf(draft) });
+  }
+  return fork_record;
+}
+
+function resetFork(fork_record: ForkRecord): void {
+  const root_node = fork_record.nodes.get(fork_record.parent)!;
+  // a retired proxy view reads through to the tree; a Map or Set copy is its own view
+  for (const node of fork_record.copied_list) if (node.copy !== node.view) node.copy = null;
+  fork_record.copied_list = [];
+  fork_record.nodes = new WeakMap([[fork_record.parent, root_node]]);
+}
+
+export function fork<T extends object>(tree: T): T {
+  if (!isOverlayable(tree)) {
+    throw new InvalidArgumentError("namespace.fork: tree must be a plain object or an array", { verb: "fork", valueType: valueTypeOf(tree) });
+  }
+  const fork_record: ForkRecord = { parent: tree, nodes: new WeakMap(), copied_list: [] };
+  const draft = forkView(fork_record, tree);
+  forkRecords.set(draft, fork_record);
+  return draft;
+}
+
+// fork.commit(draft) — apply the draft's writes and removals to its tree;
+// returns the tree.
+fork.commit = function commit(draft: object): object {
+  const fork_record = forkRecordOf(draft, "fork.commit");
+  for (const { original, copy } of fork_record.copied_list) {
+    if (original instanceof Map) {
+      original.clear();
+      for (const [key, entry] of copy) original.set(key, unwrapForkView(entry));
+    } else if (original instanceof Set) {
+      original.clear();
+      for (const member of copy) original.add(member);
+    } else if (Array.isArray(original)) {
+      original.length = copy.length;
+      for (let entryIndex = 0; entryIndex < copy.length; entryIndex++) original[entryIndex] = unwrapForkView(copy[entryIndex]);
+    } else {
+      for (const key of ownEnumerableKeys(original)) {
+        if (!Object.prototype.hasOwnProperty.call(copy, key)) delete original[key];
+      }
+      for (const key of ownEnumerableKeys(copy)) original[key] = unwrapForkView(copy[key]);
+    }
+  }
+  resetFork(fork_record);
+  return fork_record.parent;
+};
+
+// fork.discard(draft) — drop the draft's writes and removals.
+fork.discard = function discard(draft: object): void {
+  resetFork(forkRecordOf(draft, "fork.discard"));
+};
+
 // ── internal helper for complement tree building ─────────────────────────────
 
-function _setDeep(target: any, dottedPath: string, value: any): void {
-  const segments = dottedPath.split(".");
+function _setDeep(target: any, dottedPath: string, value: any, verb: string): void {
+  const segments = parsePath(dottedPath);
+  segments.forEach((segment: Segment, segmentIndex: number) => guardPrototypeKey(segment, target, { verb, path: dottedPath, segmentIndex }));
   let current = target;
   for (let i = 0; i < segments.length - 1; i++) {
     if (!Object.prototype.hasOwnProperty.call(current, segments[i]) || !isObject(current[segments[i]])) {
@@ -550,13 +2807,18 @@ function _equalsRecurse(obj1: any, obj2: any, seen: WeakMap<object, WeakSet<obje
   }
   seenSet.add(obj2 as object);
 
-  const keys1 = Object.keys(obj1);
-  const keys2 = Object.keys(obj2);
+  // a Map never equals a plain object with the same entries, nor a Set an
+  // array; containers an adapter cannot list are only equal to themselves
+  if (findAdapter(obj1) !== findAdapter(obj2)) return false;
+  if (!isWalkable(obj1)) return false;
+
+  const keys1 = childKeys(obj1);
+  const keys2 = childKeys(obj2);
   if (keys1.length !== keys2.length) return false;
 
   for (const key of keys1) {
-    if (!(key in obj2)) return false;
-    if (!_equalsRecurse(obj1[key], obj2[key], seen)) return false;
+    if (!hasChild(obj2, key)) return false;
+    if (!_equalsRecurse(getChild(obj1, key), getChild(obj2, key), seen)) return false;
   }
   return true;
 }
@@ -574,7 +2836,9 @@ function _vennRecurse(
   compareValues: boolean,
   seen: WeakMap<object, WeakSet<object>>
 ): void {
-  const prefix = fullAddress !== null ? fullAddress + "." : "";
+  // keys are escaped so every reported path parses back to the same segments;
+  // a top-level key is formatted as a whole path, so "/a" never reads as a pointer
+  const childPath = (key: string | number): string => fullAddress !== null ? fullAddress + "." + formatSegment(key) : formatPath([key]);
 
   if (isObject(obj1) && isObject(obj2)) {
     let seenSet = seen.get(obj1 as object);
@@ -584,16 +2848,16 @@ function _vennRecurse(
   }
 
   let obj2KeyList: string[] | null = null;
-  if (isObject(obj2)) obj2KeyList = Object.keys(obj2);
+  if (isObject(obj2)) obj2KeyList = childKeys(obj2);
 
-  for (const key of Object.keys(obj1)) {
-    const path = prefix + key;
-    const value = obj1[key];
+  for (const key of childKeys(obj1)) {
+    const path = childPath(key);
+    const value = getChild(obj1, key);
 
-    if (!isObject(obj2) || !(key in obj2) || typeof value === "function") {
+    if (!isObject(obj2) || !hasChild(obj2, key) || typeof value === "function") {
       result.inOneNotTwo.push(path);
       result.changed = true;
-      _setDeep(result.complementOfTwo, path, value);
+      _setDeep(result.complementOfTwo, path, value, "venn");
       continue;
     }
 
@@ -602,28 +2866,28 @@ function _vennRecurse(
       if (idx !== -1) obj2KeyList.splice(idx, 1);
     }
 
-    if (isObject(value)) {
-      _vennRecurse(value, obj2[key], path, result, compareValues, seen);
-    } else if (compareValues && value !== obj2[key]) {
+    if (isWalkable(value)) {
+      _vennRecurse(value, getChild(obj2, key), path, result, compareValues, seen);
+    } else if (compareValues && value !== getChild(obj2, key)) {
       if (!result.changedValues_list) result.changedValues_list = [];
-      result.changedValues_list.push({ path, one: value, two: obj2[key] });
+      result.changedValues_list.push({ path, one: value, two: getChild(obj2, key) });
       result.changed = true;
     }
   }
 
   if (obj2KeyList && obj2KeyList.length > 0) {
     for (const key of obj2KeyList) {
-      const path = prefix + key;
+      const path = childPath(key);
       result.inTwoNotOne.push(path);
       result.changed = true;
-      _setDeep(result.complementOfOne, path, obj2[key]);
+      _setDeep(result.complementOfOne, path, getChild(obj2, key), "venn");
     }
   }
 }
 
-export function venn(object1: any, object2: any, options?: { compareValues?: boolean }): any {
+export function venn(object1: any, object2: any, options?: { compareValues?: boolean; redact?: boolean }): any {
   if (!isObject(object1)) {
-    throw new Error("namespace.venn: object1 must be an object");
+    throw new InvalidArgumentError("namespace.venn: object1 must be an object", { verb: "venn", valueType: valueTypeOf(object1) });
   }
 
   const result: any = {
@@ -640,27 +2904,211 @@ export function venn(object1: any, object2: any, options?: { compareValues?: boo
   _vennRecurse(object1, object2, null, result, !!(options && options.compareValues), new WeakMap());
 
   if (result.changed !== true) return undefined;
+  if (options && options.redact) {
+    result.complementOfTwo = redactValue(result.complementOfTwo, []);
+    result.complementOfOne = redactValue(result.complementOfOne, []);
+    if (result.changedValues_list) {
+      result.changedValues_list = result.changedValues_list.map((change: { path: string; one: any; two: any }) => {
+        const segments_list = parsePath(change.path);
+        return { path: change.path, one: redactValue(change.one, segments_list), two: redactValue(change.two, segments_list) };
+      });
+    }
+  }
   return result;
 }
 
 export function graftComplement(target: any, vennData: any, options?: { overwriteStructure?: boolean }): any {
-  if (!isObject(target)) throw new Error("namespace.graftComplement: target must be an object");
-  if (!isObject(vennData)) throw new Error("namespace.graftComplement: vennData must be an object");
+  if (!isObject(target)) {
+    throw new InvalidArgumentError("namespace.graftComplement: target must be an object", { verb: "graftComplement", valueType: valueTypeOf(target) });
+  }
+  if (!isObject(vennData)) {
+    throw new InvalidArgumentError("namespace.graftComplement: vennData must be an object", { verb: "graftComplement", valueType: valueTypeOf(vennData) });
+  }
 
-  for (const pathEntry of vennData.inOneNotTwo) {
-    const value = getMustExist(vennData.complementOfTwo, pathEntry);
-    setOverwrite(target, pathEntry, value, options);
+  return asVerb("graftComplement", () => {
+    for (const pathEntry of vennData.inOneNotTwo) {
+      const value = getMustExist(vennData.complementOfTwo, pathEntry);
+      setOverwrite(target, pathEntry, value, options);
+    }
+    return target;
+  });
+}
+
+export type MergeMode = "keepTarget" | "takeSource" | "throwOnConflict" | "concat" | "union" | { mergeBy: string };
+export type MergePolicy = Exclude<MergeMode, object> | { [pattern: string]: MergeMode };
+
+export interface MergeReport {
+  added:      string[];
+  replaced:   string[];
+  conflicted: string[];
+}
+
+interface MergeRule {
+  pattern_list: Segment[];
+  mode:         MergeMode;
+}
+
+// merge(target, source, policy?) — deep-merge source into target in place,
+// for layering config files.  Plain objects and Maps on both sides are
+// merged key by key; where the two hold different values of any other kind,
+// the policy decides.  policy is one mode for every path, or an object
+// mapping path patterns to modes: the first pattern matching the path where
+// the values meet wins, and "takeSource" applies where none does.  A
+// keepTarget or throwOnConflict rule on a path where two objects or Maps meet
+// also settles every conflict beneath it that no rule of its own matches.
+//   "keepTarget"      — the target's value stays
+//   "takeSource"      — the source's value replaces it
+//   "throwOnConflict" — PathOccupiedError
+//   "concat"          — arrays: the source's elements are appended
+//   "union"           — arrays: source elements not already present (equals) are appended
+//   { mergeBy: "id" } — arrays of objects: elements with the same id are
+//                       merged, the rest appended
+// Array modes apply where an array meets an array; where only one side holds
+// an array they throw SlotTypeError, and where neither does they take the
+// source, as the default does.
+// Values taken from source are deep copies (copyValue).  The merge runs as a
+// transaction on target, so a throw leaves target untouched.
+// Returns { added, replaced, conflicted }: paths added from source, paths
+// whose value source replaced, and every path where the two differed.
+//   namespace.merge(config, overrides, { "plugins": { mergeBy: "name" }, "secrets.**": "keepTarget" });
+export function merge(target: any, source: any, policy?: MergePolicy): MergeReport {
+  if (!isObject(target)) {
+    throw new InvalidArgumentError("namespace.merge: target must be an object", { verb: "merge", valueType: valueTypeOf(target) });
   }
-  return target;
+  if (!isObject(source)) {
+    throw new InvalidArgumentError("namespace.merge: source must be an object", { verb: "merge", valueType: valueTypeOf(source) });
+  }
+
+  const report: MergeReport = { added: [], replaced: [], conflicted: [] };
+  return asVerb("merge", () => {
+    const rule_list = toMergeRules(policy);
+    transaction(target, () => _mergeRecurse(target, target, source, [], rule_list, "takeSource", report, new Set()));
+    return report;
+  });
+}
+
+// toMergeRules(policy) → [{ pattern_list, mode }] in declaration order
+function toMergeRules(policy: MergePolicy | undefined): MergeRule[] {
+  if (policy === undefined) return [];
+  if (isString(policy)) return [{ pattern_list: [anyDepthSegment], mode: checkMergeMode(policy, "**") }];
+  if (!isObject(policy)) {
+    throw new InvalidArgumentError("namespace.merge: policy must be a mode or an object mapping patterns to modes", { verb: "merge", valueType: valueTypeOf(policy) });
+  }
+  return Object.keys(policy).map((pattern) => ({ pattern_list: toPatternSegments(pattern), mode: checkMergeMode((policy as any)[pattern], pattern) }));
+}
+
+function checkMergeMode(mode: any, pattern: string): MergeMode {
+  if (["keepTarget", "takeSource", "throwOnConflict", "concat", "union"].includes(mode)) return mode;
+  if (isObject(mode) && isString((mode as { mergeBy?: unknown }).mergeBy)) return mode as MergeMode;
+  throw new InvalidArgumentError(`namespace.merge: unknown policy ${JSON.stringify(mode)} for "${pattern}"`, { verb: "merge", valueType: valueTypeOf(mode) });
+}
+
+// The first rule matching path_list, else the keepTarget or throwOnConflict
+// inherited from an enclosing path where two objects or Maps met.
+function mergeModeAt(rule_list: MergeRule[], path_list: Segment[], inheritedMode: MergeMode): MergeMode {
+  const rule = rule_list.find((candidate) => _matchSegments(candidate.pattern_list, 0, path_list, 0));
+  return rule === undefined ? inheritedMode : rule.mode;
+}
+
+// plain objects and Maps merge key by key; everything else meets as a value
+function _isMergeable(value: any): boolean {
+  return value instanceof Map || (isOverlayable(value) && !Array.isArray(value));
+}
+
+// _mergeRecurse(target, target_node, source_node, path_list, …) — merge each
+// key of source_node into target_node, which sits at path_list in target.
+// ancestors holds the source nodes being merged, so a cycle stops.
+function _mergeRecurse(target: any, target_node: any, source_node: any, path_list: Segment[], rule_list: MergeRule[], inheritedMode: MergeMode, report: MergeReport, ancestors: Set<any>): void {
+  if (ancestors.has(source_node)) return;
+  ancestors.add(source_node);
+  for (const key of childKeys(source_node)) {
+    _mergeSlot(target, target_node, key, getChild(source_node, key), path_list.concat([key]), rule_list, inheritedMode, report, ancestors);
+  }
+  ancestors.delete(source_node);
+}
+
+function _mergeSlot(target: any, target_node: any, key: any, source_value: any, path_list: Segment[], rule_list: MergeRule[], inheritedMode: MergeMode, report: MergeReport, ancestors: Set<any>): void {
+  const pathEntry = formatPath(path_list as (string | number)[]);
+  if (!hasChild(target_node, key)) {
+    setOverwrite(target, path_list, copyValue(source_value));
+    report.added.push(pathEntry);
+    return;
+  }
+  const target_value = getChild(target_node, key);
+  const mode = mergeModeAt(rule_list, path_list, inheritedMode);
+  // what the slot's subtree inherits: an array mode passes the enclosing one on
+  const subtreeMode = mode === "keepTarget" || mode === "throwOnConflict" || mode === "takeSource" ? mode : inheritedMode;
+  if (_isMergeable(target_value) && _isMergeable(source_value) && findAdapter(target_value) === findAdapter(source_value)) {
+    _mergeRecurse(target, target_value, source_value, path_list, rule_list, subtreeMode, report, ancestors);
+    return;
+  }
+  const arrayMode = mode === "concat" || mode === "union" || isObject(mode);
+  if (arrayMode && (Array.isArray(target_value) || Array.isArray(source_value))) {
+    for (const [side, side_value] of [["target", target_value], ["source", source_value]]) {
+      if (!Array.isArray(side_value)) {
+        throw new SlotTypeError(buildErrorMessage(
+          `namespace.merge: the policy for "${pathEntry}" merges arrays but the ${side} holds ${valueTypeOf(side_value)}`,
+          target
+        ), { verb: "merge", path: pathEntry, valueType: valueTypeOf(side_value) });
+      }
+    }
+    _mergeArray(target, target_value, source_value, path_list, mode, rule_list, subtreeMode, report, ancestors);
+    return;
+  }
+  if (equals(target_value, source_value)) return;
+  report.conflicted.push(pathEntry);
+  if (mode === "throwOnConflict") {
+    throw new PathOccupiedError(buildErrorMessage(
+      `namespace.merge: conflicting values at "${pathEntry}"`,
+      target
+    ), { verb: "merge", path: pathEntry, valueType: valueTypeOf(target_value) });
+  }
+  // an array mode that meets two non-arrays takes the source, as the default does
+  if (mode !== "keepTarget") {
+    setOverwrite(target, path_list, copyValue(source_value));
+    report.replaced.push(pathEntry);
+  }
+}
+
+function _mergeArray(target: any, target_list: any[], source_list: any[], path_list: Segment[], mode: MergeMode, rule_list: MergeRule[], inheritedMode: MergeMode, report: MergeReport, ancestors: Set<any>): void {
+  const mergeBy = isObject(mode) ? (mode as { mergeBy: string }).mergeBy : null;
+  for (const element of source_list) {
+    if (mergeBy !== null && isObject(element) && hasChild(element, mergeBy)) {
+      const targetIndex = target_list.findIndex(
+        (existing: any) => isObject(existing) && hasChild(existing, mergeBy) && getChild(existing, mergeBy) === getChild(element, mergeBy)
+      );
+      if (targetIndex !== -1) {
+        _mergeSlot(target, target_list, targetIndex, element, path_list.concat([targetIndex]), rule_list, inheritedMode, report, ancestors);
+        continue;
+      }
+    } else if (mode === "union" && target_list.some((existing: any) => equals(existing, element))) {
+      continue;
+    }
+    report.added.push(formatPath(path_list.concat([target_list.length]) as (string | number)[]));
+    appendMustExist(target, path_list, copyValue(element));
+  }
+}
+
+// Arrays, Sets, empty containers, containers whose adapter has no keys(),
+// and adapter containers keyed by anything other than strings or numbers
+// stay whole as leaves; everything else is walked.
+function _isFlattenable(value: any): boolean {
+  if (!isWalkable(value) || Array.isArray(value) || value instanceof Set) return false;
+  const keys_list = childKeys(value);
+  if (keys_list.length === 0) return false;
+  if (findAdapter(value)) {
+    return keys_list.every((key) => isString(key) || typeof key === "number");
+  }
+  return true;
 }
 
 function _flattenRecurse(obj: any, prefix: string, result: Record<string, any>, seen: WeakSet<object>): void {
   if (seen.has(obj as object)) return;
   seen.add(obj as object);
-  for (const key of Object.keys(obj)) {
-    const path = prefix ? prefix + "." + key : key;
-    const value = obj[key];
-    if (isObject(value) && !Array.isArray(value) && Object.keys(value).length > 0) {
+  for (const key of childKeys(obj)) {
+    const path = prefix ? prefix + "." + formatSegment(key) : formatPath([key]);
+    const value = getChild(obj, key);
+    if (_isFlattenable(value)) {
       _flattenRecurse(value, path, result, seen);
     } else {
       result[path] = value;
@@ -668,18 +3116,25 @@ function _flattenRecurse(obj: any, prefix: string, result: Record<string, any>,
   }
 }
 
-export function flatten(object: any): Record<string, any> {
-  if (!isObject(object)) throw new Error("namespace.flatten: argument must be an object");
+export function flatten(object: any, options?: { redact?: boolean }): Record<string, any> {
+  if (!isObject(object)) {
+    throw new InvalidArgumentError("namespace.flatten: argument must be an object", { verb: "flatten", valueType: valueTypeOf(object) });
+  }
   const result: Record<string, any> = {};
   _flattenRecurse(object, "", result, new WeakSet());
+  if (options && options.redact) {
+    for (const pathEntry of Object.keys(result)) result[pathEntry] = redactValue(result[pathEntry], parsePath(pathEntry));
+  }
   return result;
 }
 
 export function expand(flat: Record<string, any>): any {
-  if (!isObject(flat)) throw new Error("namespace.expand: argument must be an object");
+  if (!isObject(flat)) {
+    throw new InvalidArgumentError("namespace.expand: argument must be an object", { verb: "expand", valueType: valueTypeOf(flat) });
+  }
   const result: any = {};
   for (const [pathEntry, value] of Object.entries(flat)) {
-    _setDeep(result, pathEntry, value);
+    _setDeep(result, pathEntry, value, "expand");
   }
   return result;
 }
@@ -695,18 +3150,19 @@ export function expand(flat: Record<string, any>): any {
 // Auto-vivifies intermediates the same way set() does.
 // Returns the (possibly freshly created) object at the leaf.
 
-function namespaceEnsure(object: any, dottedPath: string): object {
+function namespaceEnsure(object: any, dottedPath: Path): object {
   if (dottedPath === null || dottedPath === undefined) {
-    throw new Error("namespace: path cannot be null or undefined");
+    throw new InvalidPathError("namespace: path cannot be null or undefined", { verb: "namespace", path: dottedPath });
   }
 
   const traversalContext = {
     object,
+    verb: "namespace",
     address: dottedPath,
     func(pathStep: any) {
       if (!pathStep.keyExists) {
         // absent → vivify
-        pathStep.next = pathStep.current[pathStep.addressComponent] = {};
+        pathStep.next = vivifyChild(pathStep, {});
         if (pathStep.finalAddressComponent) {
           pathStep.returnNow = true;
           pathStep.toReturn  = pathStep.next;
@@ -719,10 +3175,10 @@ function namespaceEnsure(object: any, dottedPath: string): object {
         }
       } else {
         // present and not a plain object → throw
-        throw new Error(buildErrorMessage(
-          `namespace: non-object value exists at "${pathStep.addressComponent}" on path "${dottedPath}"`,
+        throw new NonObjectIntermediateError(buildErrorMessage(
+          `namespace: non-object value exists at "${reportSegment(pathStep.addressComponent)}" on path "${reportPath(dottedPath)}"`,
           object
-        ));
+        ), stepDetails(pathStep, dottedPath));
       }
     }
   };
@@ -730,11 +3186,60 @@ function namespaceEnsure(object: any, dottedPath: string): object {
   return traversalContext.toReturn;
 }
 
+// ── instances ────────────────────────────────────────────────────────────────
+//
+// create(options?) → a namespace with its own config record: configure()
+// settings, redact patterns and the adapter registry.  Its verbs,
+// sub-namespaces and compiled paths run with that record active.  Error
+// classes, NotFound and the pattern constants are shared, so instanceof
+// checks work across instances.  The default export is bound the same way,
+// to defaultConfig, so a callback an instance verb runs gets the default
+// settings when it calls the default export.
+
+export function create(options?: ConfigureOptions): Namespace {
+  const instance = bindNamespace(newConfig());
+  if (options !== undefined) instance.configure(options);
+  return instance;
+}
+
+function bindNamespace(config_value: NamespaceConfig): Namespace {
+  const instance = bindMembers(unboundNamespace, config_value, bindToConfig(unboundNamespace, config_value));
+  const compileBound = instance.compile;
+  instance.compile = function compile(path: Path): CompiledPath {
+    return Object.freeze(bindMembers(compileBound(path), config_value, {}));
+  };
+  return instance;
+}
+
+function bindToConfig(fn: Function, config_value: NamespaceConfig): any {
+  return function boundToConfig(this: any, ...args_list: any[]): any {
+    return runWithConfig(config_value, fn, this, args_list);
+  };
+}
+
+// Functions are bound (with their own members, e.g. syncFunc), plain
+// unfrozen objects are sub-namespaces bound member by member, and anything
+// else — classes, NotFound, constants — is shared as-is.
+function bindMembers(source: any, config_value: NamespaceConfig, target: any): any {
+  for (const key of Object.keys(source)) {
+    const member = source[key];
+    if (typeof member === "function" && !(member.prototype instanceof Error)) {
+      target[key] = bindMembers(member, config_value, bindToConfig(member, config_value));
+    } else if (isObject(member) && Object.getPrototypeOf(member) === Object.prototype && !Object.isFrozen(member)) {
+      target[key] = bindMembers(member, config_value, {});
+    } else {
+      target[key] = member;
+    }
+  }
+  return target;
+}
+
 // ── default export ────────────────────────────────────────────────────────────
 
 type Namespace = typeof namespaceEnsure & {
   NotFound: Readonly<{ namespaceFunctionConstant: "NotFound" }>;
   configure: typeof configure;
+  create: typeof create;
   getIfExists: typeof getIfExists;
   getMustExist: typeof getMustExist;
   getMustEmpty: typeof getMustEmpty;
@@ -743,23 +3248,57 @@ type Namespace = typeof namespaceEnsure & {
   setMustExist: typeof setMustExist;
   setOrDefault: typeof setOrDefault;
   setOverwrite: typeof setOverwrite;
+  updateMustExist: typeof updateMustExist;
+  updateOrDefault: typeof updateOrDefault;
+  appendOrDefault: typeof appendOrDefault;
+  appendMustExist: typeof appendMustExist;
+  insertMustExist: typeof insertMustExist;
+  rmWhere: typeof rmWhere;
+  incrementOrDefault: typeof incrementOrDefault;
+  decrementOrDefault: typeof decrementOrDefault;
+  accumulateOrDefault: typeof accumulateOrDefault;
   rm: typeof rm;
   rmMustExist: typeof rmMustExist;
+  move: typeof move;
+  copy: typeof copy;
+  deepCopy: typeof deepCopy;
   exists: typeof exists;
   isNotFound: typeof isNotFound;
   traverse: typeof traverse;
+  NamespaceError: typeof NamespaceError;
+  PathNotFoundError: typeof PathNotFoundError;
+  PathOccupiedError: typeof PathOccupiedError;
+  NonObjectIntermediateError: typeof NonObjectIntermediateError;
+  IndexOutOfRangeError: typeof IndexOutOfRangeError;
+  ContainerWriteError: typeof ContainerWriteError;
+  PrototypePollutionError: typeof PrototypePollutionError;
+  InvalidPathError: typeof InvalidPathError;
+  InvalidArgumentError: typeof InvalidArgumentError;
+  SlotTypeError: typeof SlotTypeError;
+  BatchError: typeof BatchError;
+  compile: typeof compile;
+  transaction: typeof transaction;
+  fork: typeof fork;
+  redact: typeof redact;
+  REDACTED: typeof REDACTED;
   path: typeof path;
   batch: typeof batch;
+  adapters: typeof adapters;
+  pattern: typeof pattern;
   equals: typeof equals;
   venn: typeof venn;
   graftComplement: typeof graftComplement;
+  merge: typeof merge;
   flatten: typeof flatten;
   expand: typeof expand;
 };
 
-const namespace: Namespace = Object.assign(namespaceEnsure, {
+// The verbs as written, reading whichever config is active; exported only
+// bound, as the default namespace and as instances.
+const unboundNamespace: Namespace = Object.assign(namespaceEnsure, {
   NotFound,
   configure,
+  create,
   getIfExists,
   getMustExist,
   getMustEmpty,
@@ -768,18 +3307,51 @@ const namespace: Namespace = Object.assign(namespaceEnsure, {
   setMustExist,
   setOrDefault,
   setOverwrite,
+  updateMustExist,
+  updateOrDefault,
+  appendOrDefault,
+  appendMustExist,
+  insertMustExist,
+  rmWhere,
+  incrementOrDefault,
+  decrementOrDefault,
+  accumulateOrDefault,
   rm,
   rmMustExist,
+  move,
+  copy,
+  deepCopy,
   exists,
   isNotFound,
   traverse,
+  NamespaceError,
+  PathNotFoundError,
+  PathOccupiedError,
+  NonObjectIntermediateError,
+  IndexOutOfRangeError,
+  ContainerWriteError,
+  PrototypePollutionError,
+  InvalidPathError,
+  InvalidArgumentError,
+  SlotTypeError,
+  BatchError,
+  compile,
+  transaction,
+  fork,
+  redact,
+  REDACTED,
   path,
   batch,
+  adapters,
+  pattern,
   equals,
   venn,
   graftComplement,
+  merge,
   flatten,
   expand,
 });
 
+const namespace: Namespace = bindNamespace(defaultConfig);
+
 export default namespace;
@@ -9,19 +9,32 @@ const namespace = require("./core.js");
 try {
   const util = require("util");
   
-  // Override getMustExist to use util.inspect in default error messages
-  const originalGetMustExist = namespace.getMustExist;
-  namespace.getMustExist = function(object, address, options) {
-    if (options === undefined || options === null) options = {};
-    
-    const result = namespace.getIfExists(object, address);
-    if (result === namespace.NotFound) {
-      const objectPreview = util.inspect(object, { depth: 2 }).slice(0, 200);
-      const errorMessage = options.errorMessage || 
-        `Property not found: "${address}" in object: ${objectPreview}`;
-      throw new Error(errorMessage);
-    }
-    return result;
+  // Override getMustExist to add a util.inspect excerpt of the subtree at
+  // the deepest existing prefix — not the root, which on a big tree shows
+  // nothing near the failure.  A caller's own errorMessage is left alone.
+  // Paths named in configure({ redact }) are masked in the excerpt.
+  const addInspectExcerpt = function(target) {
+    const originalGetMustExist = target.getMustExist;
+    target.getMustExist = function(object, address, options) {
+      try {
+        return originalGetMustExist(object, address, options);
+      } catch (error) {
+        if (!(error instanceof target.PathNotFoundError) || (options && options.errorMessage)) throw error;
+        const subtree = !error.existingPath || error.existingPath.length === 0
+          ? object
+          : target.getIfExists(object, error.existingPath);
+        const subtreePreview = util.inspect(target.redact(subtree, error.existingPath || []), { depth: 2 }).slice(0, 200);
+        throw new target.PathNotFoundError(error.message + "\n  subtree: " + subtreePreview, error);
+      }
+    };
+    return target;
+  };
+  addInspectExcerpt(namespace);
+
+  // Instances get the same excerpt, masked with their own redact patterns
+  const originalCreate = namespace.create;
+  namespace.create = function(options) {
+    return addInspectExcerpt(originalCreate(options));
   };
 } catch (e) {
   // util not available, use default behavior
@@ -0,0 +1,48 @@
+"use strict";
+
+// Compiled paths vs the traverse() route.
+// Run after a build:  npm run build && npm run bench
+//
+// A handler that reads the same 20 paths per request, measured three ways:
+//   verb      — namespace.getIfExists(ctx, "dotted.path")
+//   segments  — namespace.getIfExists(ctx, ["dotted", "path"])
+//   compiled  — namespace.compile("dotted.path").getIfExists(ctx)
+
+const namespace = require("../dist/namespace.cjs");
+
+const REQUESTS = 20000;
+
+const path_list = [];
+const ctx = { request: {}, config: {}, users: {} };
+for (let pathIndex = 0; pathIndex < 20; pathIndex++) {
+  const dottedPath = `users.user${pathIndex}.profile.settings.value${pathIndex}`;
+  namespace.setOverwrite(ctx, dottedPath, pathIndex);
+  path_list.push(dottedPath);
+}
+const segments_list = path_list.map((dottedPath) => namespace.path.split(dottedPath));
+const compiled_list = path_list.map((dottedPath) => namespace.compile(dottedPath));
+
+function measure(label, readAll) {
+  // warm up so the JIT has settled before timing
+  for (let request = 0; request < 2000; request++) readAll();
+  const started = process.hrtime.bigint();
+  for (let request = 0; request < REQUESTS; request++) readAll();
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const readsPerSecond = Math.round((REQUESTS * path_list.length) / (elapsedMs / 1000));
+  console.log(`${label.padEnd(10)} ${elapsedMs.toFixed(1).padStart(8)} ms   ${readsPerSecond.toLocaleString("en-US").padStart(12)} reads/s`);
+  return elapsedMs;
+}
+
+let checksum = 0;
+
+const verbMs = measure("verb", () => {
+  for (const dottedPath of path_list) checksum += namespace.getIfExists(ctx, dottedPath);
+});
+measure("segments", () => {
+  for (const segments of segments_list) checksum += namespace.getIfExists(ctx, segments);
+});
+const compiledMs = measure("compiled", () => {
+  for (const compiled_path of compiled_list) checksum += compiled_path.getIfExists(ctx);
+});
+
+console.log(`compiled is ${(verbMs / compiledMs).toFixed(1)}x the verb route (checksum ${checksum})`);
@@ -544,6 +544,241 @@ describe("setOverwrite()", () => {
   });
 });
 
+// ── update verbs ──────────────────────────────────────────────────────────────
+
+describe("updateMustExist()", () => {
+  it("writes fn(current) and returns it", () => {
+    const obj = { a: { hits: 2 } };
+    assert.equal(namespace.updateMustExist(obj, "a.hits", (hits) => hits + 1), 3);
+    assert.equal(obj.a.hits, 3);
+  });
+
+  it("throws PathNotFoundError without calling fn when the path is absent", () => {
+    let calls = 0;
+    assert.throws(() => namespace.updateMustExist({ a: {} }, "a.hits", () => calls++),
+      (error) => error instanceof namespace.PathNotFoundError && /updateMustExist: path must exist but is absent: "a.hits"/.test(error.message));
+    assert.equal(calls, 0);
+  });
+
+  it("does not auto-vivify", () => {
+    const obj = {};
+    assert.throws(() => namespace.updateMustExist(obj, "a.b", (value) => value), namespace.PathNotFoundError);
+    assert.deepEqual(obj, {});
+  });
+
+  it("throws NonObjectIntermediateError through a primitive", () => {
+    assert.throws(() => namespace.updateMustExist({ a: 5 }, "a.b", (value) => value), namespace.NonObjectIntermediateError);
+  });
+
+  it("leaves the value alone when fn throws", () => {
+    const obj = { a: 1 };
+    assert.throws(() => namespace.updateMustExist(obj, "a", () => { throw new Error("boom"); }), /boom/);
+    assert.equal(obj.a, 1);
+  });
+
+  it("throws InvalidArgumentError when fn is not a function", () => {
+    assert.throws(() => namespace.updateMustExist({ a: 1 }, "a", 2), namespace.InvalidArgumentError);
+  });
+
+  it("throws for null path", () => {
+    assert.throws(() => namespace.updateMustExist({}, null, (value) => value), /path cannot be null/);
+  });
+});
+
+describe("updateOrDefault()", () => {
+  it("passes the current value when present", () => {
+    const obj = { stats: { hits: 4 } };
+    assert.equal(namespace.updateOrDefault(obj, "stats.hits", 0, (hits) => hits + 1), 5);
+    assert.equal(obj.stats.hits, 5);
+  });
+
+  it("passes the seed when absent and auto-vivifies", () => {
+    const obj = {};
+    assert.equal(namespace.updateOrDefault(obj, "stats.hits", 0, (hits) => hits + 1), 1);
+    assert.deepEqual(obj, { stats: { hits: 1 } });
+  });
+
+  it("converges across repeated calls", () => {
+    const obj = {};
+    for (let request = 0; request < 3; request++) {
+      namespace.updateOrDefault(obj, "seen", [], (seen_list) => [...seen_list, request]);
+    }
+    assert.deepEqual(obj.seen, [0, 1, 2]);
+  });
+
+  it("creates no intermediates when fn throws", () => {
+    const obj = {};
+    assert.throws(() => namespace.updateOrDefault(obj, "a.b.c", 0, () => { throw new Error("boom"); }), /boom/);
+    assert.deepEqual(obj, {});
+  });
+
+  it("throws NonObjectIntermediateError through a primitive", () => {
+    assert.throws(() => namespace.updateOrDefault({ a: 5 }, "a.b", 0, (value) => value), /updateOrDefault: cannot traverse through non-object at "a"/);
+  });
+
+  it("throws InvalidArgumentError when fn is not a function", () => {
+    assert.throws(() => namespace.updateOrDefault({}, "a", 0), namespace.InvalidArgumentError);
+  });
+
+  it("throws for null path", () => {
+    assert.throws(() => namespace.updateOrDefault({}, null, 0, (value) => value), /path cannot be null/);
+  });
+});
+
+// ── array verbs ───────────────────────────────────────────────────────────────
+
+describe("appendOrDefault() / appendMustExist()", () => {
+  it("appendOrDefault starts the array when absent and returns it", () => {
+    const ctx = {};
+    const entries_list = namespace.appendOrDefault(ctx, "users.x.entries", "first");
+    assert.deepEqual(ctx, { users: { x: { entries: ["first"] } } });
+    assert.equal(entries_list, ctx.users.x.entries);
+  });
+
+  it("appendOrDefault pushes onto the existing array in place", () => {
+    const entries_list = ["a"];
+    const ctx = { entries: entries_list };
+    namespace.appendOrDefault(ctx, "entries", "b");
+    assert.equal(ctx.entries, entries_list);
+    assert.deepEqual(entries_list, ["a", "b"]);
+  });
+
+  it("appendMustExist throws PathNotFoundError instead of creating the array", () => {
+    const ctx = { users: {} };
+    assert.throws(() => namespace.appendMustExist(ctx, "users.x.entries", 1),
+      (error) => error instanceof namespace.PathNotFoundError && /appendMustExist: path must exist but is absent: "users.x.entries"/.test(error.message));
+    assert.deepEqual(ctx, { users: {} });
+  });
+
+  it("a non-array slot throws SlotTypeError naming the path", () => {
+    for (const append of [namespace.appendOrDefault, namespace.appendMustExist]) {
+      assert.throws(() => append({ a: { b: "text" } }, "a.b", 1), (error) =>
+        error instanceof namespace.SlotTypeError &&
+        error.valueType === "string" &&
+        /expected an array at "a.b" but found string/.test(error.message));
+    }
+  });
+});
+
+describe("insertMustExist()", () => {
+  it("inserts before the index, negative indices counting back from the end", () => {
+    const ctx = { steps: ["a", "c"] };
+    namespace.insertMustExist(ctx, "steps", 1, "b");
+    namespace.insertMustExist(ctx, "steps", -1, "b2");
+    assert.deepEqual(namespace.insertMustExist(ctx, "steps", 4, "d"), ["a", "b", "b2", "c", "d"]);
+  });
+
+  it("throws IndexOutOfRangeError past either end", () => {
+    const ctx = { steps: ["a"] };
+    assert.throws(() => namespace.insertMustExist(ctx, "steps", 2, "x"), namespace.IndexOutOfRangeError);
+    assert.throws(() => namespace.insertMustExist(ctx, "steps", -2, "x"), /index -2 is out of range for the 1-element array at "steps"/);
+    assert.deepEqual(ctx.steps, ["a"]);
+  });
+
+  it("throws InvalidArgumentError for a non-integer index", () => {
+    assert.throws(() => namespace.insertMustExist({ steps: [] }, "steps", "0", "x"), namespace.InvalidArgumentError);
+  });
+
+  it("throws PathNotFoundError or SlotTypeError when there is no array", () => {
+    assert.throws(() => namespace.insertMustExist({}, "steps", 0, "x"), namespace.PathNotFoundError);
+    assert.throws(() => namespace.insertMustExist({ steps: {} }, "steps", 0, "x"), namespace.SlotTypeError);
+  });
+});
+
+describe("rmWhere()", () => {
+  it("removes matching elements in place and returns them", () => {
+    const sessions_list = [{ id: 1, expired: true }, { id: 2 }, { id: 3, expired: true }];
+    const ctx = { sessions: sessions_list };
+    const removed_list = namespace.rmWhere(ctx, "sessions", (session) => session.expired);
+    assert.deepEqual(removed_list.map((session) => session.id), [1, 3]);
+    assert.equal(ctx.sessions, sessions_list);
+    assert.deepEqual(sessions_list, [{ id: 2 }]);
+  });
+
+  it("passes the index to the predicate", () => {
+    const ctx = { items: ["a", "b", "c"] };
+    namespace.rmWhere(ctx, "items", (_item, index) => index === 0);
+    assert.deepEqual(ctx.items, ["b", "c"]);
+  });
+
+  it("removes nothing when the path is absent", () => {
+    assert.deepEqual(namespace.rmWhere({}, "sessions", () => true), []);
+  });
+
+  it("leaves the array whole when the predicate throws", () => {
+    const ctx = { items: [1, 2, 3] };
+    assert.throws(() => namespace.rmWhere(ctx, "items", (item) => { if (item === 3) throw new Error("boom"); return true; }), /boom/);
+    assert.deepEqual(ctx.items, [1, 2, 3]);
+  });
+
+  it("throws SlotTypeError for a non-array slot", () => {
+    assert.throws(() => namespace.rmWhere({ items: "abc" }, "items", () => true), namespace.SlotTypeError);
+  });
+});
+
+describe("array verbs inside a transaction", () => {
+  it("rollback restores arrays edited in place", () => {
+    const tree = { queue: ["a", "b"] };
+    assert.throws(() => namespace.transaction(tree, () => {
+      namespace.appendMustExist(tree, "queue", "c");
+      namespace.insertMustExist(tree, "queue", 0, "z");
+      namespace.rmWhere(tree, "queue", (item) => item === "a");
+      namespace.appendOrDefault(tree, "log", "started");
+      throw new Error("abort");
+    }), /abort/);
+    assert.deepEqual(tree, { queue: ["a", "b"] });
+  });
+});
+
+// ── counter verbs ─────────────────────────────────────────────────────────────
+
+describe("incrementOrDefault() / decrementOrDefault() / accumulateOrDefault()", () => {
+  it("an absent counter starts from 0 and the new value is returned", () => {
+    const ctx = {};
+    assert.equal(namespace.incrementOrDefault(ctx, "stats.hits"), 1);
+    assert.equal(namespace.incrementOrDefault(ctx, "stats.hits"), 2);
+    assert.deepEqual(ctx, { stats: { hits: 2 } });
+  });
+
+  it("takes a step and a seed", () => {
+    const ctx = {};
+    assert.equal(namespace.incrementOrDefault(ctx, "sequence", 10, 1000), 1010);
+    assert.equal(namespace.decrementOrDefault(ctx, "sequence", 5), 1005);
+    assert.equal(namespace.decrementOrDefault(ctx, "stock", 1, 3), 2);
+  });
+
+  it("accumulateOrDefault adds an amount for running totals", () => {
+    const ctx = {};
+    for (const total of [12.5, 7.5, 30]) namespace.accumulateOrDefault(ctx, ["users", "u1", "spent"], total);
+    assert.equal(ctx.users.u1.spent, 50);
+  });
+
+  it("a non-number slot throws SlotTypeError and is left alone", () => {
+    const ctx = { stats: { hits: "7" } };
+    assert.throws(() => namespace.incrementOrDefault(ctx, "stats.hits"), (error) =>
+      error instanceof namespace.SlotTypeError &&
+      error.valueType === "string" &&
+      /incrementOrDefault: expected a number at "stats.hits" but found string/.test(error.message));
+    assert.equal(ctx.stats.hits, "7");
+  });
+
+  it("a non-number step, amount or seed throws InvalidArgumentError before writing", () => {
+    const ctx = {};
+    assert.throws(() => namespace.incrementOrDefault(ctx, "hits", "1"), /step must be a number/);
+    assert.throws(() => namespace.accumulateOrDefault(ctx, "total"), /amount must be a number/);
+    assert.throws(() => namespace.decrementOrDefault(ctx, "stock", 1, NaN), namespace.InvalidArgumentError);
+    assert.deepEqual(ctx, {});
+  });
+
+  it("compiled paths take the same arguments", () => {
+    const hits_path = namespace.compile("stats.hits");
+    const ctx = {};
+    hits_path.incrementOrDefault(ctx);
+    hits_path.accumulateOrDefault(ctx, 10);
+    assert.equal(hits_path.decrementOrDefault(ctx, 2), 9);
+  });
+});
+
 // ── rm ────────────────────────────────────────────────────────────────────────
 
 describe("rm()", () => {
@@ -574,189 +809,1825 @@ describe("rm()", () => {
   });
 });
 
-describe("rmMustExist()", () => {
-  it("removes and returns a present value", () => {
-    const obj = { a: { b: "val" } };
-    const result = namespace.rmMustExist(obj, "a.b");
-    assert.equal(result, "val");
-    assert.deepStrictEqual(obj, { a: {} });
+describe("rmMustExist()", () => {
+  it("removes and returns a present value", () => {
+    const obj = { a: { b: "val" } };
+    const result = namespace.rmMustExist(obj, "a.b");
+    assert.equal(result, "val");
+    assert.deepStrictEqual(obj, { a: {} });
+  });
+
+  it("throws when path is absent", () => {
+    const obj = { a: {} };
+    assert.throws(() => namespace.rmMustExist(obj, "a.b"), /path does not exist/);
+  });
+});
+
+// ── move and copy ─────────────────────────────────────────────────────────────
+
+describe("move() / move.between()", () => {
+  it("moves the value itself and removes the source", () => {
+    const job = { id: 42 };
+    const queues = { pending: { job42: job }, running: {} };
+    assert.equal(namespace.move(queues, "pending.job42", "running.job42"), job);
+    assert.deepEqual(queues, { pending: {}, running: { job42: job } });
+    assert.equal(queues.running.job42, job);
+  });
+
+  it("auto-vivifies the destination", () => {
+    const tree = { a: 1 };
+    namespace.move(tree, "a", "b.c");
+    assert.deepEqual(tree, { b: { c: 1 } });
+  });
+
+  it("refuses an occupied destination by default and leaves both ends intact", () => {
+    const tree = { from: 1, to: 2 };
+    assert.throws(() => namespace.move(tree, "from", "to"), (error) =>
+      error instanceof namespace.PathOccupiedError && error.verb === "move");
+    assert.deepEqual(tree, { from: 1, to: 2 });
+  });
+
+  it("overwrites with { destination: \"overwrite\" }, even an ancestor of the source", () => {
+    const tree = { a: { b: { keep: true }, other: 1 } };
+    namespace.move(tree, "a.b", "a", { destination: "overwrite" });
+    assert.deepEqual(tree, { a: { keep: true } });
+  });
+
+  it("throws PathNotFoundError for an absent source", () => {
+    assert.throws(() => namespace.move({ a: {} }, "a.b", "c"), (error) =>
+      error instanceof namespace.PathNotFoundError && /move: source path does not exist: "a.b"/.test(error.message));
+  });
+
+  it("refuses to move a path into itself", () => {
+    const tree = { a: { b: 1 } };
+    assert.throws(() => namespace.move(tree, "a", "a.b.c"), namespace.InvalidArgumentError);
+    assert.throws(() => namespace.move(tree, "a", "a", { destination: "overwrite" }), namespace.InvalidArgumentError);
+    assert.deepEqual(tree, { a: { b: 1 } });
+  });
+
+  it("move.between refuses a destination tree that is the moved value or lies inside it", () => {
+    const tree = { a: { b: { c: 1 } } };
+    assert.throws(() => namespace.move.between(tree, "a", tree.a, "c"), { code: "INVALID_ARGUMENT", verb: "move.between" });
+    assert.throws(() => namespace.move.between(tree, "a", tree.a.b, "d"), namespace.InvalidArgumentError);
+    assert.deepEqual(tree, { a: { b: { c: 1 } } });
+    assert.deepEqual(namespace.copy.between(tree, "a", tree.a.b, "d"), { b: { c: 1 } });
+  });
+
+  it("rejects an unknown destination mode", () => {
+    assert.throws(() => namespace.move({ a: 1 }, "a", "b", { destination: "merge" }), /must be "mustEmpty" or "overwrite"/);
+  });
+
+  it("move.between moves across trees and restores the source when the write is refused", () => {
+    const session = { cart: { items: [1] } };
+    const order = {};
+    namespace.move.between(session, "cart", order, "lines");
+    assert.deepEqual(session, {});
+    assert.deepEqual(order, { lines: { items: [1] } });
+
+    const blocked = { lines: 5 };
+    const source = { cart: "x" };
+    assert.throws(() => namespace.move.between(source, "cart", blocked, "lines.first"), (error) =>
+      error instanceof namespace.NonObjectIntermediateError && error.verb === "move.between");
+    assert.deepEqual(source, { cart: "x" });
+  });
+});
+
+describe("copy() / copy.between()", () => {
+  it("writes a deep copy and leaves the source", () => {
+    const tree = { defaults: { limits: { rate: 10 } } };
+    const copy_value = namespace.copy(tree, "defaults", "users.alice.settings");
+    assert.deepEqual(copy_value, { limits: { rate: 10 } });
+    copy_value.limits.rate = 99;
+    assert.equal(tree.defaults.limits.rate, 10);
+  });
+
+  it("copies arrays, Map, Set and Date, and keeps cycles", () => {
+    const node = { label: "n" };
+    node.self = node;
+    const source = { src: { node, list: [node], byKey: new Map([["k", node]]), tags: new Set(["t"]), at: new Date(0) } };
+    const target = {};
+    const copy_value = namespace.copy.between(source, "src", target, "dst");
+    assert.notEqual(copy_value.node, node);
+    assert.equal(copy_value.node.self, copy_value.node);
+    assert.equal(copy_value.list[0], copy_value.node);
+    assert.equal(copy_value.byKey.get("k"), copy_value.node);
+    assert.ok(copy_value.tags instanceof Set && copy_value.tags.has("t"));
+    assert.ok(copy_value.at instanceof Date && copy_value.at !== source.src.at);
+    assert.equal(target.dst, copy_value);
+  });
+
+  it("keeps the destination contract", () => {
+    const tree = { a: 1, b: 2 };
+    assert.throws(() => namespace.copy(tree, "a", "b"), namespace.PathOccupiedError);
+    assert.equal(namespace.copy(tree, "a", "b", { destination: "overwrite" }), 1);
+    assert.deepEqual(tree, { a: 1, b: 1 });
+  });
+});
+
+describe("deepCopy()", () => {
+  it("copies every container, keeping arrays, Map, Set and Date", () => {
+    const at_value = new Date(1000);
+    const tree = { list: [{ n: 1 }], byId: new Map([["a", { n: 2 }]]), tags: new Set(["x"]), at: at_value };
+    const copy_value = namespace.deepCopy(tree);
+    assert.deepEqual(copy_value, tree);
+    assert.notEqual(copy_value.list[0], tree.list[0]);
+    assert.ok(copy_value.byId instanceof Map);
+    assert.notEqual(copy_value.byId.get("a"), tree.byId.get("a"));
+    assert.ok(copy_value.tags instanceof Set && copy_value.tags !== tree.tags);
+    assert.ok(copy_value.at instanceof Date && copy_value.at !== at_value);
+  });
+
+  it("is cycle-safe and keeps repeated references shared within the copy", () => {
+    const user = { name: "alice" };
+    const tree = { user, owner: user };
+    tree.self = tree;
+    const copy_value = namespace.deepCopy(tree);
+    assert.equal(copy_value.self, copy_value);
+    assert.equal(copy_value.owner, copy_value.user);
+    assert.notEqual(copy_value.user, user);
+  });
+
+  it("shares paths and patterns in shareByReference", () => {
+    const pool = { connections: [] };
+    const socket = { fd: 3 };
+    const ctx = { runtime: { db: pool }, users: { u1: { socket, prefs: { theme: "dark" } } } };
+    const copy_value = namespace.deepCopy(ctx, { shareByReference: ["runtime.db", "users.*.socket"] });
+    assert.equal(copy_value.runtime.db, pool);
+    assert.equal(copy_value.users.u1.socket, socket);
+    assert.notEqual(copy_value.users.u1.prefs, ctx.users.u1.prefs);
+    assert.notEqual(copy_value.runtime, ctx.runtime);
+  });
+
+  it("** patterns and array indices match anywhere below", () => {
+    const cache = new Map();
+    const ctx = { handlers: [{ cache }, { cache }] };
+    const copy_value = namespace.deepCopy(ctx, { shareByReference: ["**.cache"] });
+    assert.equal(copy_value.handlers[0].cache, cache);
+    assert.equal(namespace.deepCopy(ctx, { shareByReference: ["handlers.1"] }).handlers[1], ctx.handlers[1]);
+  });
+
+  it("shares class instances and functions", () => {
+    class Connection {}
+    const connection = new Connection();
+    const handler = () => {};
+    const copy_value = namespace.deepCopy({ connection, handler });
+    assert.equal(copy_value.connection, connection);
+    assert.equal(copy_value.handler, handler);
+  });
+
+  it("rejects a shareByReference that is not an array", () => {
+    assert.throws(() => namespace.deepCopy({}, { shareByReference: "runtime" }), namespace.InvalidArgumentError);
+  });
+});
+
+// ── convergence pattern ───────────────────────────────────────────────────────
+
+describe("convergence pattern (setOrDefault load-once)", () => {
+  it("config loaded exactly once across many calls", () => {
+    let loadCount = 0;
+    function loadConfig() { loadCount++; return { version: 1 }; }
+
+    const context = {};
+    for (let i = 0; i < 5; i++) {
+      namespace.setOrDefault(context, "config", loadConfig());
+    }
+    // loadConfig() is evaluated 5 times (JS eager evaluation),
+    // but only the first result is stored.
+    assert.equal(context.config.version, 1);
+    assert.equal(loadCount, 5);
+  });
+
+  it("first caller establishes the value; later callers get the same object", () => {
+    const context = {};
+    const first  = namespace.setOrDefault(context, "users.alice.entries", []);
+    first.push("entry-1");
+    const second = namespace.setOrDefault(context, "users.alice.entries", []);
+    assert.equal(first, second);
+    assert.equal(second.length, 1);
+  });
+});
+
+// ── build-forward response pattern ───────────────────────────────────────────
+
+describe("build-forward response pattern", () => {
+  it("statusCode position tracks fault correctly", () => {
+    function handleRequest(request) {
+      const responseBody = { success: false, statusCode: 400 };
+
+      const entryText = namespace.getIfExists(request, "body.entryText");
+      if (namespace.isNotFound(entryText)) {
+        responseBody.errorMessage = "entryText";
+        return responseBody;
+      }
+
+      responseBody.statusCode = 500;
+      try {
+        if (request.body.__forceFailure) throw new Error("forced failure");
+        namespace.setNotExists(responseBody, "results.entry", { id: 1, entryText });
+        responseBody.statusCode = 200;
+        responseBody.success    = true;
+      } catch (error) {
+        responseBody.errorMessage = error.message;
+      }
+      return responseBody;
+    }
+
+    assert.equal(handleRequest({ body: { entryText: "hello" } }).statusCode, 200);
+    assert.equal(handleRequest({ body: {} }).statusCode, 400);
+    assert.equal(handleRequest({ body: { entryText: "hi", __forceFailure: true } }).statusCode, 500);
+  });
+});
+
+// ── handler preamble pattern ──────────────────────────────────────────────────
+
+describe("handler preamble pattern", () => {
+  it("getMustExist locates the failure precisely", () => {
+    const context = { config: { db: { url: "postgres://localhost" } } };
+    const context_bad = { config: {} };
+
+    assert.doesNotThrow(() => namespace.getMustExist(context, "config.db.url"));
+    assert.throws(
+      () => namespace.getMustExist(context_bad, "config.db.url"),
+      /config\.db\.url/
+    );
+  });
+});
+
+// ── namespace.path ────────────────────────────────────────────────────────────
+
+describe("namespace.path.join()", () => {
+  it("joins string parts with dots", () => {
+    assert.equal(namespace.path.join("a", "b", "c"), "a.b.c");
+  });
+
+  it("flattens dotted strings — partial paths compose cleanly", () => {
+    assert.equal(namespace.path.join("a.b", "c"), "a.b.c");
+  });
+
+  it("flattens arrays", () => {
+    assert.equal(namespace.path.join("a", ["b", "c"]), "a.b.c");
+  });
+
+  it("handles mixed arrays and dotted strings", () => {
+    assert.equal(namespace.path.join("a.b", ["c", "d"], "e"), "a.b.c.d.e");
+  });
+
+  it("primary use case — build a path from domain constants and runtime values", () => {
+    const users_namespace = "users";
+    const userId_value    = "alice";
+    assert.equal(namespace.path.join(users_namespace, userId_value, "entries"), "users.alice.entries");
+  });
+
+  it("returns empty string for no parts", () => {
+    assert.equal(namespace.path.join(), "");
+  });
+});
+
+describe("namespace.path.joinSlash()", () => {
+  it("joins parts with slashes", () => {
+    assert.equal(namespace.path.joinSlash("a", "b", "c"), "a/b/c");
+  });
+
+  it("flattens slash-separated strings", () => {
+    assert.equal(namespace.path.joinSlash("a/b", "c"), "a/b/c");
+  });
+});
+
+describe("namespace.path.split()", () => {
+  it("splits a dotted path into segments", () => {
+    assert.deepEqual(namespace.path.split("a.b.c"), ["a", "b", "c"]);
+  });
+
+  it("single segment returns a one-element array", () => {
+    assert.deepEqual(namespace.path.split("a"), ["a"]);
+  });
+
+  it("throws for non-string input", () => {
+    assert.throws(() => namespace.path.split(42), /must be a string/);
+  });
+});
+
+describe("namespace.path.isRootOf()", () => {
+  it("returns true when root is a proper prefix at a segment boundary", () => {
+    assert.equal(namespace.path.isRootOf("users.alice", "users.alice.entries"), true);
+  });
+
+  it("returns true for an exact match", () => {
+    assert.equal(namespace.path.isRootOf("users.alice", "users.alice"), true);
+  });
+
+  it("returns false when the match is not at a segment boundary", () => {
+    assert.equal(namespace.path.isRootOf("users.alice", "users.alicex"), false);
+  });
+
+  it("returns false for an unrelated path", () => {
+    assert.equal(namespace.path.isRootOf("users.alice", "users.bob.entries"), false);
+  });
+
+  it("single-segment root", () => {
+    assert.equal(namespace.path.isRootOf("users", "users.alice.entries"), true);
+    assert.equal(namespace.path.isRootOf("users", "config"), false);
+  });
+});
+
+describe("namespace.path.tween()", () => {
+  it("inserts default 'children' between each segment", () => {
+    assert.equal(namespace.path.tween("a.b.c"), "a.children.b.children.c");
+  });
+
+  it("uses a custom separator when provided", () => {
+    assert.equal(namespace.path.tween("a.b.c", "items"), "a.items.b.items.c");
+  });
+
+  it("single-segment path passes through unchanged", () => {
+    assert.equal(namespace.path.tween("a"), "a");
+  });
+
+  it("returns undefined for non-string input", () => {
+    assert.equal(namespace.path.tween(null), undefined);
+  });
+});
+
+describe("namespace.path.match()", () => {
+  it("a * segment matches any one key", () => {
+    assert.equal(namespace.path.match("users.*.entries", "users.alice.entries"), true);
+    assert.equal(namespace.path.match("orders.*.items.*.sku", "orders.7.items.0.sku"), true);
+  });
+
+  it("segment counts must agree — * never spans segments", () => {
+    assert.equal(namespace.path.match("users.*", "users.alice.entries"), false);
+  });
+
+  it("escaped or bracketed * is a literal key", () => {
+    assert.equal(namespace.path.match("a.\\*", "a.b"), false);
+    assert.equal(namespace.path.match('a["*"]', "a.*"), true);
+  });
+
+  it("accepts segment arrays with pattern.ANY", () => {
+    assert.equal(namespace.path.match(["items", namespace.pattern.ANY], ["items", 0]), true);
+    assert.equal(namespace.path.match(["items", "*"], ["items", 0]), false);
+  });
+
+  it("a ** segment matches zero or more segments", () => {
+    assert.equal(namespace.path.match("jobs.**.status", "jobs.status"), true);
+    assert.equal(namespace.path.match("jobs.**.status", "jobs.a.b.c.status"), true);
+    assert.equal(namespace.path.match("jobs.**.status", "jobs.a.state"), false);
+    assert.equal(namespace.path.match(["a", namespace.pattern.ANY_DEPTH], ["a", "b", "c"]), true);
+  });
+});
+
+describe("path grammar — escaped and bracketed segments", () => {
+  it("backslash-escaped dot addresses a key containing a dot", () => {
+    const obj = { sites: { "example.com": { owner: "alice" } } };
+    assert.equal(namespace.getIfExists(obj, "sites.example\\.com.owner"), "alice");
+  });
+
+  it("quoted bracket segments address keys containing dots", () => {
+    const obj = { sites: { "example.com": { owner: "alice" } } };
+    assert.equal(namespace.getIfExists(obj, 'sites["example.com"].owner'), "alice");
+    assert.equal(namespace.getIfExists(obj, "sites.['example.com'].owner"), "alice");
+  });
+
+  it("write verbs vivify through escaped segments", () => {
+    const obj = {};
+    namespace.setNotExists(obj, "versions.v1\\.2.status", "ok");
+    assert.deepEqual(obj, { versions: { "v1.2": { status: "ok" } } });
+  });
+
+  it("rm and batch.extractMustExist honour escaped segments", () => {
+    const obj = { mail: { "bob@example.com": 1, "eve@example.com": 2 } };
+    assert.equal(namespace.rm(obj, 'mail["bob@example.com"]'), 1);
+    assert.equal(namespace.batch.extractMustExist(obj, "mail.eve@example\\.com"), 2);
+    assert.deepEqual(obj, { mail: {} });
+  });
+
+  it("path.split decodes escapes and brackets", () => {
+    assert.deepEqual(namespace.path.split('a["b.c"]["d"].e\\.f'), ["a", "b.c", "d", "e.f"]);
+  });
+
+  it("path.join escapes array segments and round-trips through split", () => {
+    const joined_value = namespace.path.join("sites", ["example.com", "a\\b"]);
+    assert.equal(joined_value, "sites.example\\.com.a\\\\b");
+    assert.deepEqual(namespace.path.split(joined_value), ["sites", "example.com", "a\\b"]);
+  });
+
+  it("path.isRootOf compares whole segments", () => {
+    assert.equal(namespace.path.isRootOf("a\\.b", "a\\.b.c"), true);
+    assert.equal(namespace.path.isRootOf("a", "a\\.b"), false);
+  });
+
+  it("flatten escapes keys so expand is lossless", () => {
+    const obj = { sites: { "example.com": { owner: "alice" } }, plain: 1 };
+    const flat_node = namespace.flatten(obj);
+    assert.deepEqual(flat_node, { "sites.example\\.com.owner": "alice", plain: 1 });
+    assert.deepEqual(namespace.expand(flat_node), obj);
+  });
+
+  it("venn reports escaped paths that graftComplement can apply", () => {
+    const one = { hosts: { "a.example": { up: true } } };
+    const vennData = namespace.venn(one, { hosts: {} });
+    assert.deepEqual(vennData.inOneNotTwo, ["hosts.a\\.example"]);
+    assert.deepEqual(namespace.graftComplement({ hosts: {} }, vennData), one);
+  });
+
+  it("a bare [ without a quote is an ordinary key character", () => {
+    const obj = { "a[0]": 1 };
+    assert.equal(namespace.getIfExists(obj, "a[0]"), 1);
+  });
+
+  it("throws on an unterminated bracket segment", () => {
+    assert.throws(() => namespace.getIfExists({}, 'a["b'), /unterminated bracket/);
+  });
+
+  it("throws on a dangling escape", () => {
+    assert.throws(() => namespace.getIfExists({}, "a\\"), /dangling/);
+  });
+});
+
+describe("segment arrays as paths", () => {
+  it("every verb accepts a segment array — runtime keys are never parsed", () => {
+    const obj = {};
+    const userId_value = "bob.smith";
+    namespace.setNotExists(obj, ["users", userId_value, "entries"], []);
+    assert.deepEqual(obj, { users: { "bob.smith": { entries: [] } } });
+    assert.deepEqual(namespace.getMustExist(obj, ["users", userId_value, "entries"]), []);
+    assert.equal(namespace.exists(obj, ["users", userId_value]), true);
+    assert.equal(namespace.getOrDefault(obj, ["users", "nobody"], "none"), "none");
+    namespace.setOverwrite(obj, ["users", userId_value, "entries"], [1]);
+    namespace.setMustExist(obj, ["users", userId_value, "entries"], [1, 2]);
+    assert.deepEqual(namespace.setOrDefault(obj, ["users", userId_value, "entries"], []), [1, 2]);
+    assert.deepEqual(namespace.rmMustExist(obj, ["users", userId_value, "entries"]), [1, 2]);
+  });
+
+  it("numeric segments address array elements and object keys", () => {
+    const obj = { items: [{ sku: "a" }, { sku: "b" }] };
+    assert.equal(namespace.getIfExists(obj, ["items", 1, "sku"]), "b");
+  });
+
+  it("Symbol segments address symbol-keyed properties", () => {
+    const secret_key = Symbol("secret");
+    const obj = {};
+    namespace.setNotExists(obj, ["config", secret_key], "s3cr3t");
+    assert.equal(obj.config[secret_key], "s3cr3t");
+    assert.equal(namespace.rm(obj, ["config", secret_key]), "s3cr3t");
+  });
+
+  it("error messages render the path unambiguously", () => {
+    const obj = { users: { "a.b": 1 } };
+    assert.throws(
+      () => namespace.getMustExist(obj, ["users", "x.y", Symbol("id"), 0]),
+      /not found at "users\.x\\\.y\.\[Symbol\(id\)\]\.0"/
+    );
+    assert.throws(
+      () => namespace.setNotExists(obj, ["users", "a.b"], 2),
+      /cannot overwrite existing value at "users\.a\\\.b"/
+    );
+  });
+
+  it("batch verbs accept segment arrays", () => {
+    const obj = { users: { "a.b": { age: 3 } } };
+    assert.deepEqual(namespace.batch.destructureMustExist(obj, { age: ["users", "a.b", "age"] }), { age: 3 });
+    assert.deepEqual(namespace.batch.allMustExist(obj, [["users", "a.b", "age"]]), { "users.a\\.b.age": 3 });
+    assert.equal(namespace.batch.extractMustExist(obj, ["users", "a.b", "age"]), 3);
+  });
+
+  it("path.join keeps numbers and escapes array segments", () => {
+    assert.equal(namespace.path.join("items", 0, ["a.b", 1]), "items.0.a\\.b.1");
+  });
+
+  it("path.join throws for Symbol segments and unsupported parts", () => {
+    assert.throws(() => namespace.path.join("a", [Symbol("x")]), /Symbol segments/);
+    assert.throws(() => namespace.path.join("a", {}), /parts must be/);
+  });
+
+  it("path.split, isRootOf and tween accept segment arrays", () => {
+    assert.deepEqual(namespace.path.split(["a", 0]), ["a", 0]);
+    assert.equal(namespace.path.isRootOf(["users", "a.b"], "users.a\\.b.entries"), true);
+    assert.equal(namespace.path.tween(["a", "b.c"]), "a.children.b\\.c");
+  });
+
+  it("throws for an empty array or an invalid segment type", () => {
+    assert.throws(() => namespace.getIfExists({}, []), /cannot be empty/);
+    assert.throws(() => namespace.getIfExists({}, ["a", {}]), /segment 1 must be a string, number or symbol/);
+  });
+});
+
+describe("JSON Pointer paths", () => {
+  it("fromPointer decodes ~1 and ~0 in that order", () => {
+    assert.deepEqual(namespace.path.fromPointer("/users/alice~1bob/entries/0"), ["users", "alice/bob", "entries", "0"]);
+    assert.deepEqual(namespace.path.fromPointer("/a~01"), ["a~1"]);
+    assert.deepEqual(namespace.path.fromPointer(""), []);
+    assert.deepEqual(namespace.path.fromPointer("/"), [""]);
+  });
+
+  it("fromPointer rejects malformed pointers", () => {
+    assert.throws(() => namespace.path.fromPointer("users/alice"), /must be empty or start with "\/"/);
+    assert.throws(() => namespace.path.fromPointer("/a~2"), /"~" must be followed by 0 or 1/);
+  });
+
+  it("toPointer escapes ~ and / and leaves dots alone", () => {
+    assert.equal(namespace.path.toPointer(["users", "alice/bob", "a~1", 0]), "/users/alice~1bob/a~01/0");
+    assert.equal(namespace.path.toPointer('sites["example.com"].owner'), "/sites/example.com/owner");
+    assert.equal(namespace.path.toPointer([]), "");
+    assert.throws(() => namespace.path.toPointer([Symbol("x")]), /no JSON Pointer form/);
+  });
+
+  it("every verb accepts a pointer wherever it accepts a path", () => {
+    const tree = { users: { "alice/bob": { entries: ["x"] } }, sites: {} };
+    assert.equal(namespace.getMustExist(tree, "/users/alice~1bob/entries/0"), "x");
+    namespace.setNotExists(tree, "/sites/example.com/owner", "carol");
+    assert.deepEqual(tree.sites, { "example.com": { owner: "carol" } });
+    namespace.setOverwrite(tree, "/users/alice~1bob/entries/-", "y");
+    assert.deepEqual(tree.users["alice/bob"].entries, ["x", "y"]);
+    assert.equal(namespace.path.match("users.*.entries", "/users/alice~1bob/entries"), true);
+  });
+
+  it("dotted paths for keys that start with / are escaped so they never read as pointers", () => {
+    const tree = { "/tmp": { size: 1 } };
+    assert.equal(namespace.getIfExists(tree, "\\/tmp.size"), 1);
+    assert.equal(namespace.path.join(["/tmp"], "size"), "\\/tmp.size");
+    assert.deepEqual(namespace.flatten(tree), { "\\/tmp.size": 1 });
+    assert.deepEqual(namespace.expand(namespace.flatten(tree)), tree);
+    const diff = namespace.venn({ "/a": 1, "/tmp": { size: 1 } }, {});
+    assert.deepEqual(diff.inOneNotTwo, ["\\/a", "\\/tmp"]);
+    assert.deepEqual(namespace.graftComplement({}, diff), { "/a": 1, "/tmp": { size: 1 } });
+  });
+
+  it("configure({ pathFormat: \"pointer\" }) writes error paths as pointers", () => {
+    namespace.configure({ pathFormat: "pointer" });
+    try {
+      assert.throws(() => namespace.getMustExist({}, "users.alice/bob.entries"), /not found at "\/users\/alice~1bob\/entries"/);
+      assert.throws(
+        () => namespace.setNotExists({ a: 5 }, "a.b", 1),
+        /non-object at "a" on path "\/a\/b"/
+      );
+    } finally {
+      namespace.configure({ pathFormat: "dotted" });
+    }
+    assert.throws(() => namespace.getMustExist({}, "/users/alice~1bob"), /not found at "\/users\/alice~1bob"/);
+    assert.throws(() => namespace.configure({ pathFormat: "slashes" }), /pathFormat must be "dotted" or "pointer"/);
+  });
+});
+
+describe("array index segments", () => {
+  it("reads by index, string or number", () => {
+    const obj = { items: ["a", "b", "c"] };
+    assert.equal(namespace.getIfExists(obj, "items.0"), "a");
+    assert.equal(namespace.getIfExists(obj, ["items", 2]), "c");
+  });
+
+  it("negative indices count back from the end", () => {
+    const obj = { items: ["a", "b", "c"] };
+    assert.equal(namespace.getIfExists(obj, "items.-1"), "c");
+    assert.equal(namespace.getIfExists(obj, ["items", -3]), "a");
+  });
+
+  it("a negative index past the start is NotFound for reads and throws for writes", () => {
+    const obj = { items: ["a"] };
+    assert.equal(namespace.getIfExists(obj, "items.-2"), NotFound);
+    assert.throws(() => namespace.setOverwrite(obj, "items.-2", "x"), /index -2 is out of range on path "items\.-2"/);
+  });
+
+  it("setNotExists appends through [] and -", () => {
+    const obj = { items: ["a"] };
+    namespace.setNotExists(obj, "items.[]", "b");
+    namespace.setNotExists(obj, "items.-", "c");
+    assert.deepEqual(obj.items, ["a", "b", "c"]);
+  });
+
+  it("setOrDefault with the append marker always appends", () => {
+    const obj = { items: [] };
+    assert.equal(namespace.setOrDefault(obj, "items.[]", 1), 1);
+    assert.equal(namespace.setOrDefault(obj, "items.[]", 2), 2);
+    assert.deepEqual(obj.items, [1, 2]);
+  });
+
+  it("the append marker never exists for reads or setMustExist", () => {
+    const obj = { items: [1] };
+    assert.equal(namespace.getIfExists(obj, "items.[]"), NotFound);
+    assert.throws(() => namespace.setMustExist(obj, "items.-", 2), /must exist but is absent/);
+  });
+
+  it("setOverwrite through a negative index writes the resolved slot", () => {
+    const obj = { items: [{ sku: "a" }, { sku: "b" }] };
+    namespace.setOverwrite(obj, "items.-1.sku", "z");
+    assert.deepEqual(obj.items, [{ sku: "a" }, { sku: "z" }]);
+  });
+
+  it("vivifies an array when the next segment is an index or the append marker", () => {
+    const obj = {};
+    namespace.setNotExists(obj, "queue.[]", "job1");
+    namespace.setNotExists(obj, "matrix.0.[]", 1);
+    namespace.setOverwrite(obj, "rows.0.name", "first");
+    assert.deepEqual(obj, { queue: ["job1"], matrix: [[1]], rows: [{ name: "first" }] });
+  });
+
+  it("vivifies an object, not a sparse array, ahead of any other index", () => {
+    const obj = {};
+    namespace.setNotExists(obj, ["users", 5000000, "name"], "x");
+    namespace.setOverwrite(obj, "orders.42.total", 7);
+    assert.deepEqual(obj, { users: { 5000000: { name: "x" } }, orders: { 42: { total: 7 } } });
+    assert.equal(Array.isArray(obj.users), false);
+  });
+
+  it("index-like segments on plain objects stay ordinary keys", () => {
+    const obj = { scores: { "-1": "low", "-": "dash" } };
+    assert.equal(namespace.getIfExists(obj, "scores.-1"), "low");
+    assert.equal(namespace.getIfExists(obj, "scores.-"), "dash");
+  });
+
+  it("rm splices array elements instead of leaving holes", () => {
+    const obj = { items: ["a", "b", "c"] };
+    assert.equal(namespace.rm(obj, "items.-2"), "b");
+    assert.deepEqual(obj.items, ["a", "c"]);
+    assert.equal(namespace.rm(obj, "items.[]"), NotFound);
+  });
+});
+
+describe("Map and Set containers", () => {
+  function makeContext() {
+    return {
+      app: {
+        cache: new Map([["alice", { hits: 1 }]]),
+        roles: new Set(["admin"]),
+      },
+    };
+  }
+
+  it("reads through Map entries", () => {
+    const ctx = makeContext();
+    assert.equal(namespace.getIfExists(ctx, "app.cache.alice.hits"), 1);
+    assert.equal(namespace.getIfExists(ctx, "app.cache.bob"), NotFound);
+  });
+
+  it("segment arrays reach non-string Map keys", () => {
+    const ctx = { byId: new Map([[42, "answer"]]) };
+    assert.equal(namespace.getIfExists(ctx, ["byId", 42]), "answer");
+    assert.equal(namespace.getIfExists(ctx, "byId.42"), NotFound);
+  });
+
+  it("Set segments test membership", () => {
+    const ctx = makeContext();
+    assert.equal(namespace.exists(ctx, "app.roles.admin"), true);
+    assert.equal(namespace.exists(ctx, "app.roles.guest"), false);
+    assert.equal(namespace.getIfExists(ctx, "app.roles.admin"), "admin");
+  });
+
+  it("write verbs set Map entries and traverse into their values", () => {
+    const ctx = makeContext();
+    namespace.setNotExists(ctx, "app.cache.bob", { hits: 0 });
+    namespace.setOverwrite(ctx, "app.cache.alice.hits", 2);
+    namespace.setOrDefault(ctx, "app.cache.alice.seen", true);
+    assert.deepEqual(ctx.app.cache.get("bob"), { hits: 0 });
+    assert.deepEqual(ctx.app.cache.get("alice"), { hits: 2, seen: true });
+    assert.throws(() => namespace.setNotExists(ctx, "app.cache.bob", {}), /cannot overwrite/);
+  });
+
+  it("refuses to vivify inside a Map", () => {
+    const ctx = makeContext();
+    assert.throws(
+      () => namespace.setOverwrite(ctx, "app.cache.carol.hits", 1),
+      /cannot vivify "carol" inside a Map on path "app\.cache\.carol\.hits"/
+    );
+    assert.equal(ctx.app.cache.has("carol"), false);
+  });
+
+  it("refuses to write a value into a Set", () => {
+    const ctx = makeContext();
+    assert.throws(() => namespace.setNotExists(ctx, "app.roles.guest", true), /into a Set/);
+    assert.throws(() => namespace.setNotExists(ctx, "app.roles.guest.since", 1), /cannot vivify "guest" inside a Set/);
+  });
+
+  it("rm deletes Map entries and Set members", () => {
+    const ctx = makeContext();
+    assert.deepEqual(namespace.rm(ctx, "app.cache.alice"), { hits: 1 });
+    assert.equal(namespace.rmMustExist(ctx, "app.roles.admin"), "admin");
+    assert.equal(ctx.app.cache.size, 0);
+    assert.equal(ctx.app.roles.size, 0);
+  });
+
+  it("flatten walks Map entries and keeps Sets whole", () => {
+    const ctx = makeContext();
+    const flat_node = namespace.flatten(ctx);
+    assert.deepEqual(Object.keys(flat_node), ["app.cache.alice.hits", "app.roles"]);
+    assert.equal(flat_node["app.roles"], ctx.app.roles);
+  });
+
+  it("equals compares Map entries and Set members", () => {
+    assert.equal(namespace.equals(makeContext(), makeContext()), true);
+    const changed = makeContext();
+    changed.app.cache.get("alice").hits = 9;
+    assert.equal(namespace.equals(makeContext(), changed), false);
+    assert.equal(namespace.equals({ m: new Map([["a", 1]]) }, { m: { a: 1 } }), false);
+    assert.equal(namespace.equals(new Set([1, 2]), new Set([2, 1])), true);
+  });
+
+  it("venn reports paths through Map entries", () => {
+    const one = { cache: new Map([["a", 1], ["b", 2]]) };
+    const two = { cache: new Map([["a", 1], ["c", 3]]) };
+    const vennData = namespace.venn(one, two);
+    assert.deepEqual(vennData.inOneNotTwo, ["cache.b"]);
+    assert.deepEqual(vennData.inTwoNotOne, ["cache.c"]);
+  });
+});
+
+describe("namespace.adapters", () => {
+  class Registry {
+    constructor(entries) { this.entries_node = Object.assign({}, entries); }
+    lookup(key)          { return this.entries_node[key]; }
+    contains(key)        { return Object.prototype.hasOwnProperty.call(this.entries_node, key); }
+    store(key, value)    { this.entries_node[key] = value; }
+    drop(key)            { delete this.entries_node[key]; }
+    names()              { return Object.keys(this.entries_node); }
+  }
+
+  const registryAdapter = {
+    name:   "Registry",
+    has:    (container, key) => container.contains(key),
+    get:    (container, key) => container.lookup(key),
+    set:    (container, key, value) => container.store(key, value),
+    delete: (container, key) => container.drop(key),
+    keys:   (container) => container.names(),
+  };
+
+  class Record {
+    constructor(fields) { this.fields_node = Object.freeze(Object.assign({}, fields)); }
+  }
+
+  const recordAdapter = {
+    has: (container, key) => Object.prototype.hasOwnProperty.call(container.fields_node, key),
+    get: (container, key) => container.fields_node[key],
+  };
+
+  function withAdapter(predicate, adapter, fn) {
+    namespace.adapters.register(predicate, adapter);
+    try { fn(); } finally { namespace.adapters.unregister(adapter); }
+  }
+
+  it("reads, writes and removes through a registered adapter", () => {
+    withAdapter((c) => c instanceof Registry, registryAdapter, () => {
+      const ctx = { services: new Registry({ db: { url: "pg://" } }) };
+      assert.equal(namespace.getIfExists(ctx, "services.db.url"), "pg://");
+      namespace.setNotExists(ctx, "services.cache", { ttl: 60 });
+      assert.deepEqual(ctx.services.lookup("cache"), { ttl: 60 });
+      assert.deepEqual(namespace.rmMustExist(ctx, "services.db"), { url: "pg://" });
+      assert.equal(ctx.services.contains("db"), false);
+    });
+  });
+
+  it("flatten, equals and venn walk adapter keys", () => {
+    withAdapter((c) => c instanceof Registry, registryAdapter, () => {
+      const one = { services: new Registry({ db: 1, cache: 2 }) };
+      const two = { services: new Registry({ db: 1 }) };
+      assert.deepEqual(namespace.flatten(one), { "services.db": 1, "services.cache": 2 });
+      assert.equal(namespace.equals(one, two), false);
+      assert.equal(namespace.equals(two, { services: new Registry({ db: 1 }) }), true);
+      assert.deepEqual(namespace.venn(one, two).inOneNotTwo, ["services.cache"]);
+    });
+  });
+
+  it("a container without set() is read-only and without keys() is a leaf", () => {
+    withAdapter((c) => c instanceof Record, recordAdapter, () => {
+      const ctx = { user: new Record({ name: "alice" }) };
+      assert.equal(namespace.getIfExists(ctx, "user.name"), "alice");
+      assert.throws(() => namespace.setOverwrite(ctx, "user.name", "bob"), /into a Record .* has no set\(\)/);
+      assert.throws(() => namespace.rm(ctx, "user.name"), /has no delete\(\)/);
+      assert.equal(namespace.flatten(ctx).user, ctx.user);
+      assert.equal(namespace.equals(ctx, { user: new Record({ name: "alice" }) }), false);
+    });
+  });
+
+  it("writes never vivify inside an adapter container", () => {
+    withAdapter((c) => c instanceof Registry, registryAdapter, () => {
+      const ctx = { services: new Registry({}) };
+      assert.throws(() => namespace.setNotExists(ctx, "services.db.url", "x"), /cannot vivify "db" inside a Registry/);
+    });
+  });
+
+  it("the latest registration wins and unregister restores the previous one", () => {
+    const shadowAdapter = { has: () => true, get: () => "shadowed" };
+    const ctx = { cache: new Map([["a", 1]]) };
+    withAdapter((c) => c instanceof Map, shadowAdapter, () => {
+      assert.equal(namespace.adapters.find(ctx.cache), shadowAdapter);
+      assert.equal(namespace.getIfExists(ctx, "cache.anything"), "shadowed");
+    });
+    assert.equal(namespace.getIfExists(ctx, "cache.a"), 1);
+    assert.equal(namespace.adapters.find({}), undefined);
+  });
+
+  it("register validates its arguments", () => {
+    assert.throws(() => namespace.adapters.register(null, registryAdapter), /predicate must be a function/);
+    assert.throws(() => namespace.adapters.register(() => true, { has() {} }), /has\(\) and get\(\)/);
+  });
+});
+
+describe("namespace.pattern", () => {
+  function makeTree() {
+    return {
+      users: {
+        alice: { entries: [1], active: false },
+        bob:   { entries: [2] },
+        carol: {},
+      },
+      orders: [
+        { items: [{ sku: "a" }, { sku: "b" }] },
+        { items: [{ sku: "c" }] },
+      ],
+    };
+  }
+
+  it("getEach returns { concretePath: value } for every match that holds something", () => {
+    assert.deepEqual(namespace.pattern.getEach(makeTree(), "users.*.entries"), {
+      "users.alice.entries": [1],
+      "users.bob.entries":   [2],
+    });
+  });
+
+  it("getEach expands nested wildcards through arrays", () => {
+    assert.deepEqual(namespace.pattern.getEach(makeTree(), "orders.*.items.*.sku"), {
+      "orders.0.items.0.sku": "a",
+      "orders.0.items.1.sku": "b",
+      "orders.1.items.0.sku": "c",
+    });
+  });
+
+  it("literal index segments resolve inside patterns", () => {
+    assert.deepEqual(namespace.pattern.getEach(makeTree(), "orders.-1.items.*.sku"), { "orders.1.items.0.sku": "c" });
+  });
+
+  it("getEach returns an empty object when nothing matches", () => {
+    assert.deepEqual(namespace.pattern.getEach(makeTree(), "missing.*.x"), {});
+  });
+
+  it("paths lists every concrete path, including tails that do not exist yet", () => {
+    assert.deepEqual(namespace.pattern.paths(makeTree(), "users.*.active"), [
+      "users.alice.active", "users.bob.active", "users.carol.active",
+    ]);
+  });
+
+  it("setOverwriteEach writes every match", () => {
+    const tree = makeTree();
+    namespace.pattern.setOverwriteEach(tree, "orders.*.items.*.sku", "x");
+    assert.deepEqual(namespace.pattern.getEach(tree, "orders.*.items.*.sku"), {
+      "orders.0.items.0.sku": "x",
+      "orders.0.items.1.sku": "x",
+      "orders.1.items.0.sku": "x",
+    });
+  });
+
+  it("setOrDefaultEach converges every match and reports what each holds", () => {
+    const tree = makeTree();
+    assert.deepEqual(namespace.pattern.setOrDefaultEach(tree, "users.*.active", true), {
+      "users.alice.active": false,
+      "users.bob.active":   true,
+      "users.carol.active": true,
+    });
+  });
+
+  it("setNotExistsEach and setMustExistEach keep the point contract per match", () => {
+    const tree = makeTree();
+    assert.throws(
+      () => namespace.pattern.setNotExistsEach(tree, "users.*.active", true),
+      /cannot overwrite existing value at "users\.alice\.active"/
+    );
+    assert.throws(
+      () => namespace.pattern.setMustExistEach(makeTree(), "users.*.entries", []),
+      /users\.carol\.entries/
+    );
+  });
+
+  it("errors from a match name the pattern verb", () => {
+    assert.throws(
+      () => namespace.pattern.setNotExistsEach(makeTree(), "users.*.active", true),
+      { code: "PATH_OCCUPIED", verb: "pattern.setNotExistsEach", path: ["users", "alice", "active"] }
+    );
+    assert.throws(
+      () => namespace.pattern.setOverwriteEach(makeTree(), "users.*.active.since", 1),
+      { verb: "pattern.setOverwriteEach" }
+    );
+  });
+
+  it("rmEach removes every match, keeping array indices valid", () => {
+    const tree = makeTree();
+    assert.deepEqual(namespace.pattern.rmEach(tree, "orders.0.items.*"), {
+      "orders.0.items.1": { sku: "b" },
+      "orders.0.items.0": { sku: "a" },
+    });
+    assert.deepEqual(tree.orders[0].items, []);
+  });
+
+  it("point verbs treat * as an ordinary key", () => {
+    const tree = { "*": 1 };
+    assert.equal(namespace.getIfExists(tree, "*"), 1);
+    assert.deepEqual(namespace.pattern.getEach(tree, "\\*"), { "*": 1 });
+  });
+});
+
+describe("namespace.pattern — recursive descent (**)", () => {
+  function makeJobs() {
+    return {
+      jobs: {
+        status: "idle",
+        build: { status: "ok", steps: [{ status: "ok" }, { status: "failed" }] },
+        deploy: { stages: { canary: { status: "pending" } } },
+      },
+    };
+  }
+
+  it("** matches at any depth, including zero", () => {
+    assert.deepEqual(namespace.pattern.getEach(makeJobs(), "jobs.**.status"), {
+      "jobs.status":                      "idle",
+      "jobs.build.status":                "ok",
+      "jobs.build.steps.0.status":        "ok",
+      "jobs.build.steps.1.status":        "failed",
+      "jobs.deploy.stages.canary.status": "pending",
+    });
+  });
+
+  it("options.maxDepth bounds how far ** descends", () => {
+    assert.deepEqual(namespace.pattern.paths(makeJobs(), "jobs.**.status", { maxDepth: 1 }), [
+      "jobs.status",
+      "jobs.build.status",
+    ]);
+    assert.throws(() => namespace.pattern.paths(makeJobs(), "jobs.**.status", { maxDepth: "2" }), { code: "INVALID_ARGUMENT", verb: "pattern.paths" });
+    assert.throws(() => namespace.pattern.paths(makeJobs(), "jobs.**.status", { maxDepth: -1 }), namespace.InvalidArgumentError);
+    assert.throws(() => namespace.pattern.paths(makeJobs(), "jobs.**.status", { maxDepth: 1.5 }), namespace.InvalidArgumentError);
+    assert.equal(namespace.pattern.paths(makeJobs(), "jobs.**.status", { maxDepth: Infinity }).length, 5);
+  });
+
+  it("** reports a container shared by two keys under each of them", () => {
+    const shared = { status: "ok" };
+    assert.deepEqual(namespace.pattern.paths({ jobs: { a: shared, b: shared } }, "jobs.**.status"), [
+      "jobs.a.status",
+      "jobs.b.status",
+    ]);
+  });
+
+  it("after ** only existing paths are reported, so writes never invent branches", () => {
+    const tree = makeJobs();
+    namespace.pattern.setOverwriteEach(tree, "jobs.**.status", "reset");
+    assert.equal(tree.jobs.deploy.stages.canary.status, "reset");
+    assert.equal(namespace.getIfExists(tree, "jobs.deploy.status"), namespace.NotFound);
+  });
+
+  it("cyclic trees terminate and each path is reported once", () => {
+    const tree = { a: { id: 1 } };
+    tree.a.self = tree.a;
+    assert.deepEqual(namespace.pattern.paths(tree, "**.id"), ["a.id"]);
+    assert.deepEqual(namespace.pattern.paths(tree, "a.**.**.id"), ["a.id"]);
+  });
+
+  it("rmEach removes every deep match", () => {
+    const tree = makeJobs();
+    namespace.pattern.rmEach(tree, "jobs.build.**.status");
+    assert.deepEqual(tree.jobs.build, { steps: [{}, {}] });
+  });
+});
+
+// ── namespace.batch ───────────────────────────────────────────────────────────
+
+describe("namespace.compile()", () => {
+  it("binds the read verbs to a pre-parsed path", () => {
+    const entries_path = namespace.compile("users.alice.entries");
+    const tree = { users: { alice: { entries: [1, 2] } } };
+    assert.deepEqual(entries_path.getIfExists(tree), [1, 2]);
+    assert.deepEqual(entries_path.getMustExist(tree), [1, 2]);
+    assert.equal(entries_path.exists(tree), true);
+    assert.equal(entries_path.getIfExists({}), namespace.NotFound);
+    assert.equal(entries_path.getOrDefault({}, "standIn"), "standIn");
+    assert.equal(entries_path.getOrDefault.syncFunc({}, () => "computed"), "computed");
+  });
+
+  it("reads follow the same array, Map and escape rules as the verbs", () => {
+    const tree = { items: [{ sku: "a" }, { sku: "b" }], byId: new Map([["x.y", { n: 1 }]]) };
+    assert.equal(namespace.compile("items.-1.sku").getIfExists(tree), "b");
+    assert.equal(namespace.compile("byId.x\\.y.n").getIfExists(tree), 1);
+    assert.equal(namespace.compile("/items/0/sku").getIfExists(tree), "a");
+    assert.equal(namespace.compile("items.5.sku").getIfExists(tree), namespace.NotFound);
+  });
+
+  it("write and remove verbs keep their contracts", () => {
+    const visits_path = namespace.compile(["users", "alice", "visits"]);
+    const tree = {};
+    assert.equal(visits_path.setOrDefault(tree, 0), 0);
+    assert.throws(() => visits_path.setNotExists(tree, 1), /cannot overwrite existing value at "users.alice.visits"/);
+    assert.equal(visits_path.setMustExist(tree, 2), 2);
+    assert.equal(visits_path.setOverwrite(tree, 3), 3);
+    assert.equal(visits_path.updateMustExist(tree, (visits) => visits + 1), 4);
+    assert.equal(visits_path.updateOrDefault({}, 0, (visits) => visits + 1), 1);
+    const log_path = namespace.compile("log.lines");
+    const log_tree = {};
+    log_path.appendOrDefault(log_tree, "b");
+    log_path.insertMustExist(log_tree, 0, "a");
+    assert.deepEqual(log_path.appendMustExist(log_tree, "c"), ["a", "b", "c"]);
+    assert.deepEqual(log_path.rmWhere(log_tree, (line) => line !== "b"), ["a", "c"]);
+    assert.equal(visits_path.rmMustExist(tree), 4);
+    assert.equal(visits_path.rm(tree), namespace.NotFound);
+    assert.throws(() => visits_path.rmMustExist(tree), /path does not exist/);
+  });
+
+  it("must-verbs report the path as it was written", () => {
+    const compiled_path = namespace.compile('sites["example.com"].owner');
+    assert.throws(() => compiled_path.getMustExist({}), /not found at "sites\["example\.com"\]\.owner"/);
+    assert.throws(() => compiled_path.getMustExist({}, { errorMessage: "no owner" }), { message: "no owner" });
+    assert.throws(() => compiled_path.getMustEmpty({ sites: { "example.com": { owner: 1 } } }), /must be empty/);
+    assert.throws(() => compiled_path.getIfExists(null), /not a valid root/);
+  });
+
+  it("exposes the segments, frozen, and the escaped path", () => {
+    const compiled_path = namespace.compile("sites.example\\.com");
+    assert.deepEqual(compiled_path.segments, ["sites", "example.com"]);
+    assert.ok(Object.isFrozen(compiled_path.segments));
+    assert.equal(compiled_path.path, "sites.example\\.com");
+    assert.throws(() => namespace.compile(null), /path must be a string or segment array/);
+  });
+
+  it("the split cache hands every caller its own segment list", () => {
+    const first_list = namespace.path.split("a.b.c");
+    first_list.push("mutated");
+    assert.deepEqual(namespace.path.split("a.b.c"), ["a", "b", "c"]);
+  });
+});
+
+describe("prototype-pollution hardening", () => {
+  const payload_list = [
+    "__proto__.polluted",
+    "constructor.prototype.polluted",
+    "a.__proto__.polluted",
+    'a["__proto__"].polluted',
+    "__pro\\to__.polluted",
+    "/__proto__/polluted",
+    ["__proto__", "polluted"],
+    ["constructor", "prototype", "polluted"],
+  ];
+
+  function assertClean() {
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.prototype.hasOwnProperty.call(Object.prototype, "polluted"), false);
+  }
+
+  const writer_list = [
+    ["namespace()",            (tree, path) => namespace(tree, path)],
+    ["setNotExists",           (tree, path) => namespace.setNotExists(tree, path, "yes")],
+    ["setOrDefault",           (tree, path) => namespace.setOrDefault(tree, path, "yes")],
+    ["setOrDefault.syncFunc",  (tree, path) => namespace.setOrDefault.syncFunc(tree, path, () => "yes")],
+    ["setOverwrite",           (tree, path) => namespace.setOverwrite(tree, path, "yes")],
+    ["setOverwrite structure", (tree, path) => namespace.setOverwrite(tree, path, "yes", { overwriteStructure: true })],
+    ["compile().setOverwrite", (tree, path) => namespace.compile(path).setOverwrite(tree, "yes")],
+    ["updateOrDefault",        (tree, path) => namespace.updateOrDefault(tree, path, "no", () => "yes")],
+    ["appendOrDefault",        (tree, path) => namespace.appendOrDefault(tree, path, "yes")],
+  ];
+
+  for (const [label, write] of writer_list) {
+    it(`${label} refuses every payload with PrototypePollutionError`, () => {
+      for (const payload of payload_list) {
+        assert.throws(() => write({ a: {} }, payload), namespace.PrototypePollutionError, `payload ${String(payload)}`);
+        assertClean();
+      }
+    });
+  }
+
+  it("the error names the segment and the path", () => {
+    try {
+      namespace.setOverwrite({}, "constructor.prototype.polluted", 1);
+      assert.fail("should have thrown");
+    } catch (error) {
+      assert.ok(error instanceof Error);
+      assert.equal(error.name, "PrototypePollutionError");
+      assert.equal(error.failedSegment, "constructor");
+      assert.match(error.message, /prototype key "constructor" on path "constructor.prototype.polluted"/);
+    }
+  });
+
+  it("own __proto__ keys from JSON.parse cannot be overwritten either", () => {
+    const tree = JSON.parse('{"__proto__": {"x": 1}}');
+    assert.throws(() => namespace.setMustExist(tree, "__proto__", {}), namespace.PrototypePollutionError);
+    assert.throws(() => namespace.setOverwrite(tree, "__proto__", {}), namespace.PrototypePollutionError);
+  });
+
+  it("pattern writes refuse payload tails", () => {
+    assert.throws(
+      () => namespace.pattern.setOverwriteEach({ users: { alice: {} } }, "users.*.__proto__.polluted", "yes"),
+      namespace.PrototypePollutionError
+    );
+    assertClean();
+  });
+
+  it("expand() refuses payload keys", () => {
+    assert.throws(() => namespace.expand({ "__proto__.polluted": "yes" }), namespace.PrototypePollutionError);
+    assert.throws(() => namespace.expand({ "constructor.prototype.polluted": "yes" }), namespace.PrototypePollutionError);
+    assert.throws(() => namespace.expand(JSON.parse('{"__proto__": {"polluted": "yes"}}')), namespace.PrototypePollutionError);
+    assertClean();
+  });
+
+  it("venn() refuses to build a complement through __proto__", () => {
+    const parsed = JSON.parse('{"__proto__": {"polluted": "yes"}}');
+    assert.throws(() => namespace.venn(parsed, {}), namespace.PrototypePollutionError);
+    assertClean();
+  });
+
+  it("reads are unaffected and Map keys are ordinary data", () => {
+    assert.equal(namespace.getIfExists({}, "constructor"), namespace.NotFound);
+    const byName = new Map();
+    namespace.setOverwrite({ byName }, "byName.constructor", 1);
+    assert.equal(byName.get("constructor"), 1);
+  });
+
+  it("configure({ allowPrototypeKeys: true }) lifts the guard for trusted callers", () => {
+    namespace.configure({ allowPrototypeKeys: true });
+    try {
+      const tree = {};
+      namespace.setOverwrite(tree, "constructor", "ok");
+      assert.equal(tree.constructor, "ok");
+    } finally {
+      namespace.configure({ allowPrototypeKeys: false });
+    }
+    assert.throws(() => namespace.setOverwrite({}, "constructor", "ok"), namespace.PrototypePollutionError);
+  });
+});
+
+describe("NamespaceError hierarchy", () => {
+  function caught(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    assert.fail("should have thrown");
+  }
+
+  it("every class extends NamespaceError and Error, with its own name and code", () => {
+    const classCode_list = [
+      ["PathNotFoundError",          "PATH_NOT_FOUND"],
+      ["PathOccupiedError",          "PATH_OCCUPIED"],
+      ["NonObjectIntermediateError", "NON_OBJECT_INTERMEDIATE"],
+      ["IndexOutOfRangeError",       "INDEX_OUT_OF_RANGE"],
+      ["ContainerWriteError",        "CONTAINER_WRITE"],
+      ["PrototypePollutionError",    "PROTOTYPE_KEY"],
+      ["InvalidPathError",           "INVALID_PATH"],
+      ["InvalidArgumentError",       "INVALID_ARGUMENT"],
+      ["SlotTypeError",              "SLOT_TYPE"],
+      ["BatchError",                 "BATCH_FAILED"],
+    ];
+    for (const [className, code] of classCode_list) {
+      const error = new namespace[className]("message", { verb: "v" });
+      assert.ok(error instanceof namespace.NamespaceError, className);
+      assert.ok(error instanceof Error, className);
+      assert.equal(error.name, className);
+      assert.equal(error.code, code);
+      assert.equal(error.verb, "v");
+      assert.equal(error.failedSegment, null);
+    }
   });
 
-  it("throws when path is absent", () => {
-    const obj = { a: {} };
-    assert.throws(() => namespace.rmMustExist(obj, "a.b"), /path does not exist/);
+  it("getMustExist → PathNotFoundError at the first missing segment", () => {
+    const error = caught(() => namespace.getMustExist({ users: { alice: {} } }, "users.alice.entries.0"));
+    assert.ok(error instanceof namespace.PathNotFoundError);
+    assert.deepEqual(
+      [error.verb, error.path, error.failedSegment, error.segmentIndex, error.valueType],
+      ["getMustExist", "users.alice.entries.0", "entries", 2, "undefined"]
+    );
   });
-});
 
-// ── convergence pattern ───────────────────────────────────────────────────────
+  it("a primitive in the way is reported as the valueType", () => {
+    const error = caught(() => namespace.getMustExist({ a: 5 }, "a.b"));
+    assert.equal(error.failedSegment, "b");
+    assert.equal(error.valueType, "number");
+  });
 
-describe("convergence pattern (setOrDefault load-once)", () => {
-  it("config loaded exactly once across many calls", () => {
-    let loadCount = 0;
-    function loadConfig() { loadCount++; return { version: 1 }; }
+  it("setNotExists → PathOccupiedError with the type of what is there", () => {
+    const error = caught(() => namespace.setNotExists({ a: { b: [1] } }, "a.b", 2));
+    assert.ok(error instanceof namespace.PathOccupiedError);
+    assert.deepEqual([error.verb, error.failedSegment, error.segmentIndex, error.valueType], ["setNotExists", "b", 1, "array"]);
+  });
 
-    const context = {};
-    for (let i = 0; i < 5; i++) {
-      namespace.setOrDefault(context, "config", loadConfig());
-    }
-    // loadConfig() is evaluated 5 times (JS eager evaluation),
-    // but only the first result is stored.
-    assert.equal(context.config.version, 1);
-    assert.equal(loadCount, 5);
+  it("getMustEmpty → PathOccupiedError", () => {
+    const error = caught(() => namespace.getMustEmpty({ a: null }, "a"));
+    assert.ok(error instanceof namespace.PathOccupiedError);
+    assert.equal(error.valueType, "null");
   });
 
-  it("first caller establishes the value; later callers get the same object", () => {
-    const context = {};
-    const first  = namespace.setOrDefault(context, "users.alice.entries", []);
-    first.push("entry-1");
-    const second = namespace.setOrDefault(context, "users.alice.entries", []);
-    assert.equal(first, second);
-    assert.equal(second.length, 1);
+  it("write verbs and namespace() → NonObjectIntermediateError", () => {
+    for (const [verb, write] of [
+      ["setNotExists", (tree) => namespace.setNotExists(tree, "a.b.c", 1)],
+      ["setOrDefault", (tree) => namespace.setOrDefault(tree, "a.b.c", 1)],
+      ["setOverwrite", (tree) => namespace.setOverwrite(tree, "a.b.c", 1)],
+      ["setMustExist", (tree) => namespace.setMustExist(tree, "a.b.c", 1)],
+      ["namespace",    (tree) => namespace(tree, "a.b.c")],
+    ]) {
+      const error = caught(() => write({ a: { b: "text" } }));
+      assert.ok(error instanceof namespace.NonObjectIntermediateError, verb);
+      assert.deepEqual([error.verb, error.failedSegment, error.segmentIndex, error.valueType], [verb, "b", 1, "string"]);
+    }
   });
-});
 
-// ── build-forward response pattern ───────────────────────────────────────────
+  it("setMustExist → PathNotFoundError when the slot is simply absent", () => {
+    const error = caught(() => namespace.setMustExist({ a: {} }, "a.b.c", 1));
+    assert.ok(error instanceof namespace.PathNotFoundError);
+    assert.deepEqual([error.failedSegment, error.segmentIndex], ["b", 1]);
+  });
 
-describe("build-forward response pattern", () => {
-  it("statusCode position tracks fault correctly", () => {
-    function handleRequest(request) {
-      const responseBody = { success: false, statusCode: 400 };
+  it("rmMustExist → PathNotFoundError", () => {
+    const error = caught(() => namespace.rmMustExist({ a: {} }, ["a", "b"]));
+    assert.ok(error instanceof namespace.PathNotFoundError);
+    assert.deepEqual([error.verb, error.failedSegment, error.segmentIndex], ["rmMustExist", "b", 1]);
+  });
 
-      const entryText = namespace.getIfExists(request, "body.entryText");
-      if (namespace.isNotFound(entryText)) {
-        responseBody.errorMessage = "entryText";
-        return responseBody;
-      }
+  it("batch.* report the batch verb", () => {
+    const tree = { a: 1 };
+    assert.equal(caught(() => namespace.batch.allMustExist(tree, ["a", "b"])).verb, "batch.allMustExist");
+    assert.equal(caught(() => namespace.batch.destructureMustExist(tree, { b: "b" })).verb, "batch.destructureMustExist");
+    const error = caught(() => namespace.batch.extractMustExist(tree, "b"));
+    assert.ok(error instanceof namespace.PathNotFoundError);
+    assert.equal(error.verb, "batch.extractMustExist");
+  });
 
-      responseBody.statusCode = 500;
-      try {
-        if (request.body.__forceFailure) throw new Error("forced failure");
-        namespace.setNotExists(responseBody, "results.entry", { id: 1, entryText });
-        responseBody.statusCode = 200;
-        responseBody.success    = true;
-      } catch (error) {
-        responseBody.errorMessage = error.message;
-      }
-      return responseBody;
-    }
+  it("graftComplement reports itself", () => {
+    const vennData = namespace.venn({ a: { b: 1 } }, { a: {} });
+    const error = caught(() => namespace.graftComplement({ a: 5 }, vennData));
+    assert.ok(error instanceof namespace.NonObjectIntermediateError);
+    assert.equal(error.verb, "graftComplement");
+    assert.ok(caught(() => namespace.graftComplement(null, {})) instanceof namespace.InvalidArgumentError);
+  });
 
-    assert.equal(handleRequest({ body: { entryText: "hello" } }).statusCode, 200);
-    assert.equal(handleRequest({ body: {} }).statusCode, 400);
-    assert.equal(handleRequest({ body: { entryText: "hi", __forceFailure: true } }).statusCode, 500);
+  it("index, container, root and path failures have their own classes", () => {
+    assert.ok(caught(() => namespace.setOverwrite({ items: [] }, "items.-1", 1)) instanceof namespace.IndexOutOfRangeError);
+    assert.ok(caught(() => namespace.setOverwrite({ tags: new Set() }, "tags.x", 1)) instanceof namespace.ContainerWriteError);
+    const rootError = caught(() => namespace.getIfExists(null, "a"));
+    assert.ok(rootError instanceof namespace.InvalidArgumentError);
+    assert.deepEqual([rootError.verb, rootError.valueType], ["getIfExists", "null"]);
+    const pathError = caught(() => namespace.getMustExist({}, 'a["b'));
+    assert.ok(pathError instanceof namespace.InvalidPathError);
+    assert.equal(pathError.verb, "getMustExist");
+    assert.ok(caught(() => namespace.setOverwrite({}, null, 1)) instanceof namespace.InvalidPathError);
   });
 });
 
-// ── handler preamble pattern ──────────────────────────────────────────────────
+describe("did-you-mean diagnostics", () => {
+  function makeTree() {
+    return { users: { alice: { entries: [1] }, bob: {}, carol: {} }, count: 3 };
+  }
 
-describe("handler preamble pattern", () => {
-  it("getMustExist locates the failure precisely", () => {
-    const context = { config: { db: { url: "postgres://localhost" } } };
-    const context_bad = { config: {} };
+  function caught(fn) {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    assert.fail("should have thrown");
+  }
 
-    assert.doesNotThrow(() => namespace.getMustExist(context, "config.db.url"));
-    assert.throws(
-      () => namespace.getMustExist(context_bad, "config.db.url"),
-      /config\.db\.url/
-    );
+  it("reports the deepest existing prefix, its keys and close matches", () => {
+    const error = caught(() => namespace.getMustExist(makeTree(), "users.alcie.entries"));
+    assert.deepEqual(error.existingPath, ["users"]);
+    assert.deepEqual(error.availableKeys, ["alice", "bob", "carol"]);
+    assert.deepEqual(error.suggestions, ["users.alice.entries"]);
+    assert.match(error.message, /deepest existing path: "users"/);
+    assert.match(error.message, /available keys: "alice", "bob", "carol"/);
+    assert.match(error.message, /did you mean "users\.alice\.entries"\?/);
   });
-});
 
-// ── namespace.path ────────────────────────────────────────────────────────────
+  it("matches case slips and offers nothing when no key is close", () => {
+    assert.deepEqual(caught(() => namespace.getMustExist(makeTree(), "Users")).suggestions, ["users"]);
+    const error = caught(() => namespace.getMustExist(makeTree(), "users.zed"));
+    assert.deepEqual(error.suggestions, []);
+    assert.doesNotMatch(error.message, /did you mean/);
+  });
 
-describe("namespace.path.join()", () => {
-  it("joins string parts with dots", () => {
-    assert.equal(namespace.path.join("a", "b", "c"), "a.b.c");
+  it("names a primitive or array in the way instead of listing keys", () => {
+    assert.match(caught(() => namespace.getMustExist(makeTree(), "count.value")).message, /deepest existing path: "count" holds a number/);
+    assert.match(caught(() => namespace.getMustExist(makeTree(), "users.alice.entries.4")).message, /holds an array of length 1/);
+    assert.match(caught(() => namespace.getMustExist({}, "a")).message, /deepest existing path: \(root\) is empty/);
   });
 
-  it("flattens dotted strings — partial paths compose cleanly", () => {
-    assert.equal(namespace.path.join("a.b", "c"), "a.b.c");
+  it("caps the listed keys", () => {
+    const wide = {};
+    for (let keyIndex = 0; keyIndex < 30; keyIndex++) wide["key" + keyIndex] = keyIndex;
+    const error = caught(() => namespace.getMustExist(wide, "missing"));
+    assert.equal(error.availableKeys.length, 20);
+    assert.match(error.message, /… 10 more/);
   });
 
-  it("flattens arrays", () => {
-    assert.equal(namespace.path.join("a", ["b", "c"]), "a.b.c");
+  it("setMustExist, rmMustExist and batch verbs carry the same diagnostics", () => {
+    assert.deepEqual(caught(() => namespace.setMustExist(makeTree(), "users.bobb", 1)).suggestions, ["users.bob"]);
+    assert.deepEqual(caught(() => namespace.rmMustExist(makeTree(), "users.carl")).suggestions, ["users.carol"]);
+    assert.deepEqual(caught(() => namespace.batch.allMustExist(makeTree(), ["user"])).suggestions, ["users"]);
   });
 
-  it("handles mixed arrays and dotted strings", () => {
-    assert.equal(namespace.path.join("a.b", ["c", "d"], "e"), "a.b.c.d.e");
+  it("a caller's own errorMessage gets no tree keys", () => {
+    const error = caught(() => namespace.getMustExist(makeTree(), "users.alcie", { errorMessage: "user is required" }));
+    assert.equal(error.message, "user is required");
+    assert.deepEqual(error.suggestions, ["users.alice"]);
   });
 
-  it("primary use case — build a path from domain constants and runtime values", () => {
-    const users_namespace = "users";
-    const userId_value    = "alice";
-    assert.equal(namespace.path.join(users_namespace, userId_value, "entries"), "users.alice.entries");
+  it("errorContext shows the local subtree rather than the root", () => {
+    namespace.configure({ errorContext: true });
+    try {
+      const error = caught(() => namespace.getMustExist(makeTree(), "users.dave"));
+      assert.match(error.message, /object: \{"alice":\{"entries":\[1\]\},"bob":\{\},"carol":\{\}\}/);
+    } finally {
+      namespace.configure({ errorContext: false });
+    }
   });
 
-  it("returns empty string for no parts", () => {
-    assert.equal(namespace.path.join(), "");
+  it("the Node entry appends a util.inspect excerpt of the local subtree", () => {
+    const nodeNamespace = require("../src/node.js");
+    const error = caught(() => nodeNamespace.getMustExist({ users: { alice: { tags: new Set(["a"]) } } }, "users.alice.tag"));
+    assert.ok(error instanceof nodeNamespace.PathNotFoundError);
+    assert.match(error.message, /subtree: \{ tags: Set\(1\) \{ 'a' \} \}/);
+    assert.deepEqual(error.suggestions, ["users.alice.tags"]);
   });
 });
 
-describe("namespace.path.joinSlash()", () => {
-  it("joins parts with slashes", () => {
-    assert.equal(namespace.path.joinSlash("a", "b", "c"), "a/b/c");
+describe("redaction", () => {
+  function makeTree() {
+    return {
+      config: { db: { host: "db.local", password: "hunter2" } },
+      github: { token: "ghp_secret", user: "octo" },
+      users: [{ name: "alice", session: { token: "s-1" } }],
+    };
+  }
+
+  function caught(fn) {
+    try { fn(); } catch (error) { return error; }
+    assert.fail("expected a throw");
+  }
+
+  function withRedaction(target, fn) {
+    target.configure({ errorContext: true, redact: ["config.db.password", "*.token", "**.session"] });
+    try { fn(); } finally { target.configure({ errorContext: false, redact: [] }); }
+  }
+
+  it("masks matching values in the errorContext excerpt", () => {
+    withRedaction(namespace, () => {
+      const error = caught(() => namespace.setMustExist(makeTree(), "missing", 1));
+      assert.match(error.message, /"password":"\[redacted\]"/);
+      assert.match(error.message, /"token":"\[redacted\]"/);
+      assert.doesNotMatch(error.message, /hunter2|ghp_secret/);
+      assert.match(error.message, /"host":"db\.local"/);
+    });
   });
 
-  it("flattens slash-separated strings", () => {
-    assert.equal(namespace.path.joinSlash("a/b", "c"), "a/b/c");
+  it("matches patterns against the full path when the excerpt is a subtree", () => {
+    withRedaction(namespace, () => {
+      const error = caught(() => namespace.getMustExist(makeTree(), "config.db.port"));
+      assert.match(error.message, /object: \{"host":"db\.local","password":"\[redacted\]"\}/);
+      const sessionError = caught(() => namespace.getMustExist(makeTree(), "users.0.session.id"));
+      assert.match(sessionError.message, /object: "\[redacted\]"/);
+    });
   });
-});
 
-describe("namespace.path.split()", () => {
-  it("splits a dotted path into segments", () => {
-    assert.deepEqual(namespace.path.split("a.b.c"), ["a", "b", "c"]);
+  it("masks the Node entry's util.inspect excerpt", () => {
+    const nodeNamespace = require("../src/node.js");
+    withRedaction(nodeNamespace, () => {
+      const error = caught(() => nodeNamespace.getMustExist(makeTree(), "config.db.user"));
+      assert.match(error.message, /subtree: \{ host: 'db\.local', password: '\[redacted\]' \}/);
+      assert.doesNotMatch(error.message, /hunter2/);
+    });
   });
 
-  it("single segment returns a one-element array", () => {
-    assert.deepEqual(namespace.path.split("a"), ["a"]);
+  it("redact() copies only what it masks and leaves the tree alone", () => {
+    withRedaction(namespace, () => {
+      const tree = makeTree();
+      const shown = namespace.redact(tree);
+      assert.equal(shown.config.db.password, namespace.REDACTED);
+      assert.equal(shown.users[0].session, namespace.REDACTED);
+      assert.ok(Array.isArray(shown.users));
+      assert.equal(tree.config.db.password, "hunter2");
+      assert.equal(namespace.redact(tree.config.db, "config.db").password, "[redacted]");
+      const clean = { a: { b: 1 } };
+      assert.equal(namespace.redact(clean), clean);
+    });
   });
 
-  it("throws for non-string input", () => {
-    assert.throws(() => namespace.path.split(42), /must be a string/);
+  it("keeps Maps as Maps and cuts cycles back into a masked tree", () => {
+    withRedaction(namespace, () => {
+      const tree = { github: new Map([["token", "ghp_secret"], ["user", "octo"]]) };
+      tree.github.set("self", tree);
+      const shown = namespace.redact(tree);
+      assert.ok(shown.github instanceof Map);
+      assert.equal(shown.github.get("token"), "[redacted]");
+      assert.equal(shown.github.get("self"), "[Circular]");
+    });
   });
-});
 
-describe("namespace.path.isRootOf()", () => {
-  it("returns true when root is a proper prefix at a segment boundary", () => {
-    assert.equal(namespace.path.isRootOf("users.alice", "users.alice.entries"), true);
+  it("flatten and venn mask values only with { redact: true }", () => {
+    withRedaction(namespace, () => {
+      assert.equal(namespace.flatten(makeTree())["config.db.password"], "hunter2");
+      const flat = namespace.flatten(makeTree(), { redact: true });
+      assert.equal(flat["config.db.password"], "[redacted]");
+      assert.equal(flat["github.token"], "[redacted]");
+      assert.equal(flat["config.db.host"], "db.local");
+      assert.deepEqual(flat.users, [{ name: "alice", session: "[redacted]" }]);
+
+      const changed = makeTree();
+      changed.config.db.password = "hunter3";
+      const diff = namespace.venn(makeTree(), changed, { compareValues: true, redact: true });
+      assert.deepEqual(diff.changedValues_list, [{ path: "config.db.password", one: "[redacted]", two: "[redacted]" }]);
+      const complement = namespace.venn(makeTree(), {}, { redact: true }).complementOfTwo;
+      assert.equal(complement.github.token, "[redacted]");
+      assert.equal(complement.github.user, "octo");
+    });
   });
 
-  it("returns true for an exact match", () => {
-    assert.equal(namespace.path.isRootOf("users.alice", "users.alice"), true);
+  it("configure rejects a redact value that is not an array of paths", () => {
+    assert.throws(() => namespace.configure({ redact: "config.db.password" }), namespace.InvalidArgumentError);
+    assert.throws(() => namespace.configure({ redact: ["a\\"] }), { code: "INVALID_PATH", verb: "configure" });
   });
+});
 
-  it("returns false when the match is not at a segment boundary", () => {
-    assert.equal(namespace.path.isRootOf("users.alice", "users.alicex"), false);
+describe("namespace.create()", () => {
+  function caught(fn) {
+    try { fn(); } catch (error) { return error; }
+    assert.fail("expected a throw");
+  }
+
+  it("an instance's configure() leaves the default export alone, and back", () => {
+    const loud = namespace.create({ errorContext: true });
+    assert.match(caught(() => loud.getMustExist({ a: 1 }, "b")).message, /object: \{"a":1\}/);
+    assert.doesNotMatch(caught(() => namespace.getMustExist({ a: 1 }, "b")).message, /object:/);
+
+    namespace.configure({ pathFormat: "pointer" });
+    try {
+      assert.match(caught(() => loud.getMustExist({}, "a.b")).message, /"a\.b"/);
+    } finally {
+      namespace.configure({ pathFormat: "dotted" });
+    }
   });
 
-  it("returns false for an unrelated path", () => {
-    assert.equal(namespace.path.isRootOf("users.alice", "users.bob.entries"), false);
+  it("instances are independent of each other", () => {
+    const first = namespace.create();
+    const second = namespace.create();
+    first.configure({ errorContext: true, redact: ["secret"] });
+    assert.match(caught(() => first.setNotExists({ secret: "s" }, "secret", 1)).message, /\[redacted\]/);
+    assert.doesNotMatch(caught(() => second.setNotExists({ secret: "s" }, "secret", 1)).message, /object:/);
+  });
+
+  it("the adapter registry is per instance", () => {
+    class Box { constructor() { this.inner = new Map(); } }
+    const boxAdapter = {
+      has: (box, key) => box.inner.has(key),
+      get: (box, key) => box.inner.get(key),
+      set: (box, key, value) => box.inner.set(key, value),
+      keys: (box) => box.inner.keys(),
+    };
+    const boxed = namespace.create();
+    boxed.adapters.register((container) => container instanceof Box, boxAdapter);
+    const tree = { box: new Box() };
+    boxed.setNotExists(tree, "box.a", 1);
+    assert.equal(tree.box.inner.get("a"), 1);
+    assert.equal(boxed.getIfExists(tree, "box.a"), 1);
+    assert.equal(namespace.adapters.find(tree.box), undefined);
+    assert.equal(namespace.getIfExists(tree, "box.a"), namespace.NotFound);
+  });
+
+  it("sub-namespaces, compiled paths and the bare call use the instance config", () => {
+    const loud = namespace.create({ errorContext: true });
+    assert.match(caught(() => loud.batch.allMustExist({ a: 1 }, ["b"])).message, /object:/);
+    assert.match(caught(() => loud.pattern.setNotExistsEach({ a: { x: { b: 1 } } }, "a.*.b", 2)).message, /object:/);
+    assert.match(caught(() => loud.compile("b").getMustExist({ a: 1 })).message, /object:/);
+    assert.match(caught(() => loud({ a: 1 }, "a.b")).message, /object:/);
+    assert.ok(Object.isFrozen(loud.compile("b")));
+    assert.doesNotMatch(caught(() => namespace.compile("b").getMustExist({ a: 1 })).message, /object:/);
+  });
+
+  it("an async verb keeps the instance config across its await", async () => {
+    const loud = namespace.create({ errorContext: true });
+    await assert.rejects(
+      loud.setOrDefault.asyncFunc({ a: 5 }, "a.b", async () => 1),
+      (error) => error instanceof namespace.NonObjectIntermediateError && /object:/.test(error.message)
+    );
   });
 
-  it("single-segment root", () => {
-    assert.equal(namespace.path.isRootOf("users", "users.alice.entries"), true);
-    assert.equal(namespace.path.isRootOf("users", "config"), false);
+  it("shares error classes and NotFound with the default export", () => {
+    const instance = namespace.create();
+    assert.ok(caught(() => instance.getMustExist({}, "a")) instanceof namespace.PathNotFoundError);
+    assert.equal(instance.PathNotFoundError, namespace.PathNotFoundError);
+    assert.equal(instance.getIfExists({}, "a"), namespace.NotFound);
+    assert.equal(instance.pattern.ANY, namespace.pattern.ANY);
   });
-});
 
-describe("namespace.path.tween()", () => {
-  it("inserts default 'children' between each segment", () => {
-    assert.equal(namespace.path.tween("a.b.c"), "a.children.b.children.c");
+  it("validates options like configure()", () => {
+    assert.throws(() => namespace.create({ pathFormat: "slashes" }), namespace.InvalidArgumentError);
   });
 
-  it("uses a custom separator when provided", () => {
-    assert.equal(namespace.path.tween("a.b.c", "items"), "a.items.b.items.c");
+  it("the default export keeps its own config inside an instance verb's callback", () => {
+    const trusting = namespace.create({ allowPrototypeKeys: true });
+    assert.throws(
+      () => trusting.updateOrDefault({}, "x", 0, () => namespace.setOverwrite({}, "__proto__.leaked", 1)),
+      namespace.PrototypePollutionError
+    );
+    assert.equal({}.leaked, undefined);
+
+    const loud = namespace.create({ errorContext: true });
+    const error = caught(() => loud.transaction({}, () => namespace.getMustExist({ a: 1 }, "b")));
+    assert.doesNotMatch(error.message, /object:/);
   });
 
-  it("single-segment path passes through unchanged", () => {
-    assert.equal(namespace.path.tween("a"), "a");
+  it("works on the Node entry, which carries its util.inspect excerpt over", () => {
+    const nodeNamespace = require("../src/node.js");
+    const instance = nodeNamespace.create({ redact: ["a.secret"] });
+    const error = caught(() => instance.getMustExist({ a: { secret: "s" } }, "a.x"));
+    assert.ok(error instanceof nodeNamespace.PathNotFoundError);
+    assert.match(error.message, /subtree: \{ secret: '\[redacted\]' \}/);
+    assert.equal(instance.default, undefined);
   });
+});
 
-  it("returns undefined for non-string input", () => {
-    assert.equal(namespace.path.tween(null), undefined);
+describe("namespace.transaction()", () => {
+  function makeContext() {
+    return { config: { mode: "live" }, users: { alice: { entries: [1, 2] } }, tags: new Map([["a", 1]]) };
+  }
+
+  it("returns fn's result and keeps the writes when fn succeeds", () => {
+    const context = makeContext();
+    const result = namespace.transaction(context, (tree) => {
+      namespace.setNotExists(tree, "users.bob.entries", []);
+      return "done";
+    });
+    assert.equal(result, "done");
+    assert.deepEqual(context.users.bob, { entries: [] });
+  });
+
+  it("undoes overwrites, removals and vivified intermediates when fn throws", () => {
+    const context = makeContext();
+    assert.throws(() => namespace.transaction(context, (tree) => {
+      namespace.setOverwrite(tree, "config.mode", "test");
+      namespace.setNotExists(tree, "users.bob.profile.name", "bob");
+      namespace.rm(tree, "users.alice.entries.0");
+      namespace.setNotExists(tree, "users.alice.entries.[]", 3);
+      namespace.rm(tree, "config");
+      namespace.setOverwrite(tree, "tags.a", 2);
+      namespace.setNotExists(tree, "tags.b", 1);
+      throw new Error("halfway");
+    }), { message: "halfway" });
+    assert.deepEqual(context, makeContext());
+  });
+
+  it("refuses adapter writes it could not roll back, keeping the rest of the rollback", () => {
+    class Box { constructor() { this.inner = new Map(); } }
+    const boxAdapter = {
+      has: (box, key) => box.inner.has(key),
+      get: (box, key) => box.inner.get(key),
+      set: (box, key, value) => box.inner.set(key, value),
+    };
+    namespace.adapters.register((container) => container instanceof Box, boxAdapter);
+    try {
+      const tree = { box: new Box(), a: 1 };
+      tree.box.inner.set("old", 0);
+      assert.throws(() => namespace.transaction(tree, () => {
+        namespace.setOverwrite(tree, "a", 2);
+        namespace.setOverwrite(tree, "box.old", 1);
+        namespace.setNotExists(tree, "box.k", 1);
+      }), (error) => error instanceof namespace.ContainerWriteError && /inside a transaction — its adapter has no delete\(\)/.test(error.message));
+      assert.equal(tree.a, 1);
+      assert.deepEqual([...tree.box.inner], [["old", 0]]);
+      namespace.setNotExists(tree, "box.k", 1);
+      assert.equal(tree.box.inner.get("k"), 1);
+    } finally {
+      namespace.adapters.unregister(boxAdapter);
+    }
+  });
+
+  it("leaves mutations of other trees and direct assignments alone", () => {
+    const context = makeContext();
+    const other = {};
+    assert.throws(() => namespace.transaction(context, (tree) => {
+      namespace.setNotExists(other, "a", 1);
+      namespace.getMustExist(tree, "users.alice.entries").push(3);
+      throw new Error("boom");
+    }));
+    assert.deepEqual(other, { a: 1 });
+    assert.deepEqual(context.users.alice.entries, [1, 2, 3]);
+  });
+
+  it("covers pattern verbs, compiled paths and the bare call", () => {
+    const context = makeContext();
+    assert.throws(() => namespace.transaction(context, (tree) => {
+      namespace.pattern.setOverwriteEach(tree, "users.*.active", true);
+      namespace.compile("config.region").setNotExists(tree, "eu");
+      namespace(tree, "sessions.current");
+      throw new Error("boom");
+    }));
+    assert.deepEqual(context, makeContext());
+  });
+
+  it("a nested transaction rolls back alone, or with the enclosing one", () => {
+    const context = makeContext();
+    namespace.transaction(context, (tree) => {
+      namespace.setNotExists(tree, "outer", 1);
+      assert.throws(() => namespace.transaction(tree, (inner) => {
+        namespace.setNotExists(inner, "inner", 1);
+        throw new Error("inner");
+      }));
+      assert.equal(namespace.exists(tree, "inner"), false);
+    });
+    assert.equal(context.outer, 1);
+
+    assert.throws(() => namespace.transaction(context, (tree) => {
+      namespace.transaction(tree, (inner) => namespace.setOverwrite(inner, "outer", 2));
+      throw new Error("outer");
+    }));
+    assert.equal(context.outer, 1);
+  });
+
+  it("asyncFunc rolls back when fn rejects", async () => {
+    const context = makeContext();
+    await assert.rejects(namespace.transaction.asyncFunc(context, async (tree) => {
+      namespace.setOverwrite(tree, "config.mode", "test");
+      await Promise.resolve();
+      namespace.setNotExists(tree, "users.bob", {});
+      throw new Error("late");
+    }), { message: "late" });
+    assert.deepEqual(context, makeContext());
+    assert.equal(await namespace.transaction.asyncFunc(context, async () => 7), 7);
+  });
+
+  it("asyncFunc refuses to overlap another transaction on the same tree", async () => {
+    const context = makeContext();
+    let release;
+    const first = namespace.transaction.asyncFunc(context, async (tree) => {
+      namespace.setOverwrite(tree, "config.mode", "first");
+      await new Promise((resolve) => { release = resolve; });
+      throw new Error("first fails");
+    });
+    await assert.rejects(namespace.transaction.asyncFunc(context, async () => "second"), namespace.InvalidArgumentError);
+    assert.equal(await namespace.transaction.asyncFunc({}, async () => "other tree"), "other tree");
+    release();
+    await assert.rejects(first, { message: "first fails" });
+    assert.deepEqual(context, makeContext());
+    assert.equal(await namespace.transaction.asyncFunc(context, async () => "after"), "after");
+  });
+
+  it("refuses an async fn in the sync variant and bad arguments", () => {
+    const context = makeContext();
+    assert.throws(() => namespace.transaction(context, async (tree) => {
+      namespace.setOverwrite(tree, "config.mode", "test");
+    }), (error) => error instanceof namespace.InvalidArgumentError && /asyncFunc/.test(error.message));
+    assert.equal(context.config.mode, "live");
+    assert.throws(() => namespace.transaction(null, () => {}), { verb: "transaction" });
+    assert.throws(() => namespace.transaction(context, "fn"), namespace.InvalidArgumentError);
   });
 });
 
-// ── namespace.batch ───────────────────────────────────────────────────────────
+describe("namespace.fork()", () => {
+  function makeTree() {
+    return {
+      config: { mode: "live", hosts: ["a", "b"] },
+      users: { alice: { visits: 1 } },
+      flags: new Map([["beta", { on: false }]]),
+    };
+  }
+
+  it("keeps writes and removals local while reads fall through", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    namespace.setOverwrite(draft, "config.mode", "test");
+    namespace.setNotExists(draft, "users.bob.visits", 0);
+    namespace.rm(draft, "users.alice");
+    namespace.rm(draft, "config.hosts.0");
+    namespace.setNotExists(draft, "config.hosts.[]", "c");
+    namespace.setOverwrite(draft, "flags.beta.on", true);
+
+    assert.deepEqual(tree, makeTree());
+    assert.equal(namespace.getMustExist(draft, "config.mode"), "test");
+    assert.deepEqual(namespace.getMustExist(draft, "users"), { bob: { visits: 0 } });
+    assert.ok(Array.isArray(draft.config.hosts));
+    assert.deepEqual(draft.config.hosts, ["b", "c"]);
+    assert.equal(draft.flags.get("beta").on, true);
+    assert.throws(() => namespace.getMustExist(draft, "users.alice"), namespace.PathNotFoundError);
+  });
+
+  it("sees changes made to the tree until the draft writes that container", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    tree.users.alice.visits = 2;
+    assert.equal(namespace.getMustExist(draft, "users.alice.visits"), 2);
+    namespace.setOverwrite(draft, "users.alice.visits", 3);
+    tree.users.alice.visits = 4;
+    assert.equal(namespace.getMustExist(draft, "users.alice.visits"), 3);
+  });
+
+  it("venn reports the pending changes", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    assert.equal(namespace.venn(tree, draft), undefined);
+    namespace.setOverwrite(draft, "config.mode", "test");
+    namespace.setNotExists(draft, "users.bob", {});
+    const diff = namespace.venn(tree, draft, { compareValues: true });
+    assert.deepEqual(diff.inTwoNotOne, ["users.bob"]);
+    assert.deepEqual(diff.changedValues_list, [{ path: "config.mode", one: "live", two: "test" }]);
+  });
+
+  it("commit applies the draft to the tree in place", () => {
+    const tree = makeTree();
+    const { users, config } = tree;
+    const draft = namespace.fork(tree);
+    namespace.setNotExists(draft, "users.bob.visits", 0);
+    namespace.rm(draft, "users.alice");
+    namespace.rm(draft, "config.hosts.0");
+    namespace.setOverwrite(draft, "flags.beta.on", true);
+    assert.equal(namespace.fork.commit(draft), tree);
+
+    assert.equal(tree.users, users);
+    assert.equal(tree.config, config);
+    assert.deepEqual(tree.users, { bob: { visits: 0 } });
+    assert.deepEqual(tree.config.hosts, ["b"]);
+    assert.equal(tree.flags.get("beta").on, true);
+    assert.equal(namespace.venn(tree, draft), undefined);
+  });
+
+  it("discard drops the draft's changes and the draft stays usable", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    namespace.setOverwrite(draft, "config.mode", "test");
+    namespace.fork.discard(draft);
+    assert.equal(namespace.getMustExist(draft, "config.mode"), "live");
+    namespace.setOverwrite(draft, "config.mode", "staging");
+    namespace.fork.commit(draft);
+    assert.equal(tree.config.mode, "staging");
+  });
+
+  it("a subtree moved within the draft lands as the original on commit", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    namespace.setNotExists(draft, "archive.alice", namespace.getMustExist(draft, "users.alice"));
+    namespace.rm(draft, "users.alice");
+    namespace.fork.commit(draft);
+    assert.deepEqual(tree.archive, { alice: { visits: 1 } });
+    assert.ok(!namespace.exists(tree, "users.alice"));
+  });
+
+  it("commits a Map or Set only once the draft writes it", () => {
+    const tree = makeTree();
+    tree.tags = new Set(["a"]);
+    const draft = namespace.fork(tree);
+    assert.equal(namespace.getMustExist(draft, "flags.beta.on"), false);
+    assert.ok(namespace.exists(draft, "tags.a"));
+    tree.flags.set("gamma", { on: true });
+    tree.tags.add("b");
+    namespace.setOverwrite(draft, "config.mode", "test");
+    namespace.fork.commit(draft);
+    assert.deepEqual(Array.from(tree.flags.keys()), ["beta", "gamma"]);
+    assert.deepEqual(Array.from(tree.tags), ["a", "b"]);
+    namespace.setNotExists(draft, "flags.delta", { on: false });
+    namespace.fork.commit(draft);
+    assert.deepEqual(Array.from(tree.flags.keys()), ["beta", "gamma", "delta"]);
+  });
+
+  it("refuses writes through a view read before commit or discard", () => {
+    const tree = makeTree();
+    const draft = namespace.fork(tree);
+    const config = draft.config;
+    const flags = draft.flags;
+    namespace.fork.commit(draft);
+    assert.throws(() => { config.mode = "test"; }, { code: "CONTAINER_WRITE", verb: "fork" });
+    assert.throws(() => namespace.setOverwrite(config, "mode", "test"), namespace.ContainerWriteError);
+    assert.throws(() => flags.set("gamma", {}), namespace.ContainerWriteError);
+    assert.equal(config.mode, "live");
+    const hosts = draft.config.hosts;
+    namespace.fork.discard(draft);
+    assert.throws(() => namespace.rm(hosts, "0"), namespace.ContainerWriteError);
+    assert.deepEqual(tree.config.hosts, ["a", "b"]);
+    namespace.setOverwrite(draft, "config.mode", "test");
+    assert.equal(namespace.getMustExist(draft, "config.mode"), "test");
+  });
+
+  it("refuses writes into containers the draft shares with the tree", () => {
+    class Service { constructor() { this.state = "idle"; this.jobs = ["a"]; } }
+    const base = { svc: new Service() };
+    const draft = namespace.fork(base);
+    assert.throws(
+      () => namespace.setOverwrite(draft, "svc.state", "busy"),
+      { code: "CONTAINER_WRITE", verb: "setOverwrite", message: /cannot write "state" into a Service on path "svc\.state" through a fork/ }
+    );
+    assert.throws(() => namespace.rm(draft, "svc.state"), { code: "CONTAINER_WRITE", verb: "rm" });
+    assert.throws(() => namespace.appendMustExist(draft, "svc.jobs", "b"), { code: "CONTAINER_WRITE", verb: "appendMustExist" });
+    assert.throws(() => namespace.rmWhere(draft, "svc.jobs", () => true), { code: "CONTAINER_WRITE", verb: "rmWhere" });
+    namespace.fork.discard(draft);
+    assert.equal(base.svc.state, "idle");
+    assert.deepEqual(base.svc.jobs, ["a"]);
+    namespace.setOverwrite(draft, "svc", "replaced");
+    assert.equal(base.svc.state, "idle");
+  });
+
+  it("writes into containers the draft created itself", () => {
+    const base = { flags: new Map() };
+    const draft = namespace.fork(base);
+    namespace.setNotExists(draft, "users.bob.visits", 1);
+    namespace.setOverwrite(draft, "flags.gamma", {});
+    namespace.setOverwrite(draft, "flags.gamma.on", true);
+    assert.deepEqual(base, { flags: new Map() });
+    namespace.fork.commit(draft);
+    assert.deepEqual(base, { flags: new Map([["gamma", { on: true }]]), users: { bob: { visits: 1 } } });
+  });
+
+  it("rejects what it cannot overlay", () => {
+    assert.throws(() => namespace.fork(new Map()), { verb: "fork", code: "INVALID_ARGUMENT" });
+    assert.throws(() => namespace.fork.commit({}), { verb: "fork.commit" });
+    assert.throws(() => namespace.fork.discard(null), namespace.InvalidArgumentError);
+  });
+});
 
 describe("namespace.batch.destructureMustExist()", () => {
   it("returns a plain object mapping local keys to tree values", () => {
@@ -793,6 +2664,64 @@ describe("namespace.batch.destructureMustExist()", () => {
     assert.equal(config_node.version, 2);
     assert.deepEqual(userEntries_node, []);
   });
+
+  it("reportAll: one BatchError lists every missing path with its local key", () => {
+    const request = { body: { entryText: "hi" }, user: {} };
+    let error;
+    try {
+      namespace.batch.destructureMustExist(request, {
+        entryText_value:    "body.entryText",
+        timezoneData_value: "body.timezoneData",
+        userId_value:       "user.id",
+      }, { reportAll: true });
+    } catch (caughtError) {
+      error = caughtError;
+    }
+    assert.ok(error instanceof namespace.BatchError);
+    assert.equal(error.verb, "batch.destructureMustExist");
+    assert.deepEqual(
+      error.failures.map(({ key, path }) => [key, path]),
+      [["timezoneData_value", "body.timezoneData"], ["userId_value", "user.id"]]
+    );
+    assert.ok(error.failures.every((failure) => failure.error instanceof namespace.PathNotFoundError));
+    assert.match(error.message, /2 of 3 paths failed\n  timezoneData_value: .*"body\.timezoneData"\n  userId_value: .*"user\.id"$/);
+  });
+
+  it("orDefault entries are optional and take their stand-in", () => {
+    const request = { body: { entryText: "hi", moodLevel: 0 }, user: { id: "alice" } };
+    let computed = 0;
+    const result_node = namespace.batch.destructureMustExist(request, {
+      entryText_value:   "body.entryText",
+      userId_value:      ["user", "id"],
+      moodLevel_value:   namespace.batch.orDefault("body.moodLevel", null),
+      energyLevel_value: namespace.batch.orDefault("body.energyLevel", null),
+      requestId_value:   namespace.batch.orDefault.syncFunc("body.requestId", () => ++computed),
+      locale_value:      namespace.batch.orDefault.syncFunc("body.entryText", () => ++computed),
+    });
+    assert.deepEqual(result_node, {
+      entryText_value: "hi", userId_value: "alice", moodLevel_value: 0,
+      energyLevel_value: null, requestId_value: 1, locale_value: "hi",
+    });
+    assert.equal(computed, 1, "fn runs only for an absent path");
+  });
+
+  it("optional entries never fail, required ones still do", () => {
+    assert.throws(
+      () => namespace.batch.destructureMustExist({}, {
+        mood_value: namespace.batch.orDefault("body.mood", null),
+        text_value: "body.text",
+      }, { reportAll: true }),
+      (error) => error.failures.length === 1 && error.failures[0].key === "text_value"
+    );
+    assert.throws(() => namespace.batch.orDefault(42, null), { code: "INVALID_PATH", verb: "batch.orDefault" });
+    assert.throws(() => namespace.batch.orDefault.syncFunc("a", null), { code: "INVALID_ARGUMENT" });
+    assert.ok(Object.isFrozen(namespace.batch.orDefault("a", 1)));
+  });
+
+  it("reportAll returns the values as usual when nothing is missing", () => {
+    const result_node = namespace.batch.destructureMustExist({ a: 1 }, { a_value: "a" }, { reportAll: true });
+    assert.deepEqual(result_node, { a_value: 1 });
+  });
 });
 
 describe("namespace.batch.allMustExist()", () => {
@@ -807,10 +2736,26 @@ describe("namespace.batch.allMustExist()", () => {
     assert.throws(() => namespace.batch.allMustExist(obj, ["a", "b"]), /getMustExist/);
   });
 
+  it("keys a batch.orDefault entry by its path", () => {
+    const obj = { a: { b: 1 } };
+    assert.deepEqual(
+      namespace.batch.allMustExist(obj, ["a.b", namespace.batch.orDefault("c.d", 0), namespace.batch.orDefault(["c", "e"], 2)]),
+      { "a.b": 1, "c.d": 0, "c.e": 2 }
+    );
+  });
+
   it("works with a single-path list", () => {
     const obj = { x: 42 };
     assert.deepEqual(namespace.batch.allMustExist(obj, ["x"]), { x: 42 });
   });
+
+  it("reportAll lists every missing path, keyed by the path", () => {
+    assert.throws(
+      () => namespace.batch.allMustExist({ a: 1 }, ["a", "b", ["c", "d"]], { reportAll: true }),
+      (error) => error.code === "BATCH_FAILED" &&
+        JSON.stringify(error.failures.map((failure) => failure.key)) === JSON.stringify(["b", "c.d"])
+    );
+  });
 });
 
 describe("namespace.batch.extractMustExist()", () => {
@@ -843,6 +2788,77 @@ describe("namespace.batch.extractMustExist()", () => {
   });
 });
 
+describe("namespace.batch.setNotExistsAll() / setMustExistAll()", () => {
+  function caught(fn) {
+    try { fn(); } catch (error) { return error; }
+    assert.fail("expected a throw");
+  }
+
+  it("an adapter write that could not be rolled back fails the batch, with nothing written", () => {
+    class Box { constructor() { this.inner = new Map(); } }
+    const boxAdapter = {
+      has: (box, key) => box.inner.has(key),
+      get: (box, key) => box.inner.get(key),
+      set: (box, key, value) => box.inner.set(key, value),
+    };
+    namespace.adapters.register((container) => container instanceof Box, boxAdapter);
+    try {
+      const context = { box: new Box(), a: 1 };
+      const error = caught(() => namespace.batch.setNotExistsAll(context, { b: 2, "box.k": 1 }));
+      assert.ok(error instanceof namespace.BatchError);
+      assert.deepEqual(error.failures.map((failure) => [failure.key, failure.error.name]), [["box.k", "ContainerWriteError"]]);
+      assert.deepEqual(Object.keys(context), ["box", "a"]);
+      assert.equal(context.box.inner.size, 0);
+    } finally {
+      namespace.adapters.unregister(boxAdapter);
+    }
+  });
+
+  it("writes every entry when every contract holds", () => {
+    const context = { users: {} };
+    namespace.batch.setNotExistsAll(context, { "config.mode": "live", "users.alice.entries": [] });
+    assert.deepEqual(context, { users: { alice: { entries: [] } }, config: { mode: "live" } });
+    namespace.batch.setMustExistAll(context, { "config.mode": "test", "users.alice.entries": [1] });
+    assert.deepEqual(context, { users: { alice: { entries: [1] } }, config: { mode: "test" } });
+  });
+
+  it("writes nothing and lists every violating path when any contract fails", () => {
+    const context = { config: { mode: "live" }, count: 3 };
+    const error = caught(() => namespace.batch.setNotExistsAll(context, {
+      "users.alice": {},
+      "config.mode": "test",
+      "count.value": 1,
+      "config.region": "eu",
+    }));
+    assert.deepEqual(context, { config: { mode: "live" }, count: 3 });
+    assert.ok(error instanceof namespace.BatchError);
+    assert.equal(error.code, "BATCH_FAILED");
+    assert.equal(error.verb, "batch.setNotExistsAll");
+    assert.deepEqual(error.failures.map((failure) => failure.path), ["config.mode", "count.value"]);
+    assert.ok(error.failures[0].error instanceof namespace.PathOccupiedError);
+    assert.ok(error.failures[1].error instanceof namespace.NonObjectIntermediateError);
+    assert.match(error.message, /2 of 4 writes failed — nothing was written/);
+    assert.match(error.message, /\n  config\.mode: namespace\.set: cannot overwrite/);
+  });
+
+  it("later entries see earlier ones", () => {
+    const error = caught(() => namespace.batch.setNotExistsAll({}, { a: 1, "a.b": 2 }));
+    assert.deepEqual(error.failures.map((failure) => failure.key), ["a.b"]);
+  });
+
+  it("setMustExistAll reports every absent path", () => {
+    const context = { config: { mode: "live" } };
+    const error = caught(() => namespace.batch.setMustExistAll(context, { "config.mode": "test", "config.region": "eu", "users.alice": {} }));
+    assert.equal(context.config.mode, "live");
+    assert.deepEqual(error.failures.map((failure) => failure.error.code), ["PATH_NOT_FOUND", "PATH_NOT_FOUND"]);
+  });
+
+  it("rejects values that are not an object of paths", () => {
+    assert.throws(() => namespace.batch.setNotExistsAll({}, null), { code: "INVALID_ARGUMENT", verb: "batch.setNotExistsAll" });
+    assert.throws(() => namespace.batch.setMustExistAll(null, { a: 1 }), { code: "INVALID_ARGUMENT", verb: "batch.setMustExistAll" });
+  });
+});
+
 // ── namespace.configure ───────────────────────────────────────────────────────
 
 describe("namespace.configure()", () => {
@@ -924,11 +2940,16 @@ describe("namespace.configure()", () => {
 
 describe("namespace exports", () => {
   const verbs = [
-    "configure",
+    "configure", "create",
     "getIfExists", "getMustExist", "getMustEmpty", "getOrDefault",
     "setNotExists", "setMustExist", "setOrDefault", "setOverwrite",
+    "updateMustExist", "updateOrDefault",
+    "appendOrDefault", "appendMustExist", "insertMustExist", "rmWhere",
+    "incrementOrDefault", "decrementOrDefault", "accumulateOrDefault",
+    "move", "copy", "deepCopy",
     "rm", "rmMustExist",
     "exists", "isNotFound",
+    "transaction", "fork",
   ];
 
   for (const verb of verbs) {
@@ -942,7 +2963,7 @@ describe("namespace exports", () => {
     assert.ok(Object.isFrozen(namespace.NotFound));
   });
 
-  const diffVerbs = ["equals", "venn", "graftComplement", "flatten", "expand"];
+  const diffVerbs = ["equals", "venn", "graftComplement", "merge", "flatten", "expand", "redact"];
   for (const verb of diffVerbs) {
     it(`exports ${verb} as a function`, () => {
       assert.equal(typeof namespace[verb], "function");
@@ -1155,6 +3176,128 @@ describe("graftComplement()", () => {
   });
 });
 
+// ── merge ────────────────────────────────────────────────────────────────────
+
+describe("merge()", () => {
+  it("merges objects key by key, taking the source by default, and reports what changed", () => {
+    const config = { db: { host: "localhost", port: 5432 }, debug: false };
+    const report = namespace.merge(config, { db: { host: "db.internal", pool: 10 }, debug: false });
+    assert.deepEqual(config, { db: { host: "db.internal", port: 5432, pool: 10 }, debug: false });
+    assert.deepEqual(report, { added: ["db.pool"], replaced: ["db.host"], conflicted: ["db.host"] });
+  });
+
+  it("copies what it takes from source", () => {
+    const source = { limits: { rate: 10 } };
+    const target = {};
+    namespace.merge(target, source);
+    source.limits.rate = 99;
+    assert.equal(target.limits.rate, 10);
+  });
+
+  it("keepTarget keeps the target's value but still reports the conflict", () => {
+    const config = { secrets: { key: "real" }, mode: "a" };
+    const report = namespace.merge(config, { secrets: { key: "fake" }, mode: "b" }, { "secrets.**": "keepTarget" });
+    assert.deepEqual(config, { secrets: { key: "real" }, mode: "b" });
+    assert.deepEqual(report.conflicted, ["secrets.key", "mode"]);
+    assert.deepEqual(report.replaced, ["mode"]);
+  });
+
+  it("keepTarget and throwOnConflict on an object path cover its subtree", () => {
+    const config = { secrets: { k: "real", nested: { t: "real" } }, mode: "a" };
+    const report = namespace.merge(config, { secrets: { k: "fake", nested: { t: "fake" }, extra: 1 }, mode: "b" }, { secrets: "keepTarget" });
+    assert.deepEqual(config, { secrets: { k: "real", nested: { t: "real" }, extra: 1 }, mode: "b" });
+    assert.deepEqual(report.conflicted, ["secrets.k", "secrets.nested.t", "mode"]);
+
+    const target = { db: { pass: "a" } };
+    assert.throws(() => namespace.merge(target, { db: { pass: "b" } }, { db: "throwOnConflict" }),
+      { code: "PATH_OCCUPIED", verb: "merge", path: "db.pass" });
+    assert.deepEqual(target, { db: { pass: "a" } });
+  });
+
+  it("a descendant's own pattern overrides the mode it inherits", () => {
+    const config = { secrets: { k: "real", rotating: "old" } };
+    namespace.merge(config, { secrets: { k: "fake", rotating: "new" } }, { secrets: "keepTarget", "secrets.rotating": "takeSource" });
+    assert.deepEqual(config, { secrets: { k: "real", rotating: "new" } });
+  });
+
+  it("the first matching pattern wins", () => {
+    const config = { a: { x: 1, y: 1 } };
+    namespace.merge(config, { a: { x: 2, y: 2 } }, { "a.x": "keepTarget", "a.*": "takeSource" });
+    assert.deepEqual(config, { a: { x: 1, y: 2 } });
+  });
+
+  it("throwOnConflict throws PathOccupiedError and leaves target untouched", () => {
+    const config = { a: 1, b: 1 };
+    assert.throws(() => namespace.merge(config, { added: true, b: 2 }, "throwOnConflict"), (error) =>
+      error instanceof namespace.PathOccupiedError &&
+      error.verb === "merge" &&
+      /merge: conflicting values at "b"/.test(error.message));
+    assert.deepEqual(config, { a: 1, b: 1 });
+  });
+
+  it("concat and union merge arrays", () => {
+    const config = { hosts: ["a"], tags: ["x", "y"] };
+    const report = namespace.merge(config, { hosts: ["a", "b"], tags: ["y", "z"] }, { hosts: "concat", tags: "union" });
+    assert.deepEqual(config, { hosts: ["a", "a", "b"], tags: ["x", "y", "z"] });
+    assert.deepEqual(report.added, ["hosts.1", "hosts.2", "tags.2"]);
+  });
+
+  it("mergeBy merges array elements with the same key field and appends the rest", () => {
+    const config = { plugins: [{ name: "auth", enabled: true, order: 1 }] };
+    const report = namespace.merge(config, { plugins: [{ name: "auth", enabled: false }, { name: "cache" }] }, { plugins: { mergeBy: "name" } });
+    assert.deepEqual(config.plugins, [{ name: "auth", enabled: false, order: 1 }, { name: "cache" }]);
+    assert.deepEqual(report, { added: ["plugins.1"], replaced: ["plugins.0.enabled"], conflicted: ["plugins.0.enabled"] });
+  });
+
+  it("an array mode where only one side is an array throws SlotTypeError", () => {
+    assert.throws(() => namespace.merge({ hosts: "a" }, { hosts: ["b"] }, { hosts: "concat" }),
+      (error) => error instanceof namespace.SlotTypeError && /the policy for "hosts" merges arrays but the target holds string/.test(error.message));
+    assert.throws(() => namespace.merge({ hosts: ["a"] }, { hosts: {} }, { hosts: "union" }), /but the source holds object/);
+  });
+
+  it("a string policy merges nested objects key by key and applies to the arrays below", () => {
+    const config = { a: { b: [1], port: 1 } };
+    const report = namespace.merge(config, { a: { b: [2], port: 2 } }, "concat");
+    assert.deepEqual(config, { a: { b: [1, 2], port: 2 } });
+    assert.deepEqual(report, { added: ["a.b.1"], replaced: ["a.port"], conflicted: ["a.port"] });
+  });
+
+  it("a ** policy reaches through nested config", () => {
+    const base = { config: { db: { replicas: ["r1"] }, features: { flags: ["x"] } } };
+    namespace.merge(base, { config: { db: { replicas: ["r1", "r2"] }, features: { flags: ["y"] } } }, { "config.**": "union" });
+    assert.deepEqual(base, { config: { db: { replicas: ["r1", "r2"] }, features: { flags: ["x", "y"] } } });
+  });
+
+  it("arrays without an array mode meet as values", () => {
+    const config = { hosts: ["a"] };
+    const report = namespace.merge(config, { hosts: ["b"] });
+    assert.deepEqual(config.hosts, ["b"]);
+    assert.deepEqual(report.replaced, ["hosts"]);
+    assert.deepEqual(namespace.merge(config, { hosts: ["b"] }).conflicted, []);
+  });
+
+  it("merges Maps and stops at cycles in source", () => {
+    const source = { byId: new Map([["u2", { n: 2 }]]) };
+    source.self = source;
+    const target = { byId: new Map([["u1", { n: 1 }]]), self: {} };
+    namespace.merge(target, source);
+    assert.deepEqual([...target.byId.keys()], ["u1", "u2"]);
+  });
+
+  it("rejects unknown policies and non-object arguments", () => {
+    assert.throws(() => namespace.merge({}, {}, "overwrite"), /unknown policy "overwrite" for "\*\*"/);
+    assert.throws(() => namespace.merge({}, {}, { a: { mergeBy: 1 } }), namespace.InvalidArgumentError);
+    assert.throws(() => namespace.merge(null, {}), /target must be an object/);
+    assert.throws(() => namespace.merge({}, 1), /source must be an object/);
+  });
+
+  it("refuses prototype keys from parsed JSON", () => {
+    const target = {};
+    assert.throws(() => namespace.merge(target, JSON.parse('{"__proto__": {"polluted": 1}}')), namespace.PrototypePollutionError);
+    assert.equal({}.polluted, undefined);
+  });
+});
+
 // ── flatten ──────────────────────────────────────────────────────────────────
 
 describe("flatten()", () => {
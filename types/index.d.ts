@@ -3,39 +3,161 @@
  * Zero-dependency dotted-path object utilities
  */
 
-export interface NamespaceOptions {
-  /** Enable debugging breakpoints during traversal */
-  debugging?: boolean;
+/** One step of a path: an object key, an array index or a Map key */
+export type Segment = string | number | symbol;
+
+/** A dotted path string, a JSON Pointer ("/a/b"), or the segments themselves */
+export type Path = string | Segment[];
+
+export interface ConfigureOptions {
+  /** Append a JSON excerpt of the object to error messages */
+  errorContext?: boolean;
+  /** How error messages write paths (default "dotted") */
+  pathFormat?: "dotted" | "pointer";
+  /** Let writes use "__proto__", "constructor" and "prototype" as keys — trusted callers only */
+  allowPrototypeKeys?: boolean;
+  /** Path patterns whose values are masked in error excerpts and redacting dumps */
+  redact?: Path[];
 }
 
-export interface GetIfExistsOptions extends NamespaceOptions {
-  /** Return this value instead of NotFound sentinel when path doesn't exist */
-  defaultValueToReturn?: any;
+export interface NamespaceErrorDetails {
+  verb?: string | null;
+  path?: unknown;
+  failedSegment?: Segment | null;
+  segmentIndex?: number | null;
+  valueType?: string | null;
+  existingPath?: Segment[] | null;
+  availableKeys?: any[] | null;
+  suggestions?: string[] | null;
 }
 
-export interface GetMustExistOptions extends NamespaceOptions {
+/** One failed entry of a batch verb: key is the entry's local name, or the path itself */
+export interface BatchFailure {
+  key: string;
+  path: Path;
+  error: namespace.NamespaceError;
+}
+
+/** A batch read entry made by batch.orDefault: optional, with a stand-in */
+export type OptionalEntry = Readonly<{ path: Path; standIn: any } | { path: Path; fn: () => any }>;
+
+export interface GetMustExistOptions {
   /** Custom error message when path doesn't exist */
   errorMessage?: string;
 }
 
-export interface SetValueOptions extends NamespaceOptions {
-  /** Allow overwriting existing values (default: false for safety) */
-  overwrite?: boolean;
-  /** Validate without making changes */
-  dryRun?: boolean;
-  /** Fail silently instead of throwing errors */
-  ignoreErrors?: boolean;
-  /** Force overwrite of non-object hierarchy */
-  hardWriteHierarchy?: boolean;
+export interface SetOverwriteOptions {
+  /** Replace non-object values in the way instead of throwing */
+  overwriteStructure?: boolean;
+}
+
+export interface BatchReadOptions {
+  /** Custom error message when a path doesn't exist */
+  errorMessage?: string;
+  /** Check every entry first and throw one BatchError listing each missing path */
+  reportAll?: boolean;
+}
+
+export interface TransferOptions {
+  /** The contract at toPath: as setNotExists (default) or as setOverwrite */
+  destination?: "mustEmpty" | "overwrite";
+}
+
+export interface DeepCopyOptions {
+  /** Paths or patterns, matched from the root, whose values stay shared by reference */
+  shareByReference?: Path[];
+}
+
+export interface PatternOptions extends SetOverwriteOptions {
+  /** How many levels one "**" may descend: a non-negative integer or Infinity (default) */
+  maxDepth?: number;
+}
+
+export interface RedactOptions {
+  /** Mask values at the configured redact patterns */
+  redact?: boolean;
+}
+
+export interface VennOptions extends RedactOptions {
+  /** Also report leaves present in both trees with different values */
+  compareValues?: boolean;
+}
+
+export interface VennResult {
+  inOneNotTwo: string[];
+  inTwoNotOne: string[];
+  complementOfTwo: any;
+  complementOfOne: any;
+  changedValues_list?: { path: string; one: any; two: any }[];
+}
+
+/** Teaches every verb to walk a custom container type */
+export interface ContainerAdapter {
+  /** Shown in error messages */
+  name?: string;
+  has(container: any, key: any): boolean;
+  get(container: any, key: any): any;
+  /** Without it the container is read-only to the verbs */
+  set?(container: any, key: any, value: any): void;
+  delete?(container: any, key: any): void;
+  /** Without it the container is a leaf to flatten, equals and venn */
+  keys?(container: any): Iterable<any>;
+}
+
+/** A path parsed once, with the verbs bound to it — each takes the verb's arguments minus the path */
+export interface CompiledPath {
+  readonly path: string;
+  readonly segments: readonly Segment[];
+  getIfExists(object: any): any;
+  getMustExist(object: any, options?: GetMustExistOptions): any;
+  getMustEmpty(object: any): void;
+  getOrDefault: {
+    (object: any, standIn: any): any;
+    syncFunc(object: any, fn: () => any): any;
+    asyncFunc(object: any, fn: () => Promise<any>): Promise<any>;
+  };
+  setNotExists(object: any, value: any): any;
+  setMustExist(object: any, value: any): any;
+  setOrDefault: {
+    (object: any, value: any): any;
+    syncFunc(object: any, fn: () => any): any;
+    asyncFunc(object: any, fn: () => Promise<any>): Promise<any>;
+  };
+  setOverwrite(object: any, value: any, options?: SetOverwriteOptions): any;
+  updateMustExist(object: any, fn: (current: any) => any): any;
+  updateOrDefault(object: any, seed: any, fn: (current: any) => any): any;
+  appendOrDefault(object: any, value: any): any[];
+  appendMustExist(object: any, value: any): any[];
+  insertMustExist(object: any, index: number, value: any): any[];
+  rmWhere(object: any, predicate: (element: any, index: number) => unknown): any[];
+  incrementOrDefault(object: any, step?: number, seed?: number): number;
+  decrementOrDefault(object: any, step?: number, seed?: number): number;
+  accumulateOrDefault(object: any, amount: number, seed?: number): number;
+  rm(object: any): any;
+  rmMustExist(object: any): any;
+  exists(object: any): boolean;
+}
+
+/** How merge settles a slot both trees hold; array modes apply where two arrays meet */
+export type MergeMode = "keepTarget" | "takeSource" | "throwOnConflict" | "concat" | "union" | { mergeBy: string };
+
+/** One mode for the whole merge, or modes keyed by path pattern; keepTarget and throwOnConflict on an object path cover its subtree */
+export type MergePolicy = Exclude<MergeMode, object> | { [pattern: string]: MergeMode };
+
+/** Dotted paths taken from source, replaced by source, and differing between the two */
+export interface MergeReport {
+  added: string[];
+  replaced: string[];
+  conflicted: string[];
 }
 
 export interface TraversalContext {
   object: any;
-  address: string | null;
-  addressList?: string[];
+  address: Path | null;
+  addressList?: Segment[];
   addressListLength?: number;
   index?: number;
-  addressComponent?: string;
+  addressComponent?: Segment;
   current?: any;
   next?: any;
   keyExists?: boolean;
@@ -49,42 +171,238 @@ export interface TraversalContext {
 /**
  * Get or create a namespace path, auto-vivifying intermediate objects.
  */
-declare function namespace(
-  object: any,
-  address: string | null,
-  defaultList?: string[],
-  checkExists?: boolean | string
-): any;
+declare function namespace(object: any, address: Path): object;
 
 declare namespace namespace {
   /** NotFound sentinel — frozen object indicating path not found */
   export const NotFound: Readonly<{ namespaceFunctionConstant: "NotFound" }>;
 
-  export function isNotFound(value: any, address?: string): boolean;
+  export function configure(options: ConfigureOptions): void;
 
-  export function exists(object: any, address: string): boolean;
+  /** An instance with its own configuration and adapter registry */
+  export function create(options?: ConfigureOptions): typeof namespace;
 
-  export function getIfExists(object: any, address: string, options?: GetIfExistsOptions): any;
+  /** What redacted values are replaced with */
+  export const REDACTED: "[redacted]";
 
-  export function getMustExist(object: any, address: string, options?: GetMustExistOptions): any;
+  /** A copy of value with the configured redact patterns masked; basePath is where value sits in its tree */
+  export function redact(value: any, basePath?: Path): any;
 
-  export function setValue(object: any, address: string, value: any, options?: SetValueOptions): any;
+  /** Base of every error the library throws; fields that do not apply are null */
+  export class NamespaceError extends Error {
+    /** Stable per class, e.g. "PATH_NOT_FOUND" */
+    code: string;
+    /** The API the caller invoked, e.g. "setNotExists" */
+    verb: string | null;
+    /** The path as the caller passed it */
+    path: unknown;
+    failedSegment: Segment | null;
+    segmentIndex: number | null;
+    /** Type of the value in the way; "undefined" when the slot is empty */
+    valueType: string | null;
+    constructor(message: string, details?: NamespaceErrorDetails);
+  }
 
-  export function remove(object: any, address: string): boolean;
+  /** A MustExist contract found nothing at the path */
+  export class PathNotFoundError extends NamespaceError {
+    /** Segments of the deepest prefix that exists */
+    existingPath: Segment[] | null;
+    /** Keys at that prefix */
+    availableKeys: any[] | null;
+    /** Close-match paths */
+    suggestions: string[] | null;
+  }
 
-  export function leafNode(object: any, address: string, leafValue: any): any;
+  /** A NotExists / MustEmpty contract found something at the path */
+  export class PathOccupiedError extends NamespaceError {}
 
-  export function join(...parts: (string | string[])[]): string;
+  /** The path runs through a primitive */
+  export class NonObjectIntermediateError extends NamespaceError {}
 
-  export function flatten(
-    objectToFlatten: any,
-    currentNamespace?: string,
-    toReturn?: Record<string, any>
-  ): Record<string, any>;
+  /** A negative array index reaches past the start of the array */
+  export class IndexOutOfRangeError extends NamespaceError {}
 
-  export function expand(flatObject: Record<string, any>): any;
+  /** An adapter container cannot take the write or removal */
+  export class ContainerWriteError extends NamespaceError {}
+
+  /** A write would go through "__proto__", "constructor" or "prototype" */
+  export class PrototypePollutionError extends NamespaceError {}
+
+  /** The path itself is malformed */
+  export class InvalidPathError extends NamespaceError {}
+
+  /** Any other argument is unusable */
+  export class InvalidArgumentError extends NamespaceError {}
+
+  /** The slot holds the wrong kind of value for the verb, e.g. a non-array for an array verb */
+  export class SlotTypeError extends NamespaceError {}
+
+  /** A batch verb failed on one or more entries */
+  export class BatchError extends NamespaceError {
+    failures: BatchFailure[];
+    constructor(message: string, details?: NamespaceErrorDetails & { failures?: BatchFailure[] });
+  }
+
+  // read
+  export function getIfExists(object: any, address: Path): any;
+
+  export function getMustExist(object: any, address: Path, options?: GetMustExistOptions): any;
+
+  export function getMustEmpty(object: any, address: Path): void;
+
+  export function getOrDefault(object: any, address: Path, standIn: any): any;
+  export namespace getOrDefault {
+    function syncFunc(object: any, address: Path, fn: () => any): any;
+    function asyncFunc(object: any, address: Path, fn: () => Promise<any>): Promise<any>;
+  }
+
+  // write
+  export function setNotExists(object: any, address: Path, value: any): any;
+
+  export function setMustExist(object: any, address: Path, value: any): any;
+
+  export function setOrDefault(object: any, address: Path, value: any): any;
+  export namespace setOrDefault {
+    function syncFunc(object: any, address: Path, fn: () => any): any;
+    function asyncFunc(object: any, address: Path, fn: () => Promise<any>): Promise<any>;
+  }
+
+  export function setOverwrite(object: any, address: Path, value: any, options?: SetOverwriteOptions): any;
+
+  // update — fn(current) is written back; returns the new value
+  export function updateMustExist(object: any, address: Path, fn: (current: any) => any): any;
+
+  /** fn(seed) when address is absent; auto-vivifies as setOrDefault */
+  export function updateOrDefault(object: any, address: Path, seed: any, fn: (current: any) => any): any;
+
+  // array — the array is edited in place and returned
+  /** Push value, starting a new [] when absent */
+  export function appendOrDefault(object: any, address: Path, value: any): any[];
+
+  export function appendMustExist(object: any, address: Path, value: any): any[];
+
+  /** Insert value before index; negative indices count back from the end */
+  export function insertMustExist(object: any, address: Path, index: number, value: any): any[];
+
+  /** Remove every element predicate accepts; returns the removed elements */
+  export function rmWhere(object: any, address: Path, predicate: (element: any, index: number) => unknown): any[];
+
+  // counter — an absent slot starts from seed (default 0); returns the new value
+  export function incrementOrDefault(object: any, address: Path, step?: number, seed?: number): number;
+
+  export function decrementOrDefault(object: any, address: Path, step?: number, seed?: number): number;
+
+  export function accumulateOrDefault(object: any, address: Path, amount: number, seed?: number): number;
+
+  // remove
+  export function rm(object: any, address: Path): any;
+
+  export function rmMustExist(object: any, address: Path): any;
+
+  // move and copy — fromPath must exist; each runs as a transaction and returns the value now at toPath
+  export function move(tree: any, fromPath: Path, toPath: Path, options?: TransferOptions): any;
+  export namespace move {
+    function between(fromTree: any, fromPath: Path, toTree: any, toPath: Path, options?: TransferOptions): any;
+  }
+
+  /** Writes a deep copy of the value at fromPath */
+  export function copy(tree: any, fromPath: Path, toPath: Path, options?: TransferOptions): any;
+  export namespace copy {
+    function between(fromTree: any, fromPath: Path, toTree: any, toPath: Path, options?: TransferOptions): any;
+  }
+
+  /** A cycle-safe copy; class instances and functions stay shared */
+  export function deepCopy<T>(tree: T, options?: DeepCopyOptions): T;
+
+  // test
+  export function exists(object: any, address: Path): boolean;
+
+  export function isNotFound(value: unknown): boolean;
 
   export function traverse(ctx: TraversalContext): any;
+
+  /** Run fn(tree); if it throws, undo every verb write it made to tree and rethrow */
+  export function transaction<T>(tree: object, fn: (tree: any) => T): T;
+  export namespace transaction {
+    /** As transaction, keeping the journal open until fn's promise settles */
+    function asyncFunc<T>(tree: object, fn: (tree: any) => Promise<T>): Promise<T>;
+  }
+
+  /** A copy-on-write draft of tree: every verb works on it, writes stay in it until commit */
+  export function fork<T extends object>(tree: T): T;
+  export namespace fork {
+    /** Write the draft's changes into its tree, in place; returns the tree */
+    function commit(draft: object): object;
+    function discard(draft: object): void;
+  }
+
+  /** Parse path once for hot loops */
+  export function compile(address: Path): CompiledPath;
+
+  /** Path algebra — every function takes dotted strings or segment arrays */
+  export namespace path {
+    function join(...parts: (string | number | (string | number)[])[]): string;
+    function joinSlash(...parts: (string | string[])[]): string;
+    function split(address: Path): Segment[];
+    function isRootOf(rootAddress: Path, targetAddress: Path): boolean;
+    /** "*" matches one segment, "**" zero or more */
+    function match(pattern: Path, address: Path): boolean;
+    /** RFC 6901 pointer → segments */
+    function fromPointer(pointer: string): string[];
+    function toPointer(address: Path): string;
+    function tween(address: Path, tweenSegment?: string): string | undefined;
+  }
+
+  export namespace batch {
+    function destructureMustExist(object: any, mappingDefinition: Record<string, Path | OptionalEntry>, options?: BatchReadOptions): Record<string, any>;
+    function allMustExist(object: any, addressList: (Path | OptionalEntry)[], options?: BatchReadOptions): Record<string, any>;
+    function extractMustExist(object: any, address: Path): any;
+    /** An optional entry: standIn when address is absent */
+    function orDefault(address: Path, standIn: any): OptionalEntry;
+    namespace orDefault {
+      /** fn() runs only when address is absent */
+      function syncFunc(address: Path, fn: () => any): OptionalEntry;
+    }
+    /** All-or-nothing: one BatchError lists every refused path, and nothing is written */
+    function setNotExistsAll(object: any, valuesByPath: Record<string, any>): void;
+    function setMustExistAll(object: any, valuesByPath: Record<string, any>): void;
+  }
+
+  /** Verbs over every path a pattern expands to, keyed by concrete dotted path */
+  export namespace pattern {
+    /** "*" as a segment-array element */
+    const ANY: symbol;
+    /** "**" as a segment-array element */
+    const ANY_DEPTH: symbol;
+    function paths(object: any, pattern: Path, options?: PatternOptions): string[];
+    function getEach(object: any, pattern: Path, options?: PatternOptions): Record<string, any>;
+    function setNotExistsEach(object: any, pattern: Path, value: any, options?: PatternOptions): Record<string, any>;
+    function setMustExistEach(object: any, pattern: Path, value: any, options?: PatternOptions): Record<string, any>;
+    function setOrDefaultEach(object: any, pattern: Path, value: any, options?: PatternOptions): Record<string, any>;
+    function setOverwriteEach(object: any, pattern: Path, value: any, options?: PatternOptions): Record<string, any>;
+    function rmEach(object: any, pattern: Path, options?: PatternOptions): Record<string, any>;
+  }
+
+  /** Registry of container adapters; later registrations win */
+  export namespace adapters {
+    function register(predicate: (container: any) => boolean, adapter: ContainerAdapter): ContainerAdapter;
+    function unregister(adapter: ContainerAdapter): boolean;
+    function find(container: any): ContainerAdapter | undefined;
+  }
+
+  // diff/comparison
+  export function equals(object1: any, object2: any): boolean;
+
+  export function venn(object1: any, object2: any, options?: VennOptions): VennResult | undefined;
+
+  export function graftComplement(target: any, vennData: VennResult, options?: SetOverwriteOptions): any;
+
+  /** Deep-merge source into target in place */
+  export function merge(target: any, source: any, policy?: MergePolicy): MergeReport;
+
+  export function flatten(object: any, options?: RedactOptions): Record<string, any>;
+
+  export function expand(flatObject: Record<string, any>): any;
 }
 
 export default namespace;